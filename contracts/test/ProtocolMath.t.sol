@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "../src/miladycola4.sol";
+import "../src/ranmilio.sol";
+import "../src/mocks/MockNFT.sol";
+import "./mocks/MockVerifier5.sol";
+
+/**
+ * @title ProtocolMathTest
+ * @notice Replays test/vectors/protocol-math.json against the contract
+ * @dev The frontend's ProtocolMath.js is checked against the same file by
+ *      scripts/check-protocol-math.mjs, so both sides share one source of truth.
+ */
+contract ProtocolMathTest is Test {
+    Colasseum public colasseum;
+    MockBeaconOracle public oracle;
+    MockVerifier5 public verifier;
+    CoolNFT public nft;
+
+    address public charity = address(0xC4A817);
+    address public witness = address(0x717E55);
+    address public challenger = address(0x1);
+    address public participant = address(0x2);
+
+    uint256 public constant FIXED_TICKET_PRICE = 0.000000001 ether;
+    uint256 public constant DEPOSIT_PERCENT = 5;
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+    uint256 public constant SAFETY_DELAY = 768;
+    uint256 public constant MAX_HASH = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    string internal json;
+
+    function setUp() public {
+        json = vm.readFile(string.concat(vm.projectRoot(), "/test/vectors/protocol-math.json"));
+
+        oracle = new MockBeaconOracle();
+        oracle.setSeed(keccak256("test_seed"));
+        verifier = new MockVerifier5();
+        nft = new CoolNFT();
+        colasseum = new Colasseum(address(oracle), address(verifier), charity, 1000, witness);
+
+        vm.deal(challenger, 1000 ether);
+        vm.deal(participant, 1000 ether);
+    }
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    function test_vectors_constants() public view {
+        assertEq(vm.parseJsonUint(json, ".maxHash"), MAX_HASH);
+        assertEq(vm.parseJsonUint(json, ".fixedTicketPrice"), FIXED_TICKET_PRICE);
+        assertEq(vm.parseJsonUint(json, ".depositPercent"), DEPOSIT_PERCENT);
+        assertEq(vm.parseJsonUint(json, ".bpsDenominator"), BPS_DENOMINATOR);
+    }
+
+    // =========================================================================
+    // challenge(): difficulty and deposit
+    // =========================================================================
+
+    function test_vectors_trials() public {
+        uint256[] memory appraisals = vm.parseJsonUintArray(json, ".trials[*].appraisal");
+        uint256[] memory difficulties = vm.parseJsonUintArray(json, ".trials[*].difficulty");
+        uint256[] memory deposits = vm.parseJsonUintArray(json, ".trials[*].deposit");
+        uint256[] memory maxSafe = vm.parseJsonUintArray(json, ".trials[*].maxSafeChances");
+        uint256[] memory estimates = vm.parseJsonUintArray(json, ".trials[*].appraisalFromDifficulty");
+
+        for (uint256 i = 0; i < appraisals.length; i++) {
+            uint256 tokenId = _mintAndApprove(challenger, address(colasseum));
+
+            if (difficulties[i] == 0) {
+                vm.prank(challenger);
+                vm.expectRevert("Appraisal is too high, results in zero difficulty");
+                colasseum.challenge{value: deposits[i]}(address(nft), tokenId, appraisals[i], "");
+                continue;
+            }
+
+            // One wei short of the deposit is rejected
+            if (deposits[i] > 0) {
+                vm.prank(challenger);
+                vm.expectRevert("Deposit below 5% appraisal");
+                colasseum.challenge{value: deposits[i] - 1}(address(nft), tokenId, appraisals[i], "");
+            }
+
+            vm.prank(challenger);
+            uint256 trialId = colasseum.challenge{value: deposits[i]}(address(nft), tokenId, appraisals[i], "");
+
+            (,,, uint256 appraisal, uint256 difficulty,, uint256 depositEscrow,,,) = colasseum.trials(trialId);
+            assertEq(appraisal, appraisals[i]);
+            assertEq(difficulty, difficulties[i]);
+            assertEq(depositEscrow, deposits[i]);
+
+            // Largest count whose threshold stays below the field
+            assertLt(maxSafe[i] * difficulty, MAX_HASH);
+            assertGe((maxSafe[i] + 1) * difficulty, MAX_HASH);
+
+            // The appraisal estimate maps back to the same difficulty
+            assertEq((MAX_HASH / estimates[i]) * FIXED_TICKET_PRICE, difficulty);
+        }
+    }
+
+    // =========================================================================
+    // valor(): cost; circuit: wrapped threshold and odds
+    // =========================================================================
+
+    function test_vectors_chances() public {
+        uint256[] memory appraisals = vm.parseJsonUintArray(json, ".chances[*].appraisal");
+        uint256[] memory difficulties = vm.parseJsonUintArray(json, ".chances[*].difficulty");
+        uint256[] memory numChances = vm.parseJsonUintArray(json, ".chances[*].numChances");
+        uint256[] memory costs = vm.parseJsonUintArray(json, ".chances[*].cost");
+        uint256[] memory thresholds = vm.parseJsonUintArray(json, ".chances[*].threshold");
+        bool[] memory wraps = vm.parseJsonBoolArray(json, ".chances[*].wraps");
+        uint256[] memory oddsBps = vm.parseJsonUintArray(json, ".chances[*].oddsBps");
+
+        for (uint256 i = 0; i < appraisals.length; i++) {
+            uint256 trialId = _createTrial(challenger, appraisals[i]);
+            (,,,, uint256 difficulty,,,,,) = colasseum.trials(trialId);
+            assertEq(difficulty, difficulties[i]);
+
+            // Exact payment is accepted, one wei off is not
+            vm.prank(participant);
+            vm.expectRevert("Incorrect total payment for chances");
+            colasseum.valor{value: costs[i] - 1}(trialId, 0x123, block.timestamp + 5 minutes, numChances[i]);
+
+            vm.prank(participant);
+            colasseum.valor{value: costs[i]}(trialId, 0x123, block.timestamp + 5 minutes, numChances[i]);
+            (,,,,, uint256 ethPool,,,,) = colasseum.trials(trialId);
+            assertEq(ethPool, costs[i]);
+
+            // lottery.circom: effectiveDifficulty <== difficulty * chances (mod p)
+            uint256 threshold = mulmod(difficulty, numChances[i], MAX_HASH);
+            assertEq(threshold, thresholds[i]);
+            assertEq(difficulty * numChances[i] >= MAX_HASH, wraps[i]);
+            assertEq((threshold * BPS_DENOMINATOR) / MAX_HASH, oddsBps[i]);
+        }
+    }
+
+    function test_vectors_oddsToChances() public view {
+        uint256[] memory difficulties = vm.parseJsonUintArray(json, ".oddsToChances[*].difficulty");
+        uint256[] memory oddsBps = vm.parseJsonUintArray(json, ".oddsToChances[*].oddsBps");
+        uint256[] memory numChances = vm.parseJsonUintArray(json, ".oddsToChances[*].numChances");
+
+        for (uint256 i = 0; i < difficulties.length; i++) {
+            // Fewest chances whose threshold covers the requested share of the field
+            uint256 share = (MAX_HASH * oddsBps[i]) / BPS_DENOMINATOR;
+            assertGe(numChances[i] * difficulties[i], share);
+            if (numChances[i] > 1) {
+                assertLt((numChances[i] - 1) * difficulties[i], share);
+            }
+        }
+    }
+
+    // =========================================================================
+    // victory(): charity split
+    // =========================================================================
+
+    function test_vectors_splits() public {
+        uint256[] memory pots = vm.parseJsonUintArray(json, ".splits[*].pot");
+        uint256[] memory generosities = vm.parseJsonUintArray(json, ".splits[*].generosity");
+        uint256[] memory donations = vm.parseJsonUintArray(json, ".splits[*].donation");
+        uint256[] memory remainders = vm.parseJsonUintArray(json, ".splits[*].remainder");
+
+        verifier.setAlwaysPass(true);
+
+        for (uint256 i = 0; i < pots.length; i++) {
+            colasseum = new Colasseum(address(oracle), address(verifier), charity, generosities[i], witness);
+
+            uint256 trialId = _createTrial(challenger, 1 ether);
+            uint256 targetTimestamp = block.timestamp + 5 minutes;
+            uint256 numChances = pots[i] / FIXED_TICKET_PRICE;
+
+            vm.recordLogs();
+            vm.prank(participant);
+            colasseum.valor{value: pots[i]}(trialId, 0x123, targetTimestamp, numChances);
+            uint256 chanceId = uint256(vm.getRecordedLogs()[0].topics[2]);
+
+            vm.warp(targetTimestamp + SAFETY_DELAY + 1);
+
+            uint256 charityBefore = charity.balance;
+            uint256 challengerBefore = challenger.balance;
+            uint256 deposit = (1 ether * DEPOSIT_PERCENT) / 100;
+
+            vm.prank(participant);
+            colasseum.victory(
+                chanceId,
+                targetTimestamp,
+                [uint256(0), uint256(0)],
+                [[uint256(0), uint256(0)], [uint256(0), uint256(0)]],
+                [uint256(0), uint256(0)]
+            );
+
+            assertEq(charity.balance - charityBefore, donations[i]);
+            assertEq(challenger.balance - challengerBefore, remainders[i] + deposit);
+        }
+    }
+
+    // =========================================================================
+    // Helper Functions
+    // =========================================================================
+
+    function _mintAndApprove(
+        address to,
+        address spender
+    ) internal returns (uint256) {
+        vm.prank(to);
+        uint256 tokenId = nft.mint(to);
+        vm.prank(to);
+        nft.approve(spender, tokenId);
+        return tokenId;
+    }
+
+    function _createTrial(
+        address _challenger,
+        uint256 appraisal
+    ) internal returns (uint256) {
+        uint256 tokenId = _mintAndApprove(_challenger, address(colasseum));
+        uint256 deposit = (appraisal * DEPOSIT_PERCENT) / 100;
+
+        vm.prank(_challenger);
+        return colasseum.challenge{value: deposit}(address(nft), tokenId, appraisal, "");
+    }
+}
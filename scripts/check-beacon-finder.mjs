@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Conformance check for BeaconRootFinder against MockBeaconOracle.
+ *
+ * Needs a running local chain with the mock oracle deployed
+ * (npm run chain:start). For each scenario it mines one block per slot
+ * through the window, marks slots missed with setMissedSlotRange, and checks
+ * the finder picks the same timestamp a brute-force scan of the oracle does:
+ * the first block in [target, target + MAX_MISSED_SLOTS * 12] with a root.
+ *
+ * Usage: node scripts/check-beacon-finder.mjs [--rpc-url http://127.0.0.1:8545]
+ */
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import fs from 'node:fs';
+import { ethers } from 'ethers';
+import BeaconRootFinder, {
+  MAX_MISSED_SLOTS,
+  SECONDS_PER_SLOT,
+  BEACON_WINDOW_SECONDS,
+} from '../src/services/BeaconRootFinder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.resolve(__filename, '..', '..');
+const configPath = path.join(projectRoot, 'src', 'generated', 'contracts.json');
+
+const DEFAULT_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'; // anvil account #0
+const SAFETY_DELAY = 768;
+
+// [label, slot offset of the target within its first slot, missed slots from the start of the window]
+const SCENARIOS = [
+  ['no missed slots', 0, 0],
+  ['one missed slot', 0, 1],
+  ['five missed slots', 0, 5],
+  ['MAX_MISSED_SLOTS missed (last slot in window)', 0, MAX_MISSED_SLOTS],
+  ['MAX_MISSED_SLOTS + 1 missed (window exhausted)', 0, MAX_MISSED_SLOTS + 1],
+  ['unaligned target', 5, 0],
+  ['unaligned target, three missed slots', 7, 3],
+];
+
+const args = process.argv.slice(2);
+const rpcFlag = args.indexOf('--rpc-url');
+const rpcUrl = rpcFlag >= 0 ? args[rpcFlag + 1] : (process.env.RPC_URL || 'http://127.0.0.1:8545');
+
+const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+const signer = new ethers.Wallet(DEFAULT_PRIVATE_KEY, provider);
+const oracle = new ethers.Contract(config.contracts.oracle.address, config.contracts.oracle.abi, signer);
+
+if (!oracle.interface.functions['setMissedSlotRange(uint256,uint256)']) {
+  console.error('[beacon-check] Configured oracle is not MockBeaconOracle; run against a local deployment.');
+  process.exit(1);
+}
+
+async function mineAt(timestamp) {
+  await provider.send('evm_setNextBlockTimestamp', [timestamp]);
+  await provider.send('evm_mine', []);
+}
+
+// Reference answer: scan every block in the window, first one the oracle accepts
+async function bruteForce(target, fromBlock) {
+  const head = await provider.getBlockNumber();
+  for (let n = fromBlock; n <= head; n++) {
+    const block = await provider.getBlock(n);
+    if (block.timestamp < target) continue;
+    if (block.timestamp > target + BEACON_WINDOW_SECONDS) break;
+    try {
+      const root = await oracle.getRandomness(block.timestamp);
+      return { timestamp: block.timestamp, root };
+    } catch {
+      // missed slot
+    }
+  }
+  return null;
+}
+
+async function runScenario([label, offset, missed]) {
+  const latest = await provider.getBlock('latest');
+  const slotStart = latest.timestamp + 60;
+  const target = slotStart + offset;
+  const firstSlot = offset === 0 ? slotStart : slotStart + SECONDS_PER_SLOT;
+  const fromBlock = latest.number + 1;
+
+  // One block per slot through (and a little past) the window
+  const slots = MAX_MISSED_SLOTS + 4;
+  for (let i = 0; i < slots; i++) {
+    await mineAt(firstSlot + i * SECONDS_PER_SLOT);
+  }
+  if (missed > 0) await (await oracle.setMissedSlotRange(firstSlot, missed)).wait();
+
+  // Let the window finalize
+  await mineAt(firstSlot + slots * SECONDS_PER_SLOT + SAFETY_DELAY);
+
+  const expected = await bruteForce(target, fromBlock);
+  const finder = new BeaconRootFinder(
+    provider,
+    (timestamp) => oracle.getRandomness(timestamp),
+    { storage: null }
+  );
+
+  let actual = null;
+  let error = null;
+  try {
+    actual = await finder.find(target);
+  } catch (e) {
+    error = e;
+  }
+
+  // Clean up so later scenarios (and the dev chain) are unaffected
+  for (let i = 0; i < missed; i++) {
+    await (await oracle.clearMissedSlot(firstSlot + i * SECONDS_PER_SLOT)).wait();
+  }
+
+  const ok = expected
+    ? actual && actual.timestamp === expected.timestamp && actual.root === expected.root
+      && actual.timestamp - target <= BEACON_WINDOW_SECONDS
+    : !!error;
+
+  const got = actual ? `+${actual.timestamp - target}s` : `error: ${error?.message}`;
+  const want = expected ? `+${expected.timestamp - target}s` : 'error';
+  console.log(`[beacon-check] ${ok ? 'PASS' : 'FAIL'} ${label}: got ${got}, expected ${want}`);
+  return ok;
+}
+
+let failures = 0;
+for (const scenario of SCENARIOS) {
+  if (!(await runScenario(scenario))) failures += 1;
+}
+
+if (failures > 0) {
+  console.error(`[beacon-check] ${failures} of ${SCENARIOS.length} scenarios failed`);
+  process.exit(1);
+}
+console.log(`[beacon-check] All ${SCENARIOS.length} scenarios passed`);
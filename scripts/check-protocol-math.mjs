@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Check ProtocolMath against the shared protocol vectors.
+ *
+ * contracts/test/vectors/protocol-math.json is the same file ProtocolMath.t.sol
+ * replays against the deployed contract (forge test), so passing both means
+ * the frontend and miladycola4.sol agree on difficulty, deposit, cost,
+ * charity split and the wrapped win threshold.
+ *
+ * Usage: node scripts/check-protocol-math.mjs
+ */
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import fs from 'node:fs';
+import {
+  MAX_HASH,
+  FIXED_TICKET_PRICE,
+  DEPOSIT_PERCENT,
+  BPS_DENOMINATOR,
+  getDifficulty,
+  getAppraisalFromDifficulty,
+  getDeposit,
+  getCharitySplit,
+  getChanceCost,
+  getWinThreshold,
+  wrapsField,
+  getMaxSafeChances,
+  getOddsBps,
+  getChancesForOddsBps,
+} from '../src/services/ProtocolMath.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.resolve(__filename, '..', '..');
+const vectorsPath = path.join(projectRoot, 'contracts', 'test', 'vectors', 'protocol-math.json');
+
+const vectors = JSON.parse(fs.readFileSync(vectorsPath, 'utf8'));
+
+let checks = 0;
+let failures = 0;
+
+function expectEqual(label, actual, expected) {
+  checks += 1;
+  if (String(actual) === String(expected)) return;
+  failures += 1;
+  console.error(`[math-check] FAIL ${label}: got ${actual}, expected ${expected}`);
+}
+
+expectEqual('MAX_HASH', MAX_HASH, vectors.maxHash);
+expectEqual('FIXED_TICKET_PRICE', FIXED_TICKET_PRICE, vectors.fixedTicketPrice);
+expectEqual('DEPOSIT_PERCENT', DEPOSIT_PERCENT, vectors.depositPercent);
+expectEqual('BPS_DENOMINATOR', BPS_DENOMINATOR, vectors.bpsDenominator);
+
+for (const v of vectors.trials) {
+  expectEqual(`difficulty (${v.label})`, getDifficulty(v.appraisal), v.difficulty);
+  expectEqual(`deposit (${v.label})`, getDeposit(v.appraisal), v.deposit);
+  expectEqual(`max safe chances (${v.label})`, getMaxSafeChances(v.difficulty), v.maxSafeChances);
+  expectEqual(`appraisal from difficulty (${v.label})`, getAppraisalFromDifficulty(v.difficulty), v.appraisalFromDifficulty);
+}
+
+for (const v of vectors.chances) {
+  expectEqual(`difficulty (${v.label})`, getDifficulty(v.appraisal), v.difficulty);
+  expectEqual(`cost (${v.label})`, getChanceCost(v.numChances), v.cost);
+  expectEqual(`threshold (${v.label})`, getWinThreshold(v.difficulty, v.numChances), v.threshold);
+  expectEqual(`wraps (${v.label})`, wrapsField(v.difficulty, v.numChances), v.wraps);
+  expectEqual(`odds bps (${v.label})`, getOddsBps(v.difficulty, v.numChances), v.oddsBps);
+}
+
+for (const v of vectors.oddsToChances) {
+  expectEqual(`chances for odds (${v.label})`, getChancesForOddsBps(v.difficulty, v.oddsBps), v.numChances);
+}
+
+for (const v of vectors.splits) {
+  const { donation, remainder } = getCharitySplit(v.pot, v.generosity);
+  const label = `${v.pot} wei at ${v.generosity} bps`;
+  expectEqual(`donation (${label})`, donation, v.donation);
+  expectEqual(`remainder (${label})`, remainder, v.remainder);
+}
+
+if (failures > 0) {
+  console.error(`[math-check] ${failures} of ${checks} checks failed`);
+  process.exit(1);
+}
+console.log(`[math-check] All ${checks} checks passed`);
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Check that public/challenge_final.zkey belongs to the Groth16 verifier.
+ *
+ * Always compares the zkey's verification key with the constants in
+ * contracts/src/Verifier.sol. With --network it also compares it with the
+ * runtime bytecode of that network's deployed verifier (address from
+ * src/generated/contracts[-<network>].json).
+ *
+ * Usage: node scripts/check-verifier-key.mjs [--network local|sepolia|mainnet] [--rpc-url URL]
+ */
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import fs from 'node:fs';
+import { ethers } from 'ethers';
+import {
+  parseZkeyVerificationKey,
+  compareWithVerifierSource,
+  compareWithVerifierBytecode,
+} from '../src/services/VerificationKey.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.resolve(__filename, '..', '..');
+const zkeyPath = path.join(projectRoot, 'public', 'challenge_final.zkey');
+const verifierPath = path.join(projectRoot, 'contracts', 'src', 'Verifier.sol');
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const network = flag('--network');
+
+const vk = parseZkeyVerificationKey(fs.readFileSync(zkeyPath));
+let failures = 0;
+
+const sourceMismatch = compareWithVerifierSource(vk, fs.readFileSync(verifierPath, 'utf8'));
+if (sourceMismatch.length > 0) {
+  failures += 1;
+  console.error(`[verifier-key] zkey does not match Verifier.sol: ${sourceMismatch.join(', ')}`);
+} else {
+  console.log(`[verifier-key] zkey matches Verifier.sol (${vk.nPublic} public inputs)`);
+}
+
+if (network) {
+  const configFile = network === 'local' ? 'contracts.json' : `contracts-${network}.json`;
+  const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'src', 'generated', configFile), 'utf8'));
+  const address = config.contracts.verifier?.address;
+  if (!address) {
+    console.error(`[verifier-key] ${configFile} has no verifier address`);
+    process.exit(1);
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(flag('--rpc-url') || config.rpcUrl);
+  const code = await provider.getCode(address);
+  const codeMismatch = compareWithVerifierBytecode(vk, code);
+  if (codeMismatch.length > 0) {
+    failures += 1;
+    console.error(`[verifier-key] zkey does not match the ${network} verifier at ${address}: ${codeMismatch.join(', ')}`);
+  } else {
+    console.log(`[verifier-key] zkey matches the ${network} verifier at ${address}`);
+  }
+}
+
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Write (or check) public/circuit-manifest.json.
+ *
+ * The manifest lists each circuit artifact with its sha256. The frontend caches
+ * artifacts under that hash, so rebuilding the circuit without refreshing the
+ * manifest would keep serving the old files from browser caches. Run this after
+ * replacing challenge.wasm or challenge_final.zkey.
+ *
+ * Usage: node scripts/circuit-manifest.mjs [--check]
+ *   --check  Exit non-zero if the manifest does not match the files
+ */
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.resolve(__filename, '..', '..');
+const publicDir = path.join(projectRoot, 'public');
+const manifestPath = path.join(publicDir, 'circuit-manifest.json');
+
+const ARTIFACTS = {
+  wasm: 'challenge.wasm',
+  zkey: 'challenge_final.zkey',
+};
+
+function describe(file) {
+  const bytes = fs.readFileSync(path.join(publicDir, file));
+  return {
+    path: `/${file}`,
+    sha256: crypto.createHash('sha256').update(bytes).digest('hex'),
+    size: bytes.length,
+  };
+}
+
+const manifest = {
+  circuit: 'challenge',
+  artifacts: Object.fromEntries(
+    Object.entries(ARTIFACTS).map(([name, file]) => [name, describe(file)])
+  ),
+};
+const text = `${JSON.stringify(manifest, null, 2)}\n`;
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : '';
+  if (current !== text) {
+    console.error('circuit-manifest.json is out of date. Run: npm run circuit:manifest');
+    process.exit(1);
+  }
+  console.log('circuit-manifest.json matches the circuit artifacts');
+} else {
+  fs.writeFileSync(manifestPath, text);
+  for (const [name, { sha256, size }] of Object.entries(manifest.artifacts)) {
+    console.log(`${name}: ${sha256} (${size} bytes)`);
+  }
+  console.log(`Wrote ${path.relative(projectRoot, manifestPath)}`);
+}
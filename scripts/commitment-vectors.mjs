@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Commitment and win-evaluation test vectors.
+ *
+ * contracts/test/vectors/commitments.json maps (passphrase, owner, beacon root,
+ * difficulty, chances) to the field encoding, commitment, randomnessHash and
+ * isWinner, as specified in docs/PROTOCOL_SPEC.md (Field Encoding).
+ *
+ * Checking replays every vector against three implementations:
+ *   1. CryptoCore (through NodeCryptoService), as the app computes it
+ *   2. circomlibjs Poseidon directly, on both the reduced and the raw keccak256
+ *   3. public/challenge.wasm: the witness must contain the commitment and
+ *      randomnessHash, and must only be satisfiable for winners
+ *
+ * Usage: node scripts/commitment-vectors.mjs [--write]
+ *   --write  Regenerate the vectors from CryptoCore instead of checking them
+ */
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import fs from 'node:fs';
+import { ethers } from 'ethers';
+import * as snarkjs from 'snarkjs';
+import { buildPoseidon } from 'circomlibjs';
+import nodeCryptoService from '../src/services/NodeCryptoService.js';
+import { FIELD_PRIME } from '../src/services/CryptoCore.js';
+import { getDifficulty, getWinThreshold } from '../src/services/ProtocolMath.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.resolve(__filename, '..', '..');
+const vectorsPath = path.join(projectRoot, 'contracts', 'test', 'vectors', 'commitments.json');
+const wasmPath = path.join(projectRoot, 'public', 'challenge.wasm');
+
+const OWNER_A = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OWNER_B = '0x000000000000000000000000000000000000dEaD';
+const MAINNET_ROOT = '0x7bdc5fff0246d9ca8b22368d9ea366aed5e6f5a7ba126cf31a20ebd26bc55808';
+const MAX_ROOT = `0x${'f'.repeat(64)}`;
+const ONE_ETH_DIFFICULTY = getDifficulty(10n ** 18n);
+const ALWAYS_WIN = FIELD_PRIME - 1n; // threshold p - 1 with one chance
+
+// First "<prefix><n>" whose keccak256 is below / at or above p
+function findPassphrase(prefix, belowPrime) {
+  for (let n = 0; ; n++) {
+    const candidate = `${prefix}${n}`;
+    const hash = BigInt(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(candidate)));
+    if ((hash < FIELD_PRIME) === belowPrime) return candidate;
+  }
+}
+
+// [label, passphrase, owner, beacon root, difficulty, chances]
+const CASES = [
+  ['ascii passphrase, certain win', 'correct horse battery staple', OWNER_A, MAINNET_ROOT, ALWAYS_WIN, 1n],
+  ['keccak256 below p', findPassphrase('below-prime-', true), OWNER_A, MAINNET_ROOT, ALWAYS_WIN, 1n],
+  ['keccak256 at or above p (reduced)', findPassphrase('above-prime-', false), OWNER_A, MAINNET_ROOT, ALWAYS_WIN, 1n],
+  ['unicode passphrase (UTF-8, no normalisation)', 'ミラディ コーラ 🍾', OWNER_A, MAINNET_ROOT, ALWAYS_WIN, 1n],
+  ['signed passphrase format', `cola-sig-v1:${ethers.utils.keccak256(ethers.utils.toUtf8Bytes('vector')).slice(2)}`, OWNER_B, MAINNET_ROOT, ALWAYS_WIN, 1n],
+  ['lowercase owner address', 'correct horse battery staple', OWNER_A.toLowerCase(), MAINNET_ROOT, ALWAYS_WIN, 1n],
+  ['all-ones beacon root', 'correct horse battery staple', OWNER_B, MAX_ROOT, ALWAYS_WIN, 1n],
+  ['beacon root of 1', 'correct horse battery staple', OWNER_B, ethers.utils.hexZeroPad('0x01', 32), ALWAYS_WIN, 1n],
+  ['1 ETH appraisal, 1 chance (loss)', 'correct horse battery staple', OWNER_A, MAINNET_ROOT, ONE_ETH_DIFFICULTY, 1n],
+  ['1 ETH appraisal, 1000 chances (loss)', 'correct horse battery staple', OWNER_A, MAINNET_ROOT, ONE_ETH_DIFFICULTY, 1000n],
+  ['threshold wrapped past p (loss)', 'correct horse battery staple', OWNER_A, MAINNET_ROOT, FIELD_PRIME / 2n + 1n, 2n],
+];
+
+async function computeVector([label, passphrase, owner, beaconRoot, difficulty, numChances]) {
+  const rawHash = BigInt(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(passphrase)));
+  const win = await nodeCryptoService.evaluateWinCondition(passphrase, beaconRoot, difficulty, numChances);
+  return {
+    label,
+    passphrase,
+    owner,
+    beaconRoot,
+    difficulty: difficulty.toString(),
+    numChances: numChances.toString(),
+    keccak256: rawHash.toString(),
+    passphraseField: nodeCryptoService.passphraseToField(passphrase).toString(),
+    ownerField: nodeCryptoService.addressToField(owner).toString(),
+    rootHigh: win.rootHigh,
+    rootLow: win.rootLow,
+    commitment: await nodeCryptoService.generateCommitment(passphrase, owner),
+    randomnessHash: win.randomnessHash,
+    threshold: win.threshold,
+    isWinner: win.isWinner,
+  };
+}
+
+if (process.argv.includes('--write')) {
+  const vectors = [];
+  for (const testCase of CASES) vectors.push(await computeVector(testCase));
+  const file = {
+    description: 'Field encoding, commitment and win evaluation vectors. See docs/PROTOCOL_SPEC.md (Field Encoding).',
+    fieldPrime: FIELD_PRIME.toString(),
+    vectors,
+  };
+  fs.writeFileSync(vectorsPath, `${JSON.stringify(file, null, 2)}\n`);
+  console.log(`Wrote ${vectors.length} vectors to ${path.relative(projectRoot, vectorsPath)}`);
+  process.exit(0);
+}
+
+const { vectors } = JSON.parse(fs.readFileSync(vectorsPath, 'utf8'));
+const poseidon = await buildPoseidon();
+const wasm = new Uint8Array(fs.readFileSync(wasmPath));
+const hashOf = (inputs) => poseidon.F.toObject(poseidon(inputs)).toString();
+
+let checks = 0;
+let failures = 0;
+
+function expectEqual(label, name, actual, expected) {
+  checks += 1;
+  if (String(actual) !== String(expected)) {
+    failures += 1;
+    console.error(`FAIL ${label}: ${name} = ${actual}, expected ${expected}`);
+  }
+}
+
+// Witness for the vector's inputs, or null when the circuit's constraints fail
+async function calculateWitness(vector, difficulty, numChances) {
+  const input = {
+    passphrase: vector.passphraseField,
+    ownerAddress: vector.ownerField,
+    rootHigh: vector.rootHigh,
+    rootLow: vector.rootLow,
+    ticketHash: vector.commitment,
+    difficulty: difficulty.toString(),
+    chances: numChances.toString(),
+  };
+  const witness = { type: 'mem' };
+  try {
+    await snarkjs.wtns.calculate(input, wasm, witness);
+  } catch (error) {
+    return null;
+  }
+  return (await snarkjs.wtns.exportJson(witness)).map(String);
+}
+
+// The witness calculator prints failed asserts itself; keep the output readable
+const consoleError = console.error;
+
+for (const vector of vectors) {
+  const { label } = vector;
+
+  // 1. CryptoCore
+  const recomputed = await computeVector([
+    label, vector.passphrase, vector.owner, vector.beaconRoot, BigInt(vector.difficulty), BigInt(vector.numChances),
+  ]);
+  for (const key of Object.keys(vector)) {
+    expectEqual(label, `CryptoCore ${key}`, recomputed[key], vector[key]);
+  }
+
+  // 2. circomlibjs Poseidon, with the reduced and the raw hash
+  const raw = BigInt(vector.keccak256);
+  const owner = BigInt(vector.ownerField);
+  const root = [BigInt(vector.rootHigh), BigInt(vector.rootLow)];
+  expectEqual(label, 'passphraseField = keccak256 mod p', raw % FIELD_PRIME, vector.passphraseField);
+  expectEqual(label, 'Poseidon commitment', hashOf([BigInt(vector.passphraseField), owner]), vector.commitment);
+  expectEqual(label, 'Poseidon commitment (raw keccak256)', hashOf([raw, owner]), vector.commitment);
+  expectEqual(label, 'Poseidon randomnessHash', hashOf([BigInt(vector.passphraseField), ...root]), vector.randomnessHash);
+  expectEqual(label, 'threshold', getWinThreshold(vector.difficulty, vector.numChances), vector.threshold);
+
+  // 3. challenge.wasm: with a p - 1 threshold every valid commitment is satisfiable,
+  //    so the witness exposes randomnessHash; the real threshold must match isWinner
+  console.error = () => {};
+  const openWitness = await calculateWitness(vector, ALWAYS_WIN, 1n);
+  const realWitness = await calculateWitness(vector, vector.difficulty, vector.numChances);
+  console.error = consoleError;
+
+  expectEqual(label, 'wasm accepts commitment', openWitness !== null, true);
+  if (openWitness) {
+    expectEqual(label, 'wasm witness has commitment', openWitness.includes(vector.commitment), true);
+    expectEqual(label, 'wasm witness has randomnessHash', openWitness.includes(vector.randomnessHash), true);
+  }
+  expectEqual(label, 'wasm isWinner', realWitness !== null, vector.isWinner);
+}
+
+console.log(`${checks} checks over ${vectors.length} vectors, ${failures} failures`);
+process.exit(failures > 0 ? 1 : 0);
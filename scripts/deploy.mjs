@@ -21,6 +21,7 @@ const APPRAISAL_VALUE = ethers.utils.parseEther('0.2');
 const FIXED_CHANCE_PRICE = ethers.utils.parseUnits('1', 'gwei');
 const DEFAULT_LORE = 'Genesis Trial';
 const NFT_METADATA_BASE_URI = 'http://localhost:5173/milady/'; // Local milady metadata
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'; // Canonical (present on forks)
 
 // Get user address from env or use default
 function getUserAddress() {
@@ -112,6 +113,7 @@ export async function deployColasseum({ silent = false, rpcUrl } = {}) {
   const verifierArtifact = await loadArtifact('Verifier.sol', 'Groth16Verifier');
   const colasseumArtifact = await loadArtifact('miladycola4.sol', 'Colasseum');
   const nftArtifact = await loadArtifact('MockNFT.sol', 'CoolNFT');
+  const multicallArtifact = await loadArtifact('Multicall3.sol', 'Multicall3');
 
   // Deploy MockBeaconOracle
   const OracleFactory = new ethers.ContractFactory(oracleArtifact.abi, oracleArtifact.bytecode, deployer);
@@ -203,6 +205,20 @@ export async function deployColasseum({ silent = false, rpcUrl } = {}) {
   const genesisTrialId = nextId.toNumber() - 1;
   if (!silent) console.log(`[deploy] Genesis trial #${genesisTrialId} created with lore "${DEFAULT_LORE}"`);
 
+  // Multicall3: forked chains already have the canonical deployment; bare anvil needs one.
+  // Deployed last so the core contract addresses stay the same either way.
+  let multicallAddress = MULTICALL3_ADDRESS;
+  const canonicalCode = await provider.getCode(MULTICALL3_ADDRESS);
+  if (canonicalCode === '0x') {
+    const MulticallFactory = new ethers.ContractFactory(multicallArtifact.abi, multicallArtifact.bytecode, deployer);
+    const multicall = await MulticallFactory.deploy({ nonce: nonce++ });
+    await multicall.deployed();
+    multicallAddress = multicall.address;
+    if (!silent) console.log(`[deploy] Multicall3 (local): ${multicallAddress}`);
+  } else if (!silent) {
+    console.log(`[deploy] Multicall3 (canonical): ${multicallAddress}`);
+  }
+
   // Prepare output payload
   // timeWarpUrl is for the dev sidecar server (optional - DevService handles missing URL)
   const timeWarpUrl = process.env.TIME_WARP_URL || 'http://127.0.0.1:8788/colasseum-warp';
@@ -210,6 +226,7 @@ export async function deployColasseum({ silent = false, rpcUrl } = {}) {
   const payload = {
     chainId,
     rpcUrl: effectiveRpcUrl,
+    rpcUrls: [effectiveRpcUrl],
     deployedAt: new Date().toISOString(),
     deployBlock, // Block number when Colasseum was deployed (for event indexing)
     genesisTrialId,
@@ -238,6 +255,9 @@ export async function deployColasseum({ silent = false, rpcUrl } = {}) {
         address: verifierAddress,
         abi: verifierArtifact.abi,
       },
+      multicall: {
+        address: multicallAddress,
+      },
     },
   };
 
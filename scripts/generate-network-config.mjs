@@ -6,8 +6,11 @@
  *   node scripts/generate-network-config.mjs sepolia \
  *     --colasseum 0x... --verifier 0x... --oracle 0x... \
  *     --rpc-url https://eth-sepolia.g.alchemy.com/v2/... \
+ *     [--rpc-urls https://fallback-1,https://fallback-2] \
  *     [--nft 0x...] [--charity 0x...] [--witness 0x...]
  *
+ *   --rpc-urls adds failover endpoints tried after --rpc-url (comma-separated)
+ *
  *   node scripts/generate-network-config.mjs mainnet \
  *     --colasseum 0x... --verifier 0x... --oracle 0x... \
  *     --rpc-url https://eth-mainnet.g.alchemy.com/v2/...
@@ -82,6 +85,10 @@ async function main() {
   const config = {
     chainId: chainIds[network],
     rpcUrl: params['rpc-url'],
+    rpcUrls: [
+      params['rpc-url'],
+      ...(params['rpc-urls'] || '').split(',').map(url => url.trim()).filter(Boolean),
+    ],
     network,
     deployedAt: new Date().toISOString(),
     contracts: {
@@ -12,6 +12,7 @@ class App extends Component {
       contractService: this.props.contractService,
       colasseumIndexer: this.props.colasseumIndexer,
       devService: this.props.devService,
+      claimService: this.props.claimService,
       useFixtures: this.props.useFixtures,
     });
   }
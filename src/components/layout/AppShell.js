@@ -1,4 +1,5 @@
 import { Component, h, eventBus } from '@monygroupcorp/microact';
+import { ethers } from 'ethers';
 import Header from './Header.js';
 import HeroSection from './HeroSection.js';
 import Dashboard from './Dashboard.js';
@@ -7,12 +8,32 @@ import WinnersSection from './WinnersSection.js';
 import ModalManager from './ModalManager.js';
 import cryptoService from '../../services/CryptoService.js';
 import nftMetadataService from '../../services/NftMetadataService.js';
-import { getStoredPassphrase, getStoredWinResult, storeWinResult, setRevealSeen } from '../ui/EntryModal.js';
+import { getClaimDeadline } from '../../services/ContractService.js';
+import { SAFETY_DELAY, getChanceCost, getOddsBps } from '../../services/ProtocolMath.js';
+import secretVault from '../../services/SecretVault.js';
+import { recordCommitments } from '../../services/Passphrase.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+import { CLAIM_STEPS } from '../../services/ClaimService.js';
 
 // Load fixtures (used as fallback when contracts not available)
 import challengesFixture from '../../fixtures/challenges.json';
 import bottlesFixture from '../../fixtures/bottles.json';
 
+/**
+ * Address to watch from the `?watch=0x...` query param (checksummed), or null
+ */
+function getWatchAddressFromUrl() {
+  const param = new URLSearchParams(window.location.search).get('watch');
+  return param && ethers.utils.isAddress(param) ? ethers.utils.getAddress(param) : null;
+}
+
+function setWatchAddressInUrl(address) {
+  const url = new URL(window.location.href);
+  if (address) url.searchParams.set('watch', address);
+  else url.searchParams.delete('watch');
+  window.history.replaceState(window.history.state, '', url);
+}
+
 class AppShell extends Component {
   constructor(props) {
     super(props);
@@ -25,12 +46,24 @@ class AppShell extends Component {
       refundableChances: [],
       loading: !useFixtures,
       connectedAddress: null,
+      // Read-only view of another address's portfolio (no writes allowed)
+      watchAddress: useFixtures ? null : getWatchAddressFromUrl(),
+      watchInput: '',
+      watchError: null,
+      challengerTrials: [],
       numpadInput: '',
     };
 
     // Refs for imperative child access
     this.dashboardRef = null;
     this.challengeGridRef = null;
+
+    // On-chain data as last loaded, and optimistic entries for submitted but
+    // not-yet-indexed writes (keyed by TransactionTracker id)
+    this.chainChallenges = this.state.challenges;
+    this.chainBottles = this.state.bottles;
+    this.optimisticChallenges = new Map();
+    this.optimisticBottles = new Map();
   }
 
   didMount() {
@@ -55,39 +88,64 @@ class AppShell extends Component {
         queueMicrotask(() => {
           this.setState({ connectedAddress: address });
           if (this.challengeGridRef) this.challengeGridRef.setConnectedAddress(address);
-          if (!useFixtures) {
-            this.loadUserData(address);
-            this.loadRefundableChances(address);
-          }
+          if (!useFixtures && !this.state.watchAddress) this.refreshUserData();
         });
       }
     }
 
+    if (this.state.watchAddress) {
+      console.log('[AppShell] Watching address from URL:', this.state.watchAddress);
+      this.refreshUserData();
+    }
+
     // Listen for wallet connection to load user data
     this.subscribe('wallet:connected', async ({ address }) => {
       this.setState({ connectedAddress: address });
       if (this.challengeGridRef) this.challengeGridRef.setConnectedAddress(address);
-      if (!useFixtures) {
-        await this.loadUserData(address);
-        await this.loadRefundableChances(address);
-      }
+      if (!useFixtures && !this.state.watchAddress) await this.refreshUserData();
     });
 
     this.subscribe('wallet:disconnected', () => {
       this.setState({ connectedAddress: null });
       if (this.challengeGridRef) this.challengeGridRef.setConnectedAddress(null);
-      if (!useFixtures) {
+      if (!useFixtures && !this.state.watchAddress) {
         // Clear user-specific data but keep challenges
         this.updateBottles([]);
+        this.setState({ refundableChances: [], challengerTrials: [] });
       }
     });
 
+    // Transaction lifecycle: show writes optimistically until the indexer catches up
+    for (const record of this.props.contractService?.transactions?.getPending() || []) {
+      this.addOptimisticEntry(record);
+    }
+
+    this.subscribe('tx:submitted', (record) => {
+      this.addOptimisticEntry(record);
+    });
+
+    this.subscribe('tx:replaced', ({ id, hash }) => {
+      const entry = this.optimisticBottles.get(id) || this.optimisticChallenges.get(id);
+      if (entry) entry.txHash = hash;
+    });
+
+    const dropOptimistic = ({ id }) => {
+      if (this.optimisticBottles.delete(id)) this.updateBottles(this.chainBottles);
+      if (this.optimisticChallenges.delete(id)) this.updateChallenges(this.chainChallenges);
+    };
+    this.subscribe('tx:cancelled', dropOptimistic);
+    this.subscribe('tx:failed', dropOptimistic);
+
     // Listen for contract events to refresh data
     this.subscribe('contract:gauntlet', () => {
       this.loadContractData();
     });
 
-    this.subscribe('contract:challengeAccepted', () => {
+    this.subscribe('contract:challengeAccepted', ({ chanceId, commitment }) => {
+      // Covers transactions resumed after a reload, where EntryModal is gone
+      secretVault.claimPendingPassphrase(commitment, chanceId);
+      this.confirmOptimisticBottle(commitment, chanceId);
+
       // Only refresh challenge data here (reads directly from chain).
       // Bottle list refresh is deferred to indexer:newEvents for ChallengeAccepted,
       // which fires after the indexer has actually indexed the new event.
@@ -96,10 +154,7 @@ class AppShell extends Component {
 
     this.subscribe('contract:justice', () => {
       console.log('[AppShell] Refund processed, refreshing data');
-      if (this.state.connectedAddress) {
-        this.loadUserData(this.state.connectedAddress);
-        this.loadRefundableChances(this.state.connectedAddress);
-      }
+      this.refreshUserData();
     });
 
     this.subscribe('challenge:created', (data) => {
@@ -117,7 +172,7 @@ class AppShell extends Component {
           image: `https://www.miladymaker.net/milady/${data.tokenId}.png`,
           status: 'active',
         };
-        this.updateChallenges([...this.state.challenges, newChallenge]);
+        this.updateChallenges([...this.chainChallenges, newChallenge]);
       } else {
         // Live mode: refresh challenges from chain
         console.log('[AppShell] Challenge created, refreshing challenges');
@@ -131,18 +186,23 @@ class AppShell extends Component {
         const newBottle = {
           id: Date.now(),
           challengeId: data.challenge.id,
-          odds: data.odds,
+          oddsBps: data.oddsBps,
           purchaseTime: Date.now(),
           refrigerationEnds: Date.now() + 15 * 60 * 1000, // 15 minutes
           status: 'refrigerating',
         };
-        this.updateBottles([...this.state.bottles, newBottle]);
+        this.updateBottles([...this.chainBottles, newBottle]);
       }
     });
 
     // Handle claim submission from ClaimModal
-    this.subscribe('claim:submit', async ({ bottle, passphrase }) => {
-      await this.handleClaim(bottle, passphrase);
+    this.subscribe('claim:submit', async ({ bottle, passphrase, exportOnly }) => {
+      await this.handleClaim(bottle, passphrase, { exportOnly });
+    });
+
+    // Cancel an in-flight proof (ClaimModal Cancel button or close)
+    this.subscribe('claim:cancel', () => {
+      this.props.claimService?.cancel();
     });
 
     // Handle challenge cancellation
@@ -155,39 +215,41 @@ class AppShell extends Component {
       if (eventType === 'Victor' || eventType === 'Surrender' || eventType === 'Gauntlet') {
         console.log(`[AppShell] ${eventType} event indexed, refreshing data`);
         this.loadContractData();
-        if (this.state.connectedAddress) {
-          this.loadUserData(this.state.connectedAddress);
-          this.loadRefundableChances(this.state.connectedAddress);
-        }
+        this.refreshUserData();
       } else if (eventType === 'ChallengeAccepted') {
         // New ticket indexed — refresh challenges first so bottle titles resolve,
         // then refresh bottles
         console.log('[AppShell] ChallengeAccepted indexed, refreshing challenges then bottles');
         await this.loadContractData();
-        if (this.state.connectedAddress) {
-          this.loadUserData(this.state.connectedAddress);
-        }
+        const address = this.getViewedAddress();
+        if (address) this.loadUserData(address);
       }
     });
 
+    // Unlocking (or restoring) the vault can make stored secrets readable again
+    this.subscribe('vault:changed', ({ unlocked }) => {
+      if (unlocked && !useFixtures) this.refreshUserData();
+    });
+
+    // Secrets matched by the recovery scanner can be evaluated now
+    this.subscribe('secrets:recovered', () => {
+      if (!useFixtures) this.refreshUserData();
+    });
+
     // Dashboard manual refresh button
     this.subscribe('dashboard:refresh', () => {
-      if (this.state.connectedAddress) {
-        this.loadUserData(this.state.connectedAddress);
-        this.loadRefundableChances(this.state.connectedAddress);
-      }
+      this.refreshUserData();
     });
 
     // Listen for ColasseumIndexer ready to load data
     // (indexer initializes in background after app mounts)
     this.subscribe('colasseum:indexerReady', () => {
       console.log('[AppShell] ColasseumIndexer ready, loading challenges');
-      console.log('[AppShell] Current connectedAddress:', this.state.connectedAddress);
+      console.log('[AppShell] Current viewed address:', this.getViewedAddress());
       this.loadContractData();
-      if (this.state.connectedAddress) {
-        console.log('[AppShell] Loading user data for connected address');
-        this.loadRefundableChances(this.state.connectedAddress);
-        this.loadUserData(this.state.connectedAddress);
+      if (this.getViewedAddress()) {
+        console.log('[AppShell] Loading user data for viewed address');
+        this.refreshUserData();
       } else {
         console.log('[AppShell] No connected address yet, skipping user data load');
       }
@@ -214,114 +276,22 @@ class AppShell extends Component {
   }
 
   /**
-   * Handle claim submission - generate ZK proof and claim prize
+   * Handle claim submission - ClaimService proves (or resumes a saved proof) and claims
    * @param {Object} bottle - Bottle data
    * @param {string} passphrase - User's passphrase from ClaimModal
+   * @param {Object} [options]
+   * @param {boolean} [options.exportOnly] - Stop after the claim file, without sending victory()
    */
-  async handleClaim(bottle, passphrase) {
-    if (!this.props.contractService?.initialized) {
-      console.error('[AppShell] Contract service not initialized');
-      eventBus.emit('claim:status', { status: '', error: 'Contract service not available' });
+  async handleClaim(bottle, passphrase, { exportOnly = false } = {}) {
+    if (this.state.watchAddress) {
+      eventBus.emit('claim:state', { chanceId: bottle.id, step: CLAIM_STEPS.IDLE, error: 'Exit watch mode to claim with your own wallet' });
       return;
     }
 
     const ownerAddress = this.state.connectedAddress;
-    if (!ownerAddress) {
-      console.error('[AppShell] No wallet connected');
-      eventBus.emit('claim:status', { status: '', error: 'Please connect your wallet' });
-      return;
-    }
-
-    if (!passphrase) {
-      eventBus.emit('claim:status', { status: '', error: 'Passphrase is required' });
-      return;
-    }
-
-    try {
-      console.log('[AppShell] Starting claim for bottle', bottle.id, bottle);
-
-      // STEP 1: Verify passphrase matches commitment (fast fail for wrong passphrase)
-      eventBus.emit('claim:status', { status: 'verifying' });
-      const expectedCommitment = await cryptoService.generateCommitment(passphrase, ownerAddress);
-      if (expectedCommitment !== bottle.commitment) {
-        console.error('[AppShell] Passphrase does not match commitment');
-        eventBus.emit('claim:status', {
-          status: '',
-          error: 'Passphrase does not match this bottle. Please check and try again.',
-        });
-        return;
-      }
-      console.log('[AppShell] Passphrase verified - commitment matches');
-
-      // STEP 2: Get beacon root using slot-search algorithm (matches contract's _findCanonicalBeaconRoot)
-      eventBus.emit('claim:status', { status: 'generating' });
-      console.log('[AppShell] Finding canonical beacon root for timestamp:', bottle.targetTimestamp);
-
-      let beaconRoot;
-      let canonicalTimestamp;
-      if (this.props.devService?.isEnabled() && this.props.devService.oracleSeed) {
-        // DEV MODE with seed: Use DevService to warp time and derive root locally
-        console.log('[AppShell] Using DevService for beacon root (dev mode with seed)');
-        canonicalTimestamp = bottle.targetTimestamp;
-        beaconRoot = await this.props.devService.prepareForClaim(
-          bottle.targetTimestamp,
-          768, // SAFETY_DELAY
-          async () => {
-            const result = await this.props.contractService.findCanonicalBeaconRoot(bottle.targetTimestamp);
-            canonicalTimestamp = result.timestamp;
-            return result.root;
-          }
-        );
-      } else {
-        // PRODUCTION or dev without seed: Find canonical beacon root by searching blocks
-        console.log('[AppShell] Finding canonical beacon root from real blocks');
-        const result = await this.props.contractService.findCanonicalBeaconRoot(bottle.targetTimestamp);
-        beaconRoot = result.root;
-        canonicalTimestamp = result.timestamp;
-      }
-
-      console.log('[AppShell] Canonical beacon root:', beaconRoot, 'at timestamp:', canonicalTimestamp);
-      if (!beaconRoot || beaconRoot === '0x' + '0'.repeat(64)) {
-        console.error('[AppShell] No beacon root available');
-        eventBus.emit('claim:status', { status: '', error: 'Randomness not available yet. Please wait for cooldown.' });
-        return;
-      }
-
-      // STEP 3: Generate ZK proof
-      console.log('[AppShell] Generating ZK proof with inputs:', {
-        passphrase: '(hidden)',
-        ownerAddress,
-        beaconRoot,
-        commitment: bottle.commitment,
-        difficulty: bottle.difficulty,
-        numChances: bottle.numChances,
-      });
-
-      const { solidityProof } = await cryptoService.generateProof(
-        passphrase,
-        ownerAddress,
-        beaconRoot,
-        bottle.commitment,
-        bottle.difficulty,
-        bottle.numChances
-      );
-
-      console.log('[AppShell] Proof generated:', solidityProof);
-
-      // STEP 4: Submit claim transaction (victory)
-      eventBus.emit('claim:status', { status: 'claiming' });
-      const receipt = await this.props.contractService.victory(bottle.id, canonicalTimestamp, solidityProof);
-
-      console.log('[AppShell] Claim successful:', receipt);
-      eventBus.emit('claim:status', { status: 'success' });
-
-      // Refresh user data
-      await this.loadUserData(ownerAddress);
-
-    } catch (error) {
-      console.error('[AppShell] Claim failed:', error);
-      eventBus.emit('claim:status', { status: '', error: error.message });
-    }
+    console.log('[AppShell] Starting claim for bottle', bottle.id);
+    const step = await this.props.claimService.claim(bottle, passphrase, { owner: ownerAddress, exportOnly });
+    if (step === CLAIM_STEPS.CLAIMED) await this.loadUserData(ownerAddress);
   }
 
   /**
@@ -333,6 +303,10 @@ class AppShell extends Component {
       console.error('[AppShell] Contract service not initialized');
       return;
     }
+    if (this.state.watchAddress) {
+      console.warn('[AppShell] Cancel ignored in watch mode');
+      return;
+    }
 
     try {
       console.log('[AppShell] Cancelling challenge', challengeId);
@@ -346,7 +320,7 @@ class AppShell extends Component {
       eventBus.emit('challenge:cancelled', { challengeId });
     } catch (error) {
       console.error('[AppShell] Failed to cancel challenge:', error);
-      eventBus.emit('challenge:cancelError', { challengeId, error: error.message });
+      eventBus.emit('challenge:cancelError', { challengeId, error: formatColasseumError(error) });
     }
   }
 
@@ -406,7 +380,8 @@ class AppShell extends Component {
           lore: trial.lore || '',
           nftContract: trial.nftContract,
           tokenId: trial.nftId,
-          appraisalEth: this.calculateAppraisalFromDifficulty(trial.difficulty),
+          appraisal: trial.appraisal,
+          appraisalEth: trial.appraisalEth,
           difficulty: trial.difficulty,
           potEth: trial.ethPool,
           bottlesSold: numEntries,
@@ -427,6 +402,108 @@ class AppShell extends Component {
     }
   }
 
+  // ============================================
+  // WATCH MODE
+  // ============================================
+
+  /**
+   * Address whose portfolio is shown: the watched address, else the wallet
+   * @returns {string|null}
+   */
+  getViewedAddress() {
+    return this.state.watchAddress || this.state.connectedAddress;
+  }
+
+  /**
+   * Whether a load started for `address` still matches the viewed address.
+   * Entering or leaving watch mode, or switching wallets, makes it stale.
+   * @param {string} address
+   * @returns {boolean}
+   */
+  isViewing(address) {
+    const viewed = this.getViewedAddress();
+    return Boolean(address && viewed) && address.toLowerCase() === viewed.toLowerCase();
+  }
+
+  /**
+   * Reload bottles, refunds and stocked prizes for the viewed address
+   */
+  async refreshUserData() {
+    const address = this.getViewedAddress();
+    if (!address) return;
+    await Promise.all([
+      this.loadUserData(address),
+      this.loadRefundableChances(address),
+      this.loadChallengerTrials(address),
+    ]);
+  }
+
+  /**
+   * Show another address's portfolio read-only (provider reads only)
+   * @param {string} address
+   */
+  enterWatchMode(address) {
+    const trimmed = (address || '').trim();
+    if (!ethers.utils.isAddress(trimmed)) {
+      this.setState({ watchError: 'Enter a valid 0x address' });
+      return;
+    }
+
+    const watchAddress = ethers.utils.getAddress(trimmed);
+    console.log('[AppShell] Entering watch mode for', watchAddress);
+    setWatchAddressInUrl(watchAddress);
+    this.setState({ watchAddress, watchInput: '', watchError: null, refundableChances: [], challengerTrials: [] });
+    this.updateBottles([]);
+    eventBus.emit('refundable:found', { count: 0, chances: [] });
+    this.refreshUserData();
+  }
+
+  exitWatchMode() {
+    console.log('[AppShell] Leaving watch mode');
+    setWatchAddressInUrl(null);
+    this.setState({ watchAddress: null, watchError: null, refundableChances: [], challengerTrials: [] });
+    this.updateBottles([]);
+    eventBus.emit('refundable:found', { count: 0, chances: [] });
+    this.refreshUserData();
+  }
+
+  /**
+   * Load every prize an address has stocked, with current pot and outcome
+   * @param {string} address - Challenger address
+   */
+  async loadChallengerTrials(address) {
+    if (!this.props.colasseumIndexer?.initialized || !this.props.contractService?.initialized) return;
+
+    try {
+      const events = await this.props.colasseumIndexer.getChallengerTrials(address);
+      const trialIds = events.map(e => typeof e.trialId === 'object' ? e.trialId.toNumber() : Number(e.trialId));
+      const trials = await this.props.contractService.getTrials(trialIds);
+
+      const challengerTrials = await Promise.all(trials.map(async (trial, i) => {
+        let title = `Challenge #${trial.id}`;
+        try {
+          const metadata = await nftMetadataService.getMetadata(trial.nftContract, trial.nftId);
+          if (metadata?.name) title = metadata.name;
+        } catch {
+          // Keep the fallback title
+        }
+
+        return {
+          id: trial.id,
+          title,
+          appraisalEth: trial.appraisalEth,
+          potEth: trial.ethPool,
+          status: events[i].status,
+        };
+      }));
+
+      if (!this.isViewing(address)) return;
+      this.setState({ challengerTrials });
+    } catch (error) {
+      console.error('[AppShell] Failed to load challenger trials:', error);
+    }
+  }
+
   /**
    * Load refundable chances for a user using the event indexer.
    * @param {string} address - User's wallet address
@@ -436,6 +513,7 @@ class AppShell extends Component {
 
     try {
       const refundable = await this.props.colasseumIndexer.getRefundableChances(address);
+      if (!this.isViewing(address)) return;
       this.setState({ refundableChances: refundable });
 
       if (refundable.length > 0) {
@@ -457,8 +535,11 @@ class AppShell extends Component {
       return;
     }
 
+    // Someone else's bottles: never evaluate or store results locally
+    const readOnly = address?.toLowerCase() !== this.state.connectedAddress?.toLowerCase();
+
     try {
-      console.log('[AppShell] loadUserData starting for:', address);
+      console.log('[AppShell] loadUserData starting for:', address, readOnly ? '(read-only)' : '');
       // Get user's chances from indexer (event-based), including claimed ones
       const chanceEvents = await this.props.colasseumIndexer.getUserChances(address, { includeClaimed: true });
       console.log('[AppShell] getUserChances returned:', chanceEvents.length, 'events');
@@ -469,13 +550,20 @@ class AppShell extends Component {
       );
       const chances = await this.props.contractService.getChances(chanceIds);
 
+      if (!this.isViewing(address)) return;
+
+      // Bottles from other devices count as used passphrases too
+      if (!readOnly) recordCommitments(chances.map(c => c.commitment));
+
+      // Fetch each referenced trial once (batched) to calculate odds correctly
+      const liveChances = chances.filter(c => !c.refunded);
+      const trialsById = await this.props.contractService.getTrialsById(liveChances.map(c => c.trialId));
+
       // Transform chances to bottles format
       const bottles = await Promise.all(
-        chances
-          .filter(c => !c.refunded)
+        liveChances
           .map(async chance => {
-            // Get trial data to calculate odds correctly
-            const trial = await this.props.contractService.getTrial(chance.trialId);
+            const trial = trialsById.get(chance.trialId);
             const challenge = this.state.challenges.find(c => c.id === chance.trialId);
 
             // Resolve title: prefer challenge state, fall back to NFT metadata
@@ -489,25 +577,17 @@ class AppShell extends Component {
               }
             }
 
-            // Calculate odds: (numChances * difficulty / MAX_HASH) * 100
-            const odds = this.calculateOddsFromChancesAndDifficulty(
-              chance.numChances,
-              trial.difficulty
-            );
-
-            // Calculate price paid
-            const FIXED_CHANCE_PRICE = 0.000000001; // 1 gwei in ETH
-            const priceEth = (chance.numChances * FIXED_CHANCE_PRICE).toFixed(4);
+            const oddsBps = getOddsBps(trial.difficulty, chance.numChances);
+            const priceEth = this.formatChanceCost(chance.numChances);
 
             // Calculate cooldown remaining
             const now = Math.floor(Date.now() / 1000);
-            const safetyDelay = 768;
-            const cooldownEnd = chance.targetTimestamp + safetyDelay;
+            const cooldownEnd = chance.targetTimestamp + SAFETY_DELAY;
             const cooldownRemaining = Math.max(0, cooldownEnd - now);
 
             // Check if we already have a stored result
             let result = null;
-            const storedResult = getStoredWinResult(chance.id);
+            const storedResult = secretVault.getWinResult(chance.id);
             if (chance.claimed) {
               // Claimed chances are always wins
               result = 'win';
@@ -515,13 +595,13 @@ class AppShell extends Component {
               result = storedResult ? 'win' : 'loss';
             }
             // Evaluate win condition for cooled bottles that don't have a stored result
-            else if (cooldownRemaining <= 0) {
+            else if (!readOnly && cooldownRemaining <= 0 && this.isViewing(address)) {
               try {
                 const evaluated = await this.evaluateChanceOutcome(chance, trial, address);
                 if (evaluated !== null) {
                   result = evaluated ? 'win' : 'loss';
-                  storeWinResult(chance.id, evaluated);
-                  setRevealSeen(chance.id);
+                  secretVault.setWinResult(chance.id, evaluated);
+                  secretVault.setRevealSeen(chance.id);
                 }
               } catch (evalError) {
                 console.warn('[AppShell] Could not evaluate chance outcome:', evalError.message);
@@ -532,13 +612,14 @@ class AppShell extends Component {
               id: chance.id,
               challengeId: chance.trialId,
               challengeTitle,
-              odds,
+              oddsBps,
               priceEth,
               prizeEth: challenge?.appraisalEth || '0',
               purchaseTime: 0, // Not stored on chain, would need events
               refrigerationEnds: cooldownEnd * 1000,
               cooldownRemaining,
-              status: this.getBottleStatus(chance),
+              status: this.getBottleStatus(chance, result),
+              claimDeadline: getClaimDeadline(chance.targetTimestamp),
               commitment: chance.commitment,
               targetTimestamp: chance.targetTimestamp,
               numChances: chance.numChances,
@@ -549,6 +630,7 @@ class AppShell extends Component {
           })
       );
 
+      if (!this.isViewing(address)) return;
       console.log('[AppShell] Updating bottles, count:', bottles.length);
       this.updateBottles(bottles);
     } catch (error) {
@@ -565,7 +647,7 @@ class AppShell extends Component {
    */
   async evaluateChanceOutcome(chance, trial, ownerAddress) {
     // Get stored passphrase
-    const passphrase = getStoredPassphrase(chance.id);
+    const passphrase = secretVault.getPassphrase(chance.id);
     if (!passphrase) {
       console.log('[AppShell] No passphrase stored for chance', chance.id);
       return null;
@@ -606,74 +688,182 @@ class AppShell extends Component {
     return isWinner;
   }
 
-  calculateAppraisalFromDifficulty(difficulty) {
-    // Reverse the formula: difficulty = (MAX_HASH / appraisal) * FIXED_TICKET_PRICE
-    // appraisal = (MAX_HASH * FIXED_TICKET_PRICE) / difficulty
-    const MAX_HASH = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-    const FIXED_TICKET_PRICE = BigInt('1000000000'); // 0.000000001 ETH in wei
-
-    try {
-      const diffBigInt = BigInt(difficulty);
-      if (diffBigInt === 0n) return '0';
-
-      const appraisalWei = (MAX_HASH * FIXED_TICKET_PRICE) / diffBigInt;
-      // Convert wei to ETH (divide by 10^18)
-      const appraisalEth = Number(appraisalWei) / 1e18;
-      return appraisalEth.toFixed(4);
-    } catch {
-      return '0';
-    }
-  }
-
-  calculateOddsFromChancesAndDifficulty(numChances, difficulty) {
-    // odds = (numChances * difficulty / MAX_HASH) * 100
-    const MAX_HASH = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-
-    try {
-      const chancesBigInt = BigInt(numChances);
-      const diffBigInt = BigInt(difficulty);
-
-      // Calculate (numChances * difficulty * 100) / MAX_HASH
-      const oddsNumerator = chancesBigInt * diffBigInt * 100n;
-      const oddsBigInt = oddsNumerator / MAX_HASH;
-
-      // Cap at 99% for display
-      const odds = Number(oddsBigInt);
-      return Math.min(odds, 99);
-    } catch {
-      return 1;
-    }
+  /**
+   * Price paid for a number of chances, for display
+   * @param {number|string} numChances
+   * @returns {string} ETH, 4 decimals
+   */
+  formatChanceCost(numChances) {
+    return Number(ethers.utils.formatEther(getChanceCost(numChances))).toFixed(4);
   }
 
-  getBottleStatus(ticket) {
+  getBottleStatus(ticket, result = null) {
     const now = Math.floor(Date.now() / 1000);
-    const safetyDelay = 768; // ~12.8 minutes
 
     if (ticket.claimed) return 'claimed';
     if (ticket.refunded) return 'refunded';
 
-    if (now < ticket.targetTimestamp + safetyDelay) {
+    // Beacon root evicted - a win (or unrevealed bottle) can no longer be claimed
+    if (result !== 'loss' && now > getClaimDeadline(ticket.targetTimestamp)) return 'expired';
+
+    if (now < ticket.targetTimestamp + SAFETY_DELAY) {
       return 'cooling'; // BottleCard expects 'cooling' not 'refrigerating'
     }
 
     return 'ready';
   }
 
+  /**
+   * Add an optimistic bottle (valor) or prize (challenge) for a submitted transaction
+   * @param {Object} record - TransactionTracker record or tx:submitted payload
+   */
+  addOptimisticEntry({ id, kind, hash, meta }) {
+    if (kind === 'valor') {
+      const challenge = this.chainChallenges.find(c => c.id === meta.trialId);
+      this.optimisticBottles.set(id, {
+        id,
+        txHash: hash,
+        pending: true,
+        challengeId: meta.trialId,
+        challengeTitle: challenge?.title || `Challenge #${meta.trialId}`,
+        oddsBps: challenge?.difficulty ? getOddsBps(challenge.difficulty, meta.numChances) : null,
+        priceEth: this.formatChanceCost(meta.numChances),
+        prizeEth: challenge?.appraisalEth || '0',
+        purchaseTime: Date.now(),
+        refrigerationEnds: (meta.targetTimestamp + SAFETY_DELAY) * 1000,
+        cooldownRemaining: 0,
+        status: 'pending',
+        commitment: meta.commitment,
+        targetTimestamp: meta.targetTimestamp,
+        numChances: meta.numChances,
+        claimDeadline: getClaimDeadline(meta.targetTimestamp),
+        claimed: false,
+        difficulty: challenge?.difficulty,
+        result: null,
+      });
+      this.updateBottles(this.chainBottles);
+    } else if (kind === 'challenge') {
+      const optimistic = {
+        id,
+        txHash: hash,
+        pending: true,
+        title: 'Stocking...',
+        lore: meta.lore || '',
+        nftContract: meta.nftContract,
+        tokenId: meta.nftId,
+        appraisalEth: ethers.utils.formatEther(meta.appraisal),
+        potEth: '0',
+        bottlesSold: 0,
+        image: '',
+        creator: this.state.connectedAddress,
+        creationTime: Math.floor(Date.now() / 1000),
+        status: 'pending',
+      };
+      this.optimisticChallenges.set(id, optimistic);
+      this.updateChallenges(this.chainChallenges);
+
+      nftMetadataService.getMetadata(meta.nftContract, meta.nftId)
+        .then(metadata => {
+          if (!this.optimisticChallenges.has(id)) return;
+          if (metadata?.image) optimistic.image = metadata.image;
+          if (metadata?.name) optimistic.title = metadata.name;
+          this.updateChallenges(this.chainChallenges);
+        })
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Promote an optimistic bottle to a mined chance once its valor tx confirms
+   * @param {string} commitment
+   * @param {number} chanceId
+   */
+  confirmOptimisticBottle(commitment, chanceId) {
+    if (chanceId === undefined || chanceId === null) return;
+    for (const bottle of this.optimisticBottles.values()) {
+      if (bottle.commitment !== commitment) continue;
+      const now = Math.floor(Date.now() / 1000);
+      Object.assign(bottle, {
+        id: chanceId,
+        pending: false,
+        status: 'cooling',
+        cooldownRemaining: Math.max(0, bottle.targetTimestamp + SAFETY_DELAY - now),
+      });
+    }
+    this.updateBottles(this.chainBottles);
+  }
+
   updateChallenges(challenges) {
-    this.setState({ challenges });
-    if (this.challengeGridRef) this.challengeGridRef.setChallenges(challenges);
+    this.chainChallenges = challenges;
+
+    // Drop optimistic prizes once the indexer reports the same NFT as active
+    for (const [id, pending] of this.optimisticChallenges) {
+      const indexed = challenges.some(c =>
+        c.status === 'active' &&
+        c.nftContract?.toLowerCase() === pending.nftContract?.toLowerCase() &&
+        String(c.tokenId) === String(pending.tokenId)
+      );
+      if (indexed) this.optimisticChallenges.delete(id);
+    }
+
+    const merged = [...challenges, ...this.optimisticChallenges.values()];
+    this.setState({ challenges: merged });
+    if (this.challengeGridRef) this.challengeGridRef.setChallenges(merged);
   }
 
   updateBottles(bottles) {
-    this.setState({ bottles });
-    if (this.dashboardRef) this.dashboardRef.setBottles(bottles);
+    this.chainBottles = bottles;
+
+    // Drop optimistic bottles once the indexer reports the same commitment
+    for (const [id, pending] of this.optimisticBottles) {
+      if (bottles.some(b => b.commitment === pending.commitment)) this.optimisticBottles.delete(id);
+    }
+
+    // Optimistic bottles belong to the connected wallet, not a watched address
+    const optimistic = this.state.watchAddress ? [] : [...this.optimisticBottles.values()];
+    const merged = [...optimistic, ...bottles];
+    this.setState({ bottles: merged });
+    if (this.dashboardRef) this.dashboardRef.setBottles(merged);
+  }
+
+  renderWatchControls() {
+    const { watchAddress, watchInput, watchError } = this.state;
+
+    if (watchAddress) {
+      return h('div', { className: 'watch-banner' },
+        h('span', { className: 'watch-banner__label' },
+          `Viewing ${watchAddress.slice(0, 6)}...${watchAddress.slice(-4)} (read-only)`
+        ),
+        h('button', {
+          className: 'btn ghost small',
+          type: 'button',
+          onClick: () => this.exitWatchMode(),
+        }, 'Exit')
+      );
+    }
+
+    return h('div', { className: 'watch-form' },
+      h('input', {
+        className: 'watch-form__input',
+        type: 'text',
+        value: watchInput,
+        placeholder: 'Watch address 0x...',
+        onInput: (e) => this.setState({ watchInput: e.target.value, watchError: null }),
+      }),
+      h('button', {
+        className: 'btn ghost small',
+        type: 'button',
+        disabled: !watchInput.trim(),
+        onClick: () => this.enterWatchMode(watchInput),
+      }, 'Watch'),
+      watchError && h('span', { className: 'form-error watch-form__error' }, watchError)
+    );
   }
 
   render() {
-    const connectedAddress = this.state.connectedAddress;
-    const displayAddress = connectedAddress
-      ? `${connectedAddress.slice(0, 6)}...${connectedAddress.slice(-4)}`
-      : 'NOT CONNECTED';
+    const { connectedAddress, watchAddress } = this.state;
+    const readOnly = !!watchAddress;
+    const whose = readOnly ? 'Their' : 'Your';
 
     return h('div', { className: 'app-shell' },
       h('div', { className: 'vending-machine' },
@@ -700,6 +890,7 @@ class AppShell extends Component {
             challenges: this.state.challenges,
             contractService: this.props.contractService,
             asProductGrid: true,
+            readOnly,
             loading: this.state.loading,
           })
         ),
@@ -712,9 +903,11 @@ class AppShell extends Component {
               h('span', { className: `numpad__display-text ${this.state.numpadInput ? 'numpad__display-text--input' : ''}` },
                 this.state.numpadInput
                   ? `SELECT: ${this.state.numpadInput.toUpperCase()}_`
-                  : (connectedAddress
-                      ? `WALLET: ${connectedAddress}`
-                      : '>>> CONNECT WALLET TO PLAY <<<')
+                  : watchAddress
+                    ? `WATCHING: ${watchAddress}`
+                    : (connectedAddress
+                        ? `WALLET: ${connectedAddress}`
+                        : '>>> CONNECT WALLET TO PLAY <<<')
               )
             ),
             h('div', { className: 'numpad__letters' },
@@ -742,9 +935,27 @@ class AppShell extends Component {
               h('button', {
                 className: 'btn primary small',
                 type: 'button',
-                disabled: !connectedAddress,
+                disabled: !connectedAddress || readOnly,
                 onClick: () => eventBus.emit('modal:open', { modal: 'challengeWizard' }),
               }, '+ Stock Prize'),
+              h('button', {
+                className: 'btn ghost small',
+                type: 'button',
+                disabled: readOnly,
+                onClick: () => eventBus.emit('modal:open', { modal: 'governance' }),
+              }, 'Governance'),
+              h('button', {
+                className: 'btn ghost small',
+                type: 'button',
+                disabled: readOnly,
+                onClick: () => eventBus.emit('modal:open', { modal: 'vault' }),
+              }, 'Vault'),
+              h('button', {
+                className: 'btn ghost small',
+                type: 'button',
+                disabled: !connectedAddress || readOnly,
+                onClick: () => eventBus.emit('modal:open', { modal: 'recovery', bottles: this.chainBottles || [] }),
+              }, 'Recover'),
               h('button', {
                 className: 'btn ghost small',
                 type: 'button',
@@ -753,15 +964,15 @@ class AppShell extends Component {
             ),
             h('div', { className: 'machine-info__stats' },
               h('div', { className: 'machine-info__stat' },
-                h('span', { className: 'machine-info__stat-label' }, 'Your Total'),
+                h('span', { className: 'machine-info__stat-label' }, `${whose} Total`),
                 h('span', { className: 'machine-info__stat-value' }, this.state.bottles.length)
               ),
               h('div', { className: 'machine-info__stat' },
-                h('span', { className: 'machine-info__stat-label' }, 'Your Live'),
+                h('span', { className: 'machine-info__stat-label' }, `${whose} Live`),
                 h('span', { className: 'machine-info__stat-value' }, this.state.bottles.filter(b => b.status === 'active').length)
               ),
               h('div', { className: 'machine-info__stat' },
-                h('span', { className: 'machine-info__stat-label' }, 'Your Wins'),
+                h('span', { className: 'machine-info__stat-label' }, `${whose} Wins`),
                 h('span', { className: 'machine-info__stat-value' }, this.state.bottles.filter(b => b.status === 'won').length)
               ),
               h('div', { className: 'machine-info__stat' },
@@ -776,6 +987,7 @@ class AppShell extends Component {
         h('div', { className: 'dispense-slot' },
           h('div', { className: 'dispense-slot__header' },
             h('div', { className: 'dispense-slot__label' }, '▼ Dispense Tray ▼'),
+            this.renderWatchControls(),
             h('button', {
               className: 'btn ghost small dispense-slot__refresh',
               type: 'button',
@@ -785,8 +997,10 @@ class AppShell extends Component {
           h(Dashboard, {
             ref: (inst) => { this.dashboardRef = inst; },
             bottles: this.state.bottles,
+            trials: this.state.challengerTrials,
             contractService: this.props.contractService,
             compact: true,
+            readOnly,
           })
         ),
 
@@ -816,7 +1030,10 @@ class AppShell extends Component {
       h(ModalManager, {
         walletService: this.props.walletService,
         contractService: this.props.contractService,
+        claimService: this.props.claimService,
+        colasseumIndexer: this.props.colasseumIndexer,
         challenges: this.state.challenges,
+        readOnly,
       })
     );
   }
@@ -853,7 +1070,9 @@ class AppShell extends Component {
         const index = this.slotCodeToIndex(numpadInput);
         if (index >= 0 && index < sortedChallenges.length) {
           const challenge = sortedChallenges[index];
-          if (challenge.status === 'active') {
+          if (this.state.watchAddress) {
+            eventBus.emit('challenge:preview', { challenge });
+          } else if (challenge.status === 'active') {
             eventBus.emit('modal:open', {
               modal: 'entry',
               challenge,
@@ -64,6 +64,11 @@ class ChallengeGrid extends Component {
   }
 
   handleSlotClick(challenge, index) {
+    // Watch mode: details only, never the purchase flow
+    if (this.props.readOnly) {
+      eventBus.emit('challenge:preview', { challenge });
+      return;
+    }
     eventBus.emit('modal:open', {
       modal: 'entry',
       challenge,
@@ -73,12 +78,15 @@ class ChallengeGrid extends Component {
 
   renderProductSlot(challenge, i) {
     const slotIndex = this.getSlotIndex(i);
-    const isEnded = challenge.status !== 'active';
+    // Pending = stocking tx submitted but not yet indexed
+    const isPending = challenge.status === 'pending';
+    const isEnded = !isPending && challenge.status !== 'active';
+    const stateClass = isPending ? 'product-slot--pending' : isEnded ? 'product-slot--sold-out' : '';
 
     return h('div', {
       key: challenge.id || i,
-      className: `product-slot ${isEnded ? 'product-slot--sold-out' : ''}`,
-      onClick: () => !isEnded && this.handleSlotClick(challenge, i),
+      className: `product-slot ${stateClass}`,
+      onClick: () => (challenge.status === 'active' || (this.props.readOnly && !isPending)) && this.handleSlotClick(challenge, i),
     },
       h('span', { className: 'product-slot__index' }, slotIndex),
       h('div', { className: 'product-slot__image' },
@@ -1,4 +1,5 @@
-import { Component, h, eventBus } from '@monygroupcorp/microact';
+import { Component, h } from '@monygroupcorp/microact';
+import { ethers } from 'ethers';
 import ChallengeHeader from './ChallengeHeader.js';
 import ModalManager from './ModalManager.js';
 import Dashboard from './Dashboard.js';
@@ -6,7 +7,10 @@ import WinnersSection from './WinnersSection.js';
 import ChallengeCard from '../ui/ChallengeCard.js';
 import cryptoService from '../../services/CryptoService.js';
 import nftMetadataService from '../../services/NftMetadataService.js';
-import { getStoredPassphrase, getStoredWinResult, storeWinResult, setRevealSeen } from '../ui/EntryModal.js';
+import { getClaimDeadline } from '../../services/ContractService.js';
+import { SAFETY_DELAY, getChanceCost, getOddsBps } from '../../services/ProtocolMath.js';
+import secretVault from '../../services/SecretVault.js';
+import { CLAIM_STEPS } from '../../services/ClaimService.js';
 
 class ChallengePageView extends Component {
   constructor(props) {
@@ -19,6 +23,10 @@ class ChallengePageView extends Component {
       connectedAddress: null,
     };
     this.dashboardRef = null;
+
+    // Bottles whose valor tx is submitted but not yet indexed (keyed by tracker id)
+    this.chainBottles = [];
+    this.optimisticBottles = new Map();
   }
 
   didMount() {
@@ -45,12 +53,38 @@ class ChallengePageView extends Component {
     });
 
     this.subscribe('wallet:disconnected', () => {
+      this.optimisticBottles.clear();
+      this.chainBottles = [];
       this.setState({ connectedAddress: null, bottles: [] });
     });
 
     // Handle claim submission
-    this.subscribe('claim:submit', async ({ bottle, passphrase }) => {
-      await this.handleClaim(bottle, passphrase);
+    this.subscribe('claim:submit', async ({ bottle, passphrase, exportOnly }) => {
+      await this.handleClaim(bottle, passphrase, { exportOnly });
+    });
+
+    // Cancel an in-flight proof (ClaimModal Cancel button or close)
+    this.subscribe('claim:cancel', () => {
+      this.props.claimService?.cancel();
+    });
+
+    // Show purchases for this challenge before the indexer picks them up
+    for (const record of this.props.contractService?.transactions?.getPending('valor') || []) {
+      this.addOptimisticBottle(record);
+    }
+
+    this.subscribe('tx:submitted', (record) => {
+      if (record.kind === 'valor') this.addOptimisticBottle(record);
+    });
+
+    const dropOptimistic = ({ id }) => {
+      if (this.optimisticBottles.delete(id)) this.setBottles(this.chainBottles);
+    };
+    this.subscribe('tx:cancelled', dropOptimistic);
+    this.subscribe('tx:failed', dropOptimistic);
+
+    this.subscribe('contract:challengeAccepted', ({ chanceId, commitment }) => {
+      secretVault.claimPendingPassphrase(commitment, chanceId);
     });
 
     // Listen for new indexed events
@@ -123,7 +157,8 @@ class ChallengePageView extends Component {
         lore: trial.lore || '',
         nftContract: trial.nftContract,
         tokenId: trial.nftId,
-        appraisalEth: this.calculateAppraisalFromDifficulty(trial.difficulty),
+        appraisal: trial.appraisal,
+        appraisalEth: trial.appraisalEth,
         difficulty: trial.difficulty,
         potEth: trial.ethPool,
         bottlesSold: numEntries,
@@ -157,24 +192,25 @@ class ChallengePageView extends Component {
         return;
       }
 
-      const chances = await contractService.getChances(chanceIds);
-      const trial = await contractService.getTrial(parseInt(challengeId, 10));
+      // Both reads go out in the same multicall batch
+      const [chances, trial] = await Promise.all([
+        contractService.getChances(chanceIds),
+        contractService.getTrial(parseInt(challengeId, 10)),
+      ]);
 
       const bottles = await Promise.all(
         chances
           .filter(c => !c.refunded)
           .map(async chance => {
-            const odds = this.calculateOddsFromChancesAndDifficulty(chance.numChances, trial.difficulty);
-            const FIXED_CHANCE_PRICE = 0.000000001;
-            const priceEth = (chance.numChances * FIXED_CHANCE_PRICE).toFixed(4);
+            const oddsBps = getOddsBps(trial.difficulty, chance.numChances);
+            const priceEth = this.formatChanceCost(chance.numChances);
 
             const now = Math.floor(Date.now() / 1000);
-            const safetyDelay = 768;
-            const cooldownEnd = chance.targetTimestamp + safetyDelay;
+            const cooldownEnd = chance.targetTimestamp + SAFETY_DELAY;
             const cooldownRemaining = Math.max(0, cooldownEnd - now);
 
             let result = null;
-            const storedResult = getStoredWinResult(chance.id);
+            const storedResult = secretVault.getWinResult(chance.id);
             if (chance.claimed) {
               result = 'win';
             } else if (storedResult !== null) {
@@ -184,8 +220,8 @@ class ChallengePageView extends Component {
                 const evaluated = await this.evaluateChanceOutcome(chance, trial, address);
                 if (evaluated !== null) {
                   result = evaluated ? 'win' : 'loss';
-                  storeWinResult(chance.id, evaluated);
-                  setRevealSeen(chance.id);
+                  secretVault.setWinResult(chance.id, evaluated);
+                  secretVault.setRevealSeen(chance.id);
                 }
               } catch (evalError) {
                 console.warn('[ChallengePageView] Could not evaluate chance:', evalError.message);
@@ -196,12 +232,13 @@ class ChallengePageView extends Component {
               id: chance.id,
               challengeId: chance.trialId,
               challengeTitle: this.state.challenge?.title || `Challenge #${chance.trialId}`,
-              odds,
+              oddsBps,
               priceEth,
               purchaseTime: 0,
               refrigerationEnds: cooldownEnd * 1000,
               cooldownRemaining,
-              status: this.getBottleStatus(chance),
+              status: this.getBottleStatus(chance, result),
+              claimDeadline: getClaimDeadline(chance.targetTimestamp),
               commitment: chance.commitment,
               targetTimestamp: chance.targetTimestamp,
               numChances: chance.numChances,
@@ -212,15 +249,14 @@ class ChallengePageView extends Component {
           })
       );
 
-      this.setState({ bottles });
-      if (this.dashboardRef) this.dashboardRef.setBottles(bottles);
+      this.setBottles(bottles);
     } catch (error) {
       console.error('[ChallengePageView] Failed to load user bottles:', error);
     }
   }
 
   async evaluateChanceOutcome(chance, trial, ownerAddress) {
-    const passphrase = getStoredPassphrase(chance.id);
+    const passphrase = secretVault.getPassphrase(chance.id);
     if (!passphrase) return null;
 
     const isAvailable = await this.props.contractService.isRandomnessAvailable(chance.targetTimestamp);
@@ -240,119 +276,62 @@ class ChallengePageView extends Component {
     return isWinner;
   }
 
-  async handleClaim(bottle, passphrase) {
-    const { contractService, devService } = this.props;
+  async handleClaim(bottle, passphrase, { exportOnly = false } = {}) {
     const ownerAddress = this.state.connectedAddress;
+    const step = await this.props.claimService.claim(bottle, passphrase, { owner: ownerAddress, exportOnly });
+    if (step === CLAIM_STEPS.CLAIMED) await this.loadUserBottles(ownerAddress);
+  }
 
-    if (!contractService?.initialized) {
-      eventBus.emit('claim:status', { status: '', error: 'Contract service not available' });
-      return;
-    }
-
-    if (!ownerAddress) {
-      eventBus.emit('claim:status', { status: '', error: 'Please connect your wallet' });
-      return;
-    }
-
-    if (!passphrase) {
-      eventBus.emit('claim:status', { status: '', error: 'Passphrase is required' });
-      return;
-    }
-
-    try {
-      eventBus.emit('claim:status', { status: 'verifying' });
-      const expectedCommitment = await cryptoService.generateCommitment(passphrase, ownerAddress);
-      if (expectedCommitment !== bottle.commitment) {
-        eventBus.emit('claim:status', { status: '', error: 'Passphrase does not match this bottle.' });
-        return;
-      }
-
-      eventBus.emit('claim:status', { status: 'generating' });
-
-      // Find canonical beacon root by searching actual blocks
-      let beaconRoot;
-      let beaconTimestamp;
-      if (devService?.isEnabled() && devService.oracleSeed) {
-        // Dev mode with seed: mock oracle accepts any timestamp
-        console.log('[ChallengePageView] Using DevService for beacon root (dev mode with seed)');
-        beaconTimestamp = bottle.targetTimestamp;
-        beaconRoot = await devService.prepareForClaim(
-          bottle.targetTimestamp,
-          768,
-          async () => {
-            const result = await contractService.findCanonicalBeaconRoot(bottle.targetTimestamp);
-            beaconTimestamp = result.timestamp;
-            return result.root;
-          }
-        );
-      } else {
-        // Production or dev without seed: search for real block timestamps
-        console.log('[ChallengePageView] Finding canonical beacon root from real blocks');
-        const result = await contractService.findCanonicalBeaconRoot(bottle.targetTimestamp);
-        beaconRoot = result.root;
-        beaconTimestamp = result.timestamp;
-        console.log('[ChallengePageView] Found canonical beacon root at timestamp:', beaconTimestamp);
-      }
-
-      if (!beaconRoot || beaconRoot === '0x' + '0'.repeat(64)) {
-        eventBus.emit('claim:status', { status: '', error: 'Randomness not available yet.' });
-        return;
-      }
-
-      const { solidityProof } = await cryptoService.generateProof(
-        passphrase,
-        ownerAddress,
-        beaconRoot,
-        bottle.commitment,
-        bottle.difficulty,
-        bottle.numChances
-      );
-
-      eventBus.emit('claim:status', { status: 'claiming' });
-      await contractService.victory(bottle.id, beaconTimestamp, solidityProof);
-
-      eventBus.emit('claim:status', { status: 'success' });
-      await this.loadUserBottles(ownerAddress);
-    } catch (error) {
-      console.error('[ChallengePageView] Claim failed:', error);
-      eventBus.emit('claim:status', { status: '', error: error.message });
-    }
+  formatChanceCost(numChances) {
+    return Number(ethers.utils.formatEther(getChanceCost(numChances))).toFixed(4);
   }
 
-  calculateAppraisalFromDifficulty(difficulty) {
-    const MAX_HASH = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-    const FIXED_TICKET_PRICE = BigInt('1000000000');
-    try {
-      const diffBigInt = BigInt(difficulty);
-      if (diffBigInt === 0n) return '0';
-      const appraisalWei = (MAX_HASH * FIXED_TICKET_PRICE) / diffBigInt;
-      const appraisalEth = Number(appraisalWei) / 1e18;
-      return appraisalEth.toFixed(4);
-    } catch {
-      return '0';
-    }
+  /**
+   * Add a pending bottle for a submitted valor tx on this challenge
+   * @param {Object} record - TransactionTracker record or tx:submitted payload
+   */
+  addOptimisticBottle({ id, hash, meta }) {
+    if (String(meta.trialId) !== String(this.props.challengeId)) return;
+    const { challenge } = this.state;
+
+    this.optimisticBottles.set(id, {
+      id,
+      txHash: hash,
+      pending: true,
+      challengeId: meta.trialId,
+      challengeTitle: challenge?.title || `Challenge #${meta.trialId}`,
+      oddsBps: challenge?.difficulty ? getOddsBps(challenge.difficulty, meta.numChances) : null,
+      priceEth: this.formatChanceCost(meta.numChances),
+      prizeEth: challenge?.appraisalEth || '0',
+      cooldownRemaining: 0,
+      status: 'pending',
+      commitment: meta.commitment,
+      targetTimestamp: meta.targetTimestamp,
+      numChances: meta.numChances,
+      claimDeadline: getClaimDeadline(meta.targetTimestamp),
+      claimed: false,
+      result: null,
+    });
+    this.setBottles(this.chainBottles);
   }
 
-  calculateOddsFromChancesAndDifficulty(numChances, difficulty) {
-    const MAX_HASH = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-    try {
-      const chancesBigInt = BigInt(numChances);
-      const diffBigInt = BigInt(difficulty);
-      const oddsNumerator = chancesBigInt * diffBigInt * 100n;
-      const oddsBigInt = oddsNumerator / MAX_HASH;
-      const odds = Number(oddsBigInt);
-      return Math.min(odds, 99);
-    } catch {
-      return 1;
+  setBottles(bottles) {
+    this.chainBottles = bottles;
+    for (const [id, pending] of this.optimisticBottles) {
+      if (bottles.some(b => b.commitment === pending.commitment)) this.optimisticBottles.delete(id);
     }
+
+    const merged = [...this.optimisticBottles.values(), ...bottles];
+    this.setState({ bottles: merged });
+    if (this.dashboardRef) this.dashboardRef.setBottles(merged);
   }
 
-  getBottleStatus(ticket) {
+  getBottleStatus(ticket, result = null) {
     const now = Math.floor(Date.now() / 1000);
-    const safetyDelay = 768;
     if (ticket.claimed) return 'claimed';
     if (ticket.refunded) return 'refunded';
-    if (now < ticket.targetTimestamp + safetyDelay) return 'cooling';
+    if (result !== 'loss' && now > getClaimDeadline(ticket.targetTimestamp)) return 'expired';
+    if (now < ticket.targetTimestamp + SAFETY_DELAY) return 'cooling';
     return 'ready';
   }
 
@@ -438,6 +417,7 @@ class ChallengePageView extends Component {
       h(ModalManager, {
         walletService,
         contractService,
+        claimService: this.props.claimService,
         challenges: [challenge],
       })
     );
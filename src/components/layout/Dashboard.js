@@ -1,5 +1,8 @@
 import { Component, h, eventBus } from '@monygroupcorp/microact';
 import BottleCard from '../ui/BottleCard.js';
+import { CLAIM_URGENT_SECONDS } from '../../services/ContractService.js';
+
+const TRIAL_STATUS_LABELS = { active: 'Live', won: 'Won', cancelled: 'Cancelled' };
 
 class Dashboard extends Component {
   constructor(props) {
@@ -26,6 +29,57 @@ class Dashboard extends Component {
     this.setState({ bottles });
   }
 
+  /**
+   * Unclaimed wins / unrevealed bottles whose beacon root is about to be evicted
+   */
+  getExpiringBottles() {
+    const now = Math.floor(Date.now() / 1000);
+    return this.state.bottles.filter(bottle =>
+      bottle.claimDeadline &&
+      !bottle.claimed &&
+      bottle.status !== 'expired' &&
+      bottle.status !== 'pending' &&
+      bottle.result !== 'loss' &&
+      bottle.cooldownRemaining <= 0 &&
+      bottle.claimDeadline - now > 0 &&
+      bottle.claimDeadline - now < CLAIM_URGENT_SECONDS
+    );
+  }
+
+  renderExpiryAlert(expiring, compact) {
+    const soonest = Math.min(...expiring.map(b => b.claimDeadline)) - Math.floor(Date.now() / 1000);
+    const minutes = Math.max(1, Math.floor(soonest / 60));
+    const wins = expiring.filter(b => b.result === 'win').length;
+    const label = wins > 0
+      ? `${wins} winning bottle${wins === 1 ? '' : 's'} unclaimed`
+      : `${expiring.length} bottle${expiring.length === 1 ? '' : 's'} not yet revealed`;
+
+    return h('div', { className: `expiry-alert ${compact ? 'expiry-alert--compact' : ''}` },
+      h('span', { className: 'expiry-alert__icon' }, '\u23F3'),
+      h('span', { className: 'expiry-alert__text' },
+        `${label} \u2014 the beacon root expires in ${minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`}`
+      )
+    );
+  }
+
+  /**
+   * Prizes the viewed address has stocked (challenger trials)
+   */
+  renderTrials(trials, compact) {
+    return h('div', { className: `challenger-trials ${compact ? 'challenger-trials--compact' : ''}` },
+      h('p', { className: 'challenger-trials__title' },
+        `${this.props.readOnly ? 'Stocked' : 'Your stocked'} prizes (${trials.length})`
+      ),
+      trials.map(trial =>
+        h('div', { key: trial.id, className: 'challenger-trial' },
+          h('span', { className: 'challenger-trial__name' }, `#${trial.id} ${trial.title}`),
+          h('span', { className: 'muted small-text' }, `${trial.appraisalEth} ETH \u00B7 pot ${trial.potEth} ETH`),
+          h('span', { className: `challenger-trial__status ${trial.status}` }, TRIAL_STATUS_LABELS[trial.status] || trial.status)
+        )
+      )
+    );
+  }
+
   handleClaimRefunds = () => {
     // Emit event to open refund modal
     eventBus.emit('modal:openRefund', {
@@ -45,6 +99,9 @@ class Dashboard extends Component {
     const { collapsed, refundableChances, bottles } = this.state;
     const count = bottles.length;
     const refundCount = refundableChances.length;
+    const expiring = this.getExpiringBottles();
+    const trials = this.props.trials || [];
+    const readOnly = !!this.props.readOnly;
 
     const bodyClass = collapsed ? 'collapsed' : '';
     const toggleText = collapsed ? 'Show' : 'Hide';
@@ -53,6 +110,7 @@ class Dashboard extends Component {
     // Compact mode for vending machine dispense slot
     if (this.props.compact) {
       return h('div', { className: 'dispense-bottles' },
+        expiring.length > 0 && this.renderExpiryAlert(expiring, true),
         // Show refundable alert in compact mode too
         refundCount > 0 && h('div', { className: 'refundable-alert refundable-alert--compact' },
           h('div', { className: 'refundable-alert__content' },
@@ -61,22 +119,26 @@ class Dashboard extends Component {
               `${refundCount} refund${refundCount === 1 ? '' : 's'} available`
             )
           ),
-          h('button', {
+          !readOnly && h('button', {
             className: 'btn primary small',
             type: 'button',
             onClick: this.handleClaimRefunds,
           }, 'Claim')
         ),
+        trials.length > 0 && this.renderTrials(trials, true),
         isEmpty
-          ? h('p', { className: 'muted dispense-empty' }, 'Empty - buy a bottle to see it here!')
+          ? h('p', { className: 'muted dispense-empty' },
+              readOnly ? 'No bottles for this address.' : 'Empty - buy a bottle to see it here!')
           : bottles.map(bottle =>
-              h(BottleCard, { key: bottle.id, bottle, compact: true })
+              h(BottleCard, { key: bottle.id, bottle, compact: true, readOnly })
             )
       );
     }
 
     // Standard dashboard
     return h('section', { className: 'dashboard' },
+      expiring.length > 0 && this.renderExpiryAlert(expiring, false),
+
       refundCount > 0 && h('div', { className: 'refundable-alert' },
         h('div', { className: 'refundable-alert__content' },
           h('span', { className: 'refundable-alert__icon' }, '\u{1F4B0}'),
@@ -85,16 +147,18 @@ class Dashboard extends Component {
             h('span', { className: 'refundable-alert__count' }, `${refundCount} cancelled ${refundCount === 1 ? 'trial' : 'trials'} with unclaimed refunds`)
           )
         ),
-        h('button', {
+        !readOnly && h('button', {
           className: 'btn primary small',
           type: 'button',
           onClick: this.handleClaimRefunds,
         }, 'Claim Refunds')
       ),
 
+      trials.length > 0 && this.renderTrials(trials, false),
+
       h('div', { className: 'dashboard-controls' },
         h('div', { className: 'dashboard-title-row' },
-          h('h2', null, 'Your Bottles'),
+          h('h2', null, readOnly ? 'Bottles' : 'Your Bottles'),
           h('span', null, count)
         ),
         h('div', { className: 'dashboard-controls-actions' },
@@ -115,7 +179,7 @@ class Dashboard extends Component {
         isEmpty
           ? h('p', { className: 'muted' }, 'No bottles yet\u2014load a challenge to see them here.')
           : bottles.map(bottle =>
-              h(BottleCard, { key: bottle.id, bottle })
+              h(BottleCard, { key: bottle.id, bottle, readOnly })
             )
       )
     );
@@ -8,6 +8,7 @@ class Header extends Component {
       address: null,
       notificationCount: 0,
       notificationPanelOpen: false,
+      rpcStatus: null, // { endpoints, active } from ProviderManager
     };
   }
 
@@ -30,6 +31,9 @@ class Header extends Component {
     this.subscribe('wallet:disconnected', () => {
       this.setState({ connected: false, address: null });
     });
+    this.subscribe('rpc:status', (rpcStatus) => {
+      this.setState({ rpcStatus });
+    });
   }
 
   handleConnect = () => {
@@ -54,6 +58,29 @@ class Header extends Component {
     return `${addr.slice(0, 6)}\u2026${addr.slice(-4)}`;
   }
 
+  /**
+   * RPC health: green on a healthy active endpoint, amber while some endpoint
+   * is failing or rate limited, red when none is usable
+   */
+  renderRpcStatus() {
+    const { rpcStatus } = this.state;
+    if (!rpcStatus?.endpoints?.length) return null;
+
+    const usable = (e) => e.healthy && !e.lagging && !e.rateLimited;
+    const level = !rpcStatus.endpoints.some(usable) ? 'down'
+      : rpcStatus.endpoints.every(usable) ? 'ok' : 'degraded';
+    const title = rpcStatus.endpoints.map(e => {
+      const state = e.rateLimited ? 'rate limited' : !e.healthy ? `down (${e.lastError})` : e.lagging ? 'lagging' : 'ok';
+      const latency = e.latencyMs !== null ? `, ${e.latencyMs}ms` : '';
+      return `${e.active ? '\u25B8 ' : ''}${e.url}: ${state}${latency}`;
+    }).join('\n');
+
+    return h('span', { className: `rpc-status rpc-status--${level}`, title },
+      h('span', { className: 'rpc-status__dot', 'aria-hidden': 'true' }),
+      { ok: 'RPC ok', degraded: 'RPC degraded', down: 'RPC down' }[level]
+    );
+  }
+
   render() {
     const { connected, address, notificationCount, notificationPanelOpen } = this.state;
     const connectedClass = connected ? 'connected' : '';
@@ -71,7 +98,8 @@ class Header extends Component {
           className: 'btn ghost small',
           type: 'button',
           onClick: this.handleDisconnect,
-        }, '\u23CF\uFE0E Disconnect')
+        }, '\u23CF\uFE0E Disconnect'),
+        this.renderRpcStatus()
       );
     }
 
@@ -91,7 +119,8 @@ class Header extends Component {
         },
           h('span', { 'aria-hidden': 'true' }, '\u23CF\uFE0E'),
           h('span', { className: 'disconnect-text' }, 'Disconnect')
-        )
+        ),
+        this.renderRpcStatus()
       ),
       h('div', { className: 'notification-bell' },
         h('button', {
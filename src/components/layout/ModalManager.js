@@ -7,8 +7,14 @@ import ClaimModal from '../ui/ClaimModal.js';
 import RefundModal from '../ui/RefundModal.js';
 import WalletSelectModal from '../ui/WalletSelectModal.js';
 import WinDetailsModal from '../ui/WinDetailsModal.js';
+import GovernanceModal from '../ui/GovernanceModal.js';
+import VaultModal from '../ui/VaultModal.js';
+import RecoveryModal from '../ui/RecoveryModal.js';
 import fixturesChallenges from '../../fixtures/challenges.json';
 
+// Modals that lead to a transaction or use the viewer's secrets; blocked in watch mode
+const WRITE_MODALS = new Set(['entry', 'reveal', 'claim', 'refund', 'challengeWizard', 'vault', 'recovery']);
+
 class ModalManager extends Component {
   constructor(props) {
     super(props);
@@ -26,6 +32,9 @@ class ModalManager extends Component {
     this.refundModal = null;
     this.walletSelectModal = null;
     this.winDetailsModal = null;
+    this.governanceModal = null;
+    this.vaultModal = null;
+    this.recoveryModal = null;
   }
 
   didMount() {
@@ -80,12 +89,12 @@ class ModalManager extends Component {
       this.openModal('refund', { chances: data.chances });
     });
 
-    // Claim status updates (from AppShell)
-    this.subscribe('claim:status', (data) => {
+    // Claim steps, stages, errors and the saved claim file (from ClaimService)
+    this.subscribe('claim:state', (data) => {
       if (this.claimModal) {
-        this.claimModal.setStatus(data.status, data.error);
+        this.claimModal.setClaimState(data);
       }
-      if (data.status === 'success') {
+      if (data.step === 'claimed') {
         // Auto-close after success
         setTimeout(() => this.closeModal(), 2000);
       }
@@ -93,6 +102,11 @@ class ModalManager extends Component {
   }
 
   openModal(modalName, data = {}) {
+    if (this.props.readOnly && WRITE_MODALS.has(modalName)) {
+      console.warn('[ModalManager] Read-only mode, not opening', modalName);
+      return;
+    }
+
     document.body.classList.add('modal-open');
     this.setState({ activeModal: modalName, modalData: data });
 
@@ -124,6 +138,15 @@ class ModalManager extends Component {
         case 'winDetails':
           this.winDetailsModal?.setWinner(data.winner);
           break;
+        case 'governance':
+          this.governanceModal?.load();
+          break;
+        case 'vault':
+          this.vaultModal?.load();
+          break;
+        case 'recovery':
+          this.recoveryModal?.load(data.bottles);
+          break;
       }
     });
   }
@@ -165,10 +188,18 @@ class ModalManager extends Component {
       this.renderModal('challengeWizard', 'challenge-wizard', ChallengeWizard),
       this.renderModal('entry', 'challenge-wizard', EntryModal),
       this.renderModal('reveal', 'reveal-modal', RevealModal),
-      this.renderModal('claim', 'claim-modal', ClaimModal),
+      this.renderModal('claim', 'claim-modal', ClaimModal, {
+        claimService: this.props.claimService,
+      }),
       this.renderModal('refund', 'refund-modal', RefundModal),
       this.renderModal('walletSelect', 'wallet-select-modal', WalletSelectModal),
-      this.renderModal('winDetails', 'win-details-modal', WinDetailsModal)
+      this.renderModal('winDetails', 'win-details-modal', WinDetailsModal),
+      this.renderModal('governance', 'governance-modal', GovernanceModal, {
+        colasseumIndexer: this.props.colasseumIndexer,
+        readOnly: this.props.readOnly,
+      }),
+      this.renderModal('vault', 'vault-modal', VaultModal),
+      this.renderModal('recovery', 'recovery-modal', RecoveryModal)
     );
   }
 }
@@ -1,5 +1,8 @@
 import { Component, h, eventBus } from '@monygroupcorp/microact';
-import { hasRevealBeenSeen, getStoredWinResult, storeWinResult, setRevealSeen, getStoredPassphrase } from './EntryModal.js';
+import secretVault from '../../services/SecretVault.js';
+import { CLAIM_URGENT_SECONDS } from '../../services/ContractService.js';
+import { formatOddsBps } from '../../services/ProtocolMath.js';
+import cryptoService from '../../services/CryptoService.js';
 
 const SITE_URL = 'https://miladycola.net';
 
@@ -18,8 +21,8 @@ class BottleCard extends Component {
     const bottle = props.bottle;
 
     // Check if this bottle's reveal has already been seen
-    const alreadySeen = hasRevealBeenSeen(bottle.id);
-    const storedResult = getStoredWinResult(bottle.id);
+    const alreadySeen = secretVault.hasRevealBeenSeen(bottle.id);
+    const storedResult = secretVault.getWinResult(bottle.id);
 
     // Determine initial state
     let initialStatus = bottle.status;
@@ -32,8 +35,8 @@ class BottleCard extends Component {
                      (bottle.cooldownRemaining <= 0 && bottle.status !== 'cooling');
 
     // If reveal was seen or we have a result, show it directly
-    // But preserve 'claimed' status (already finalized on-chain)
-    if (initialStatus !== 'claimed' && (alreadySeen || initialResult) && isCooled) {
+    // But preserve 'claimed' / 'expired' status (already final)
+    if (initialStatus !== 'claimed' && initialStatus !== 'expired' && (alreadySeen || initialResult) && isCooled) {
       initialStatus = 'revealed';
     }
 
@@ -61,11 +64,57 @@ class BottleCard extends Component {
           status: 'revealed',
           result,
         });
+        this._prefetchIfClaimable();
       }
     });
 
+    this._prefetchIfClaimable();
+
     // Start countdown timer if cooling
     this._startCountdownIfNeeded();
+
+    // Claim deadline only needs minute precision
+    if (this.props.bottle.claimDeadline) {
+      this.setInterval(() => this._checkClaimDeadline(), 30000);
+    }
+  }
+
+  /**
+   * Re-render the deadline countdown and flip to 'expired' once it passes
+   */
+  _checkClaimDeadline() {
+    const { status, result } = this.state;
+    if (status === 'claimed' || status === 'expired' || result === 'loss') return;
+
+    if (this.getDeadlineRemaining() <= 0) {
+      this.setState({ status: 'expired' });
+    } else {
+      this.setState({ deadlineTick: Date.now() });
+    }
+  }
+
+  /**
+   * Warm the circuit cache while the user decides to claim
+   */
+  _prefetchIfClaimable() {
+    if (this.props.readOnly || this.props.bottle.claimed) return;
+    const { status, result } = this.state;
+    if (status === 'claimed' || status === 'expired') return;
+    if (status === 'claimable' || result === 'win') {
+      cryptoService.prefetchCircuitAssets();
+    }
+  }
+
+  getDeadlineRemaining() {
+    const { claimDeadline } = this.props.bottle;
+    if (!claimDeadline) return Infinity;
+    return claimDeadline - Math.floor(Date.now() / 1000);
+  }
+
+  formatDeadline(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
   }
 
   didUpdate() {
@@ -142,7 +191,11 @@ class BottleCard extends Component {
   generateColor(nonce) {
     // Use the nonce/id to generate a unique hue
     // Multiply by a prime to spread colors apart
-    const seed = (nonce * 137) % 360;
+    // Pending bottles are keyed by tx hash until mined - fold it into a number
+    const numeric = Number.isFinite(Number(nonce))
+      ? Number(nonce)
+      : [...String(nonce)].reduce((acc, ch) => (acc * 31 + ch.charCodeAt(0)) % 360, 0);
+    const seed = (numeric * 137) % 360;
     return `hsl(${seed}, 75%, 55%)`;
   }
 
@@ -215,10 +268,54 @@ class BottleCard extends Component {
     return h('div', { className: 'bottle-loading' }, 'Loading...');
   }
 
+  renderExpired() {
+    const { id, challengeTitle, oddsBps, priceEth } = this.props.bottle;
+    return h('article', { className: 'dashboard-bottle-card dashboard-bottle-card--expired' },
+      h('div', { className: 'dashboard-bottle-media' },
+        h('div', { className: 'dashboard-bottle-visual' },
+          this.renderBottleVisual()
+        )
+      ),
+      h('div', { className: 'dashboard-bottle-head' },
+        h('h4', null, challengeTitle),
+        h('span', { className: 'challenge-card__badge' }, `#${id}`)
+      ),
+      h('p', { className: 'dashboard-bottle-meta' }, `${formatOddsBps(oddsBps)} chance \u00B7 ${priceEth} ETH`),
+      h('p', { className: 'dashboard-bottle-status expired' }, 'Expired'),
+      h('p', { className: 'muted small-text' }, 'The beacon root for this bottle left the ~27h on-chain history. It can no longer be claimed.')
+    );
+  }
+
+  renderPending() {
+    const { challengeTitle, oddsBps, priceEth } = this.props.bottle;
+    return h('article', { className: 'dashboard-bottle-card dashboard-bottle-card--pending' },
+      h('div', { className: 'dashboard-bottle-media' },
+        h('div', { className: 'dashboard-bottle-visual' },
+          this.renderBottleVisual()
+        )
+      ),
+      h('div', { className: 'dashboard-bottle-head' },
+        h('h4', null, challengeTitle),
+        h('span', { className: 'challenge-card__badge' }, 'Pending')
+      ),
+      h('p', { className: 'dashboard-bottle-meta' }, `${formatOddsBps(oddsBps)} chance \u00B7 ${priceEth} ETH`),
+      h('p', { className: 'dashboard-bottle-status pending' }, 'Confirming\u2026')
+    );
+  }
+
   render() {
-    const { id, challengeTitle, odds, priceEth } = this.props.bottle;
+    const { id, challengeTitle, oddsBps, priceEth } = this.props.bottle;
     const { cooldownRemaining, status, result, watchedCountdownFinish } = this.state;
 
+    // Submitted but not yet mined - no chance ID, nothing to reveal
+    if (status === 'pending') {
+      return this.renderPending();
+    }
+
+    if (status === 'expired') {
+      return this.renderExpired();
+    }
+
     const isCooling = status === 'cooling' && cooldownRemaining > 0;
     const isReady = status === 'ready' && watchedCountdownFinish;
     const isClaimed = status === 'claimed';
@@ -232,9 +329,15 @@ class BottleCard extends Component {
     // Allow reveal if cooldown is done but we don't have a result yet
     // This lets users enter their passphrase manually or retry evaluation
     const needsReveal = isRevealed && result === null;
-    const hasStoredPassphrase = needsReveal && getStoredPassphrase(this.props.bottle.id);
+    const hasStoredPassphrase = needsReveal && secretVault.getPassphrase(this.props.bottle.id);
     // Only show reveal button if no result yet
-    const canReveal = result === null && (isReady || needsReveal || cooldownDone);
+    // Watch mode shows another address's bottles: no reveal or claim
+    const readOnly = !!this.props.readOnly;
+    const canReveal = !readOnly && result === null && (isReady || needsReveal || cooldownDone);
+
+    // Wins and not-yet-revealed bottles race the beacon root eviction
+    const deadlineRemaining = this.getDeadlineRemaining();
+    const showDeadline = !isClaimed && !isCooling && result !== 'loss' && Number.isFinite(deadlineRemaining);
 
     let statusText = '';
     let statusClass = '';
@@ -247,6 +350,9 @@ class BottleCard extends Component {
     } else if (isReady) {
       statusText = 'Ready to pop!';
       statusClass = '';
+    } else if (readOnly && needsReveal) {
+      statusText = 'Not revealed yet';
+      statusClass = '';
     } else if (needsReveal && !hasStoredPassphrase) {
       // Cooldown done and no passphrase stored - prompt user to enter it
       statusText = 'Enter passphrase to reveal';
@@ -284,8 +390,11 @@ class BottleCard extends Component {
         h('h4', null, challengeTitle),
         h('span', { className: 'challenge-card__badge' }, `#${id}`)
       ),
-      h('p', { className: 'dashboard-bottle-meta' }, `${odds}% chance \u00B7 ${priceEth} ETH`),
+      h('p', { className: 'dashboard-bottle-meta' }, `${formatOddsBps(oddsBps)} chance \u00B7 ${priceEth} ETH`),
       h('p', { className: `dashboard-bottle-status ${statusClass}` }, statusText),
+      showDeadline && h('p', {
+        className: `dashboard-bottle-deadline ${deadlineRemaining < CLAIM_URGENT_SECONDS ? 'urgent' : ''}`,
+      }, `Claim within ${this.formatDeadline(deadlineRemaining)}`),
       h('div', { className: 'dashboard-bottle-actions' },
         h('button', {
           className: 'btn ghost small bottle-preview-btn',
@@ -297,7 +406,7 @@ class BottleCard extends Component {
           type: 'button',
           onClick: this.handleReveal,
         }, 'Reveal'),
-        isClaimable && h('button', {
+        isClaimable && !readOnly && h('button', {
           className: 'btn primary small bottle-claim-btn',
           type: 'button',
           onClick: this.handleClaim,
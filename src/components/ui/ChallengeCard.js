@@ -1,6 +1,8 @@
 import { Component, h, eventBus } from '@monygroupcorp/microact';
 import { IpfsImage, IpfsService } from '@monygroupcorp/micro-web3';
+import { ethers } from 'ethers';
 import knownCollections from '../../fixtures/collections.json';
+import { getDeposit } from '../../services/ProtocolMath.js';
 
 const { isIpfsUri } = IpfsService;
 const knownAddresses = new Set(knownCollections.map(c => c.address.toLowerCase()));
@@ -64,7 +66,7 @@ class ChallengeCard extends Component {
     const showStatus = status !== 'active';
 
     // Cancel confirmation overlay
-    const depositLoss = (parseFloat(appraisalEth) * 0.05).toFixed(4);
+    const depositLoss = Number(ethers.utils.formatEther(getDeposit(ethers.utils.parseEther(String(appraisalEth || '0'))))).toFixed(4);
 
     return h('article', { className: `challenge-card ${statusClass}` },
       showCancelConfirm && h('div', { className: 'cancel-confirm-overlay' },
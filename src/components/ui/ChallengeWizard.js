@@ -3,6 +3,9 @@ import { IpfsImage, IpfsService } from '@monygroupcorp/micro-web3';
 import { ethers } from 'ethers';
 import knownCollections from '../../fixtures/collections.json';
 import nftMetadataService from '../../services/NftMetadataService.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+import { renderQuoteSummary } from './QuoteSummary.js';
+import { getDeposit } from '../../services/ProtocolMath.js';
 
 const { isIpfsUri } = IpfsService;
 
@@ -37,6 +40,9 @@ class ChallengeWizard extends Component {
       lore: '',
       walletBalance: '--',
       error: null,
+      quote: null,
+      quoteLoading: false,
+      quoteError: null,
     };
     this.appraisalStepTimeout = null;
     this.appraisalStepInterval = null;
@@ -57,6 +63,9 @@ class ChallengeWizard extends Component {
       appraisal: 0.2,
       lore: '',
       error: null,
+      quote: null,
+      quoteLoading: false,
+      quoteError: null,
     });
     this.scanCollections();
   }
@@ -548,9 +557,29 @@ class ChallengeWizard extends Component {
   };
 
   handleGoToReview = () => {
-    this.setState({ stage: 'review' });
+    this.setState({ stage: 'review', quote: null, quoteError: null });
+    this.refreshQuote();
   };
 
+  /**
+   * Quote approve (if needed) + challenge for the review stage
+   */
+  async refreshQuote() {
+    const contractService = this.props.contractService;
+    if (!contractService?.initialized || !contractService.signer) return;
+
+    const nftContract = this.state.selectedToken?.nftContract || this.state.manualContract;
+    const tokenId = this.state.selectedToken?.id;
+    this.setState({ quoteLoading: true });
+    try {
+      const quote = await contractService.quoteChallenge(nftContract, tokenId, String(this.state.appraisal), this.state.lore.trim());
+      this.setState({ quote, quoteLoading: false });
+    } catch (error) {
+      console.warn('[ChallengeWizard] Quote failed:', error);
+      this.setState({ quoteLoading: false, quoteError: formatColasseumError(error) });
+    }
+  }
+
   handleBackToAppraisal = () => {
     this.setState({ stage: 'appraisal' });
   };
@@ -586,7 +615,7 @@ class ChallengeWizard extends Component {
         console.error('[ChallengeWizard] Failed to create challenge:', error);
         this.setState({
           stage: 'review',
-          error: error.reason || error.message || 'Transaction failed',
+          error: formatColasseumError(error),
         });
       }
     } else {
@@ -599,7 +628,12 @@ class ChallengeWizard extends Component {
   };
 
   getDepositAmount() {
-    return (this.state.appraisal * 0.05).toFixed(4);
+    try {
+      const deposit = getDeposit(ethers.utils.parseEther(String(this.state.appraisal)));
+      return Number(ethers.utils.formatEther(deposit)).toFixed(4);
+    } catch {
+      return '0.0000';
+    }
   }
 
   /**
@@ -902,7 +936,7 @@ class ChallengeWizard extends Component {
 
   // Stage: review - final confirmation
   renderReviewStage() {
-    const { selectedToken, appraisal, lore } = this.state;
+    const { selectedToken, appraisal, lore, quote, quoteLoading, quoteError } = this.state;
     const deposit = this.getDepositAmount();
 
     // Get charity fee from contract service if available, default to 10%
@@ -937,6 +971,8 @@ class ChallengeWizard extends Component {
         )
       ),
 
+      renderQuoteSummary({ quote, loading: quoteLoading, error: quoteError }),
+
       h('p', { className: 'muted small-text review-note' }, `By creating this challenge, you'll escrow ${deposit} ETH. This returns to you when someone wins. The prize pot (minus ${charityPercent}% charity) goes to you as the challenger.`),
 
       h('div', { className: 'review-actions' },
@@ -948,6 +984,7 @@ class ChallengeWizard extends Component {
         h('button', {
           className: 'btn primary',
           type: 'button',
+          disabled: quote && !quote.sufficient,
           onClick: this.handleCreate,
         }, 'Create Challenge')
       )
@@ -1,8 +1,50 @@
 import { Component, h, eventBus } from '@monygroupcorp/microact';
-import { getStoredPassphrase } from './EntryModal.js';
+import secretVault from '../../services/SecretVault.js';
+import { renderQuoteSummary } from './QuoteSummary.js';
+import cryptoService from '../../services/CryptoService.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+import { recoverBottlePassphrase } from '../../services/SignedPassphrase.js';
+import { CLAIM_STEPS } from '../../services/ClaimService.js';
 
 const SITE_URL = 'https://miladycola.net';
 
+const PROOF_STAGE_TEXT = {
+  assets: 'Loading circuit files...',
+  witness: 'Computing witness...',
+  prove: 'Generating ZK proof...',
+  verify: 'Verifying proof locally...',
+  format: 'Formatting proof...',
+};
+
+const STEP_TEXT = {
+  [CLAIM_STEPS.VERIFYING]: 'Verifying passphrase...',
+  [CLAIM_STEPS.FINDING_ROOT]: 'Finding beacon root...',
+  [CLAIM_STEPS.EVALUATING]: 'Checking the win condition...',
+  [CLAIM_STEPS.PROVED]: 'Proof verified and saved. Claiming sends it without proving again; the claim file sends victory() from any wallet.',
+  [CLAIM_STEPS.SIMULATING]: 'Checking proof against the contract...',
+  [CLAIM_STEPS.SUBMITTING]: 'Submitting claim transaction...',
+  [CLAIM_STEPS.CLAIMED]: 'Prize claimed successfully!',
+};
+
+// Steps with work in flight
+const BUSY_STEPS = new Set([
+  CLAIM_STEPS.VERIFYING,
+  CLAIM_STEPS.FINDING_ROOT,
+  CLAIM_STEPS.EVALUATING,
+  CLAIM_STEPS.PROVING,
+  CLAIM_STEPS.SIMULATING,
+  CLAIM_STEPS.SUBMITTING,
+]);
+
+function downloadJson(filename, data) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 function shareOnX(text) {
   const url = `https://x.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(SITE_URL)}`;
   window.open(url, '_blank', 'noopener,width=550,height=420');
@@ -16,25 +58,102 @@ class ClaimModal extends Component {
       passphrase: '',
       loading: false,
       error: null,
-      status: '', // '', 'generating', 'claiming', 'success'
+      step: CLAIM_STEPS.IDLE, // ClaimService step for this bottle
+      stage: null, // Proof stage while proving: 'assets' | 'witness' | 'prove' | 'verify' | 'format'
+      quote: null,
+      quoteLoading: false,
+      quoteError: null,
+      recovering: false,
+      recovered: false,
+      verifierError: null,
+      claimExport: null, // Saved proof + victory() calldata for this bottle
+      savedAt: null,
     };
   }
 
   setBottle(bottle) {
     // Try to auto-fill passphrase from storage
-    const storedPassphrase = getStoredPassphrase(bottle.id) || '';
+    const storedPassphrase = secretVault.getPassphrase(bottle.id) || '';
+    // A saved proof only counts once it is known to be the connected wallet's
+    const current = this.props.claimService?.getStep(bottle.id) || CLAIM_STEPS.IDLE;
+    const step = current === CLAIM_STEPS.PROVED ? CLAIM_STEPS.IDLE : current;
 
     this.setState({
       bottle,
       passphrase: storedPassphrase,
-      loading: false,
+      loading: BUSY_STEPS.has(step),
       error: null,
-      status: '',
+      step,
+      stage: null,
+      quote: null,
+      quoteError: null,
+      recovering: false,
+      recovered: false,
+      verifierError: null,
+      claimExport: null,
+      savedAt: null,
     });
+    this.refreshQuote(bottle);
+    this.checkVerifierKey();
+    this.loadSavedClaim(bottle);
+  }
+
+  /**
+   * Resume from a proof saved for the connected wallet, as ClaimService.claim does
+   */
+  async loadSavedClaim(bottle) {
+    const { claimService, contractService } = this.props;
+    if (!claimService || !contractService?.signer) return;
+
+    try {
+      const claimant = await contractService.signer.getAddress();
+      const saved = claimService.getSavedClaim(bottle.id, claimant);
+      if (!saved || String(this.state.bottle?.id) !== String(bottle.id)) return;
+      this.setState({ step: claimService.getStep(bottle.id), claimExport: saved.claim, savedAt: saved.savedAt });
+    } catch (error) {
+      console.warn('[ClaimModal] Could not load saved claim:', error);
+    }
+  }
+
+  /**
+   * Block the claim up front if the circuit files don't match the verifier
+   */
+  async checkVerifierKey() {
+    const contractService = this.props.contractService;
+    if (!contractService?.initialized) return;
+
+    try {
+      await cryptoService.assertVerifierKey(contractService);
+    } catch (error) {
+      if (error.code !== 'VERIFIER_MISMATCH') {
+        console.warn('[ClaimModal] Verifier check failed:', error); // Retried on claim
+        return;
+      }
+      this.setState({ verifierError: formatColasseumError(error) });
+    }
+  }
+
+  /**
+   * Quote the victory() fee. The proof does not exist yet, so gas is a typical value.
+   */
+  async refreshQuote(bottle) {
+    const contractService = this.props.contractService;
+    if (!contractService?.initialized || !contractService.signer) return;
+
+    this.setState({ quoteLoading: true });
+    try {
+      const quote = await contractService.quoteVictory(bottle.id, bottle.targetTimestamp);
+      if (this.state.bottle?.id !== bottle.id) return;
+      this.setState({ quote, quoteLoading: false });
+    } catch (error) {
+      console.warn('[ClaimModal] Quote failed:', error);
+      this.setState({ quoteLoading: false, quoteError: formatColasseumError(error) });
+    }
   }
 
   handleClose = () => {
-    this.setState({ loading: false, error: null, status: '' });
+    if (this.state.step === CLAIM_STEPS.PROVING) eventBus.emit('claim:cancel');
+    this.setState({ error: null });
     eventBus.emit('modal:close');
   };
 
@@ -42,34 +161,102 @@ class ClaimModal extends Component {
     this.setState({ passphrase: e.target.value, error: null });
   };
 
-  handleSubmitClaim = async () => {
-    const { bottle, passphrase } = this.state;
+  /**
+   * Regenerate a signature-derived secret from the connected wallet
+   */
+  handleRecover = async () => {
+    const { bottle } = this.state;
+    this.setState({ recovering: true, error: null });
+    try {
+      const passphrase = await recoverBottlePassphrase(this.props.contractService, bottle, cryptoService);
+      if (!passphrase) {
+        this.setState({
+          recovering: false,
+          error: 'This bottle\'s secret was not derived from this wallet. Enter the passphrase you typed instead.',
+        });
+        return;
+      }
+      secretVault.setPassphrase(bottle.id, passphrase);
+      this.setState({ passphrase, recovering: false, recovered: true });
+    } catch (error) {
+      console.warn('[ClaimModal] Recovery failed:', error);
+      this.setState({ recovering: false, error: formatColasseumError(error) });
+    }
+  };
+
+  /**
+   * @param {boolean} [exportOnly] - Generate the claim file without sending victory()
+   */
+  handleSubmitClaim = async (exportOnly = false) => {
+    const { bottle, passphrase, claimExport } = this.state;
 
-    if (!passphrase.trim()) {
+    if (!claimExport && !passphrase.trim()) {
       this.setState({ error: 'Please enter your passphrase' });
       return;
     }
 
-    this.setState({ loading: true, error: null, status: 'generating' });
+    this.setState({ loading: true, error: null });
 
-    // Emit event for AppShell to handle the actual claim
+    // Emit event for the view to hand to ClaimService
     eventBus.emit('claim:submit', {
       bottle,
       passphrase: passphrase.trim(),
+      exportOnly,
     });
   };
 
-  // Called by AppShell to update status
-  setStatus(status, error = null) {
+  handleDownloadClaim = () => {
+    const { bottle, claimExport } = this.state;
+    downloadJson(`miladycola-claim-${bottle.id}.json`, claimExport);
+  };
+
+  /**
+   * Forget the saved proof, so the next claim proves from the passphrase again
+   */
+  handleDiscardProof = () => {
+    try {
+      this.props.claimService.discard(this.state.bottle.id);
+    } catch (error) {
+      this.setState({ error: formatColasseumError(error) });
+    }
+  };
+
+  handleCancelProof = () => {
+    eventBus.emit('claim:cancel');
+  };
+
+  // Called by ModalManager on every ClaimService transition
+  setClaimState({ chanceId, step, stage, error, claimExport, savedAt }) {
+    if (String(this.state.bottle?.id) !== String(chanceId)) return;
     this.setState({
-      status,
-      error,
-      loading: status !== 'success' && status !== '' && !error,
+      step,
+      stage: step === CLAIM_STEPS.PROVING ? stage : null,
+      error: error || null,
+      loading: BUSY_STEPS.has(step),
+      claimExport: claimExport || null,
+      savedAt: savedAt || null,
     });
   }
 
+  /**
+   * Device-based proving time, with a warning on slow or low-memory devices
+   */
+  renderProofEstimate() {
+    const { seconds, slow, lowMemory } = cryptoService.estimateProofTime();
+    return h('div', { className: 'proof-estimate' },
+      h('p', { className: 'muted small-text' }, `Proof generation takes about ${seconds}s on this device.`),
+      lowMemory && h('p', { className: 'proof-estimate__warning small-text' },
+        'This device reports little memory. Proving may fail; a desktop browser is more reliable.'
+      ),
+      !lowMemory && slow && h('p', { className: 'proof-estimate__warning small-text' },
+        'This device looks slow. Keep this tab open until the proof is done.'
+      )
+    );
+  }
+
   render() {
-    const { bottle, passphrase, loading, error, status } = this.state;
+    const { bottle, passphrase, loading, error, step, quote, quoteLoading, quoteError } = this.state;
+    const { recovering, recovered, stage, verifierError, claimExport, savedAt } = this.state;
 
     if (!bottle) {
       return h('div', { className: 'claim-modal__panel' },
@@ -77,24 +264,14 @@ class ClaimModal extends Component {
       );
     }
 
-    const hasStoredPassphrase = getStoredPassphrase(bottle.id);
-    const canSubmit = passphrase.trim().length > 0 && !loading;
-
-    let statusText = '';
-    switch (status) {
-      case 'verifying':
-        statusText = 'Verifying passphrase...';
-        break;
-      case 'generating':
-        statusText = 'Generating ZK proof... This may take a moment.';
-        break;
-      case 'claiming':
-        statusText = 'Submitting claim transaction...';
-        break;
-      case 'success':
-        statusText = 'Prize claimed successfully!';
-        break;
-    }
+    const hasStoredPassphrase = secretVault.getPassphrase(bottle.id);
+    const claimed = step === CLAIM_STEPS.CLAIMED;
+    const canSubmit = (claimExport || passphrase.trim().length > 0) && !loading && !recovering && !verifierError;
+    const canRecover = Boolean(this.props.contractService?.signer) && !claimed && !claimExport;
+
+    const statusText = step === CLAIM_STEPS.PROVING
+      ? PROOF_STAGE_TEXT[stage] || 'Generating ZK proof...'
+      : STEP_TEXT[step] || '';
 
     return h('div', { className: 'claim-modal__panel' },
       h('div', { className: 'wizard-header' },
@@ -117,7 +294,9 @@ class ClaimModal extends Component {
         h('label', null,
           h('span', { className: 'label-row' },
             'Bottle Secret',
-            hasStoredPassphrase && h('span', { className: 'muted small-text' }, '(auto-filled from storage)')
+            recovered
+              ? h('span', { className: 'muted small-text' }, '(recovered from wallet signature)')
+              : hasStoredPassphrase && h('span', { className: 'muted small-text' }, '(auto-filled from storage)')
           ),
           h('input', {
             type: 'text',
@@ -128,15 +307,54 @@ class ClaimModal extends Component {
           })
         ),
 
+        canRecover && !recovered && h('button', {
+          className: 'btn ghost small',
+          type: 'button',
+          disabled: loading || recovering,
+          onClick: this.handleRecover,
+        }, recovering ? 'Waiting for signature...' : 'Recover with Wallet Signature'),
+
+        !claimed && renderQuoteSummary({ quote, loading: quoteLoading, error: quoteError }),
+
+        !loading && !claimed && !claimExport && this.renderProofEstimate(),
+
+        verifierError && h('p', { className: 'form-error' }, verifierError),
         error && h('p', { className: 'form-error' }, error),
         statusText && h('p', { className: 'form-status muted' }, statusText),
 
+        step === CLAIM_STEPS.PROVING && stage && h('button', {
+          className: 'btn ghost small',
+          type: 'button',
+          onClick: this.handleCancelProof,
+        }, 'Cancel'),
+
         h('div', {
           className: `modal-loader ${loading ? 'active' : ''}`,
           'aria-hidden': String(!loading),
         }),
 
-        status === 'success'
+        claimExport && h('button', {
+          className: 'btn ghost small',
+          type: 'button',
+          onClick: this.handleDownloadClaim,
+          title: 'Proof, public signals and encoded victory() calldata as JSON',
+        }, 'Download Claim File'),
+
+        claimExport && step === CLAIM_STEPS.PROVED && h('button', {
+          className: 'btn ghost small',
+          type: 'button',
+          onClick: this.handleDiscardProof,
+          title: savedAt ? `Saved ${new Date(savedAt).toLocaleString()}` : undefined,
+        }, 'Discard Saved Proof'),
+
+        !claimExport && !claimed && h('button', {
+          className: 'btn ghost small',
+          type: 'button',
+          disabled: !canSubmit,
+          onClick: () => this.handleSubmitClaim(true),
+        }, 'Generate Claim File Only'),
+
+        claimed
           ? h('div', { className: 'claim-success-actions' },
               h('button', {
                 className: 'btn primary full share-btn',
@@ -153,8 +371,8 @@ class ClaimModal extends Component {
               className: 'btn primary full',
               type: 'button',
               disabled: !canSubmit,
-              onClick: this.handleSubmitClaim,
-            }, loading ? 'Processing...' : 'Claim Prize')
+              onClick: () => this.handleSubmitClaim(),
+            }, loading ? 'Processing...' : (claimExport ? 'Claim with Saved Proof' : 'Claim Prize'))
       )
     );
   }
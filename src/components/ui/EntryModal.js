@@ -2,71 +2,31 @@ import { Component, h, eventBus } from '@monygroupcorp/microact';
 import { IpfsImage, IpfsService } from '@monygroupcorp/micro-web3';
 import { ethers } from 'ethers';
 import cryptoService from '../../services/CryptoService.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+import { renderQuoteSummary } from './QuoteSummary.js';
+import { deriveUniqueBottlePassphrase } from '../../services/SignedPassphrase.js';
+import secretVault from '../../services/SecretVault.js';
+import {
+  generatePassphrase,
+  estimatePassphraseStrength,
+  isCommitmentUsed,
+  recordCommitments,
+} from '../../services/Passphrase.js';
+import {
+  getChanceCost,
+  getChancesForOddsBps,
+  getMaxSafeChances,
+  getOddsBps,
+  getAppraisalFromDifficulty,
+  formatOdds,
+  formatOddsBps,
+  formatWinProbability,
+} from '../../services/ProtocolMath.js';
 
 const { isIpfsUri } = IpfsService;
 
-// BN128 field / MAX_HASH - same as contract
-const MAX_HASH = ethers.BigNumber.from(
-  '21888242871839275222246405745257275088548364400416034343698204186575808495617'
-);
-const FIXED_TICKET_PRICE = ethers.BigNumber.from('1000000000'); // 1 gwei in wei
-
-// LocalStorage helpers for passphrase
-const PASSPHRASE_PREFIX = 'miladycola_passphrase_';
-export function storePassphrase(chanceId, passphrase) {
-  try {
-    localStorage.setItem(`${PASSPHRASE_PREFIX}${chanceId}`, passphrase);
-  } catch (e) {
-    console.warn('[EntryModal] Failed to store passphrase:', e);
-  }
-}
-
-export function getStoredPassphrase(chanceId) {
-  try {
-    return localStorage.getItem(`${PASSPHRASE_PREFIX}${chanceId}`);
-  } catch (e) {
-    return null;
-  }
-}
-
-// Track if reveal animation has been seen
-const REVEAL_SEEN_PREFIX = 'miladycola_reveal_seen_';
-export function setRevealSeen(chanceId) {
-  try {
-    localStorage.setItem(`${REVEAL_SEEN_PREFIX}${chanceId}`, Date.now().toString());
-  } catch (e) {
-    console.warn('[EntryModal] Failed to store reveal seen:', e);
-  }
-}
-
-export function hasRevealBeenSeen(chanceId) {
-  try {
-    return !!localStorage.getItem(`${REVEAL_SEEN_PREFIX}${chanceId}`);
-  } catch (e) {
-    return false;
-  }
-}
-
-// Store simulated win result (until we have real ZK evaluation)
-const WIN_RESULT_PREFIX = 'miladycola_win_result_';
-export function storeWinResult(chanceId, isWinner) {
-  try {
-    localStorage.setItem(`${WIN_RESULT_PREFIX}${chanceId}`, isWinner ? 'win' : 'loss');
-  } catch (e) {
-    console.warn('[EntryModal] Failed to store win result:', e);
-  }
-}
-
-export function getStoredWinResult(chanceId) {
-  try {
-    const result = localStorage.getItem(`${WIN_RESULT_PREFIX}${chanceId}`);
-    if (result === 'win') return true;
-    if (result === 'loss') return false;
-    return null;
-  } catch (e) {
-    return null;
-  }
-}
+// Target timestamp is ~2 minutes past the current block (matching app-colasseum)
+const ENTRY_TARGET_OFFSET_SECONDS = 120;
 
 class EntryModal extends Component {
   constructor(props) {
@@ -74,27 +34,84 @@ class EntryModal extends Component {
     this.state = {
       challenge: null,
       oddsPercent: 1,
+      buyout: false, // Buy the largest chance count that does not wrap
+      buyoutConfirm: false,
       passphrase: '',
+      signedSecret: false, // Derive the passphrase from a wallet signature
+      reuseWarning: false, // The passphrase's commitment is already on a bottle
+      reuseConfirmed: false,
       loading: false,
+      txHash: null,
       error: null,
       isOwner: false,
       showCancelConfirm: false,
       cancelling: false,
+      quote: null,
+      quoteLoading: false,
+      quoteError: null,
+      cancelQuote: null,
     };
+    this.quoteRequest = 0;
   }
 
   setChallenge(challenge) {
     this.setState({
       challenge,
       oddsPercent: 1,
+      buyout: false,
+      buyoutConfirm: false,
       passphrase: '',
+      signedSecret: false,
+      reuseWarning: false,
+      reuseConfirmed: false,
       loading: false,
+      txHash: null,
       error: null,
       showCancelConfirm: false,
       cancelling: false,
+      quote: null,
+      quoteError: null,
+      cancelQuote: null,
     });
     // Check ownership async
     this.checkOwnership(challenge);
+    this.refreshQuote();
+  }
+
+  /**
+   * Quote gas + value for the selected odds. Responses for older odds are dropped.
+   */
+  async refreshQuote() {
+    const { challenge } = this.state;
+    const contractService = this.props.contractService;
+    if (!challenge?.difficulty || !contractService?.initialized || !contractService.signer) {
+      this.setState({ quote: null, quoteLoading: false, quoteError: null });
+      return;
+    }
+
+    const requestId = ++this.quoteRequest;
+    this.setState({ quoteLoading: true, quoteError: null });
+    try {
+      const numChances = this.getSelectedChances();
+      if (numChances === 0n) {
+        this.setState({ quote: null, quoteLoading: false });
+        return;
+      }
+      const block = await contractService.provider.getBlock('latest');
+      // Gas does not depend on the commitment value, so any placeholder works
+      const quote = await contractService.quoteValor(
+        challenge.id,
+        1,
+        block.timestamp + ENTRY_TARGET_OFFSET_SECONDS + 1,
+        Number(numChances)
+      );
+      if (requestId !== this.quoteRequest) return;
+      this.setState({ quote, quoteLoading: false });
+    } catch (error) {
+      if (requestId !== this.quoteRequest) return;
+      console.warn('[EntryModal] Quote failed:', error);
+      this.setState({ quote: null, quoteLoading: false, quoteError: formatColasseumError(error) });
+    }
   }
 
   async checkOwnership(challenge) {
@@ -116,32 +133,63 @@ class EntryModal extends Component {
   };
 
   /**
-   * Calculate number of chances needed for desired odds percentage
-   * Formula: numChances = ceil((MAX_HASH * oddsPercent / 100) / difficulty)
+   * Number of chances needed for the desired odds percentage, clamped to the
+   * trial's max safe count (the circuit's threshold wraps mod p beyond it)
+   * @returns {bigint} 0n when not even one chance is safe
    */
   calculateNumChances(oddsPercent, difficulty) {
-    if (!difficulty || difficulty.isZero()) {
-      return ethers.BigNumber.from(1);
-    }
-    // desiredShare = MAX_HASH * oddsPercent / 100
-    let desiredShare = MAX_HASH.mul(oddsPercent).div(100);
-    if (desiredShare.lte(0)) {
-      desiredShare = ethers.BigNumber.from(1);
-    }
-    // numChances = ceil(desiredShare / difficulty)
-    // ceil division: (a + b - 1) / b
-    let numChances = desiredShare.add(difficulty.sub(1)).div(difficulty);
-    if (numChances.lt(1)) {
-      numChances = ethers.BigNumber.from(1);
-    }
-    return numChances;
+    const wanted = getChancesForOddsBps(difficulty, oddsPercent * 100);
+    const maxSafe = getMaxSafeChances(difficulty);
+    return wanted > maxSafe ? maxSafe : wanted;
+  }
+
+  /**
+   * Whether the selected odds need more chances than can be bought safely
+   */
+  isClamped() {
+    const { challenge, oddsPercent } = this.state;
+    if (!challenge?.difficulty) return false;
+    return getChancesForOddsBps(challenge.difficulty, oddsPercent * 100) > getMaxSafeChances(challenge.difficulty);
+  }
+
+  /**
+   * Highest whole-percent odds the slider offers: 99, or less when the
+   * trial's max safe chance count cannot reach it
+   */
+  getMaxOddsPercent() {
+    const { challenge } = this.state;
+    if (!challenge?.difficulty) return 99;
+    const maxSafe = getMaxSafeChances(challenge.difficulty);
+    const maxOdds = Math.floor(getOddsBps(challenge.difficulty, maxSafe) / 100);
+    return Math.max(1, Math.min(99, maxOdds));
+  }
+
+  /**
+   * Chances for the current mode: the slider's odds, or the buyout count
+   * @returns {bigint}
+   */
+  getSelectedChances() {
+    const { challenge, oddsPercent, buyout } = this.state;
+    if (!challenge?.difficulty) return 1n;
+    if (buyout) return getMaxSafeChances(challenge.difficulty);
+    return this.calculateNumChances(oddsPercent, challenge.difficulty);
+  }
+
+  /**
+   * Exact appraisal in wei (on-chain when known, else derived from difficulty)
+   * @returns {bigint}
+   */
+  getAppraisalWei() {
+    const { challenge } = this.state;
+    if (challenge.appraisal !== undefined && challenge.appraisal !== null) return BigInt(challenge.appraisal.toString());
+    return getAppraisalFromDifficulty(challenge.difficulty);
   }
 
   /**
    * Calculate total cost in wei
    */
   calculateCostWei(numChances) {
-    return FIXED_TICKET_PRICE.mul(numChances);
+    return getChanceCost(numChances);
   }
 
   /**
@@ -152,20 +200,69 @@ class EntryModal extends Component {
   }
 
   handleOddsInput = (e) => {
-    const oddsPercent = parseInt(e.target.value, 10);
+    const oddsPercent = Math.min(parseInt(e.target.value, 10), this.getMaxOddsPercent());
     this.setState({ oddsPercent });
   };
 
   handleOddsChange = (e) => {
-    this.setState({ oddsPercent: parseInt(e.target.value, 10) });
+    this.setState({ oddsPercent: Math.min(parseInt(e.target.value, 10), this.getMaxOddsPercent()) });
+    this.refreshQuote();
   };
 
   handlePassphraseChange = (e) => {
-    this.setState({ passphrase: e.target.value });
+    this.setState({ passphrase: e.target.value, reuseWarning: false, reuseConfirmed: false });
+  };
+
+  handleGeneratePassphrase = () => {
+    this.setState({ passphrase: generatePassphrase(), signedSecret: false, reuseWarning: false, reuseConfirmed: false, error: null });
+  };
+
+  /**
+   * Send the entry with a passphrase already used on another bottle
+   */
+  handleConfirmReuse = () => {
+    this.setState({ reuseWarning: false, reuseConfirmed: true });
+    this.handlePurchase();
+  };
+
+  handleSignedSecretToggle = (e) => {
+    this.setState({ signedSecret: e.target.checked, reuseWarning: false, error: null });
+  };
+
+  /**
+   * Whether the bottle will have a secret: typed, or derived at purchase
+   * @returns {boolean}
+   */
+  hasSecret() {
+    return this.state.signedSecret || this.state.passphrase.trim().length > 0;
+  }
+
+  handleModeChange = (buyout) => {
+    if (buyout === this.state.buyout) return;
+    this.setState({ buyout, buyoutConfirm: false, error: null });
+    this.refreshQuote();
+  };
+
+  handleBuyoutReview = () => {
+    if (!this.hasSecret()) {
+      this.setState({ error: 'Please enter a passphrase to protect your bottle.' });
+      return;
+    }
+    this.setState({ buyoutConfirm: true, error: null });
   };
 
-  handleShowCancelConfirm = () => {
-    this.setState({ showCancelConfirm: true });
+  handleBuyoutBack = () => {
+    this.setState({ buyoutConfirm: false });
+  };
+
+  handleShowCancelConfirm = async () => {
+    this.setState({ showCancelConfirm: true, cancelQuote: null });
+    try {
+      const cancelQuote = await this.props.contractService.quoteCowardice(this.state.challenge.id);
+      this.setState({ cancelQuote });
+    } catch (error) {
+      console.warn('[EntryModal] Cancel quote failed:', error);
+    }
   };
 
   handleHideCancelConfirm = () => {
@@ -192,28 +289,36 @@ class EntryModal extends Component {
   };
 
   calculateDisplayPrice() {
-    const { challenge, oddsPercent } = this.state;
+    const { challenge } = this.state;
     if (!challenge?.difficulty) return '0.0000';
 
-    const difficulty = ethers.BigNumber.from(challenge.difficulty);
-    const numChances = this.calculateNumChances(oddsPercent, difficulty);
+    const numChances = this.getSelectedChances();
     const costWei = this.calculateCostWei(numChances);
     return parseFloat(this.formatEth(costWei)).toFixed(4);
   }
 
   calculateDisplayChances() {
-    const { challenge, oddsPercent } = this.state;
+    const { challenge } = this.state;
     if (!challenge?.difficulty) return '1';
 
-    const difficulty = ethers.BigNumber.from(challenge.difficulty);
-    const numChances = this.calculateNumChances(oddsPercent, difficulty);
-    return numChances.toString();
+    return this.getSelectedChances().toString();
+  }
+
+  /**
+   * Exact odds of the chances bought for the selected percentage
+   */
+  calculateDisplayOdds() {
+    const { challenge, oddsPercent } = this.state;
+    if (!challenge?.difficulty) return `${oddsPercent}%`;
+
+    return formatOdds(challenge.difficulty, this.getSelectedChances());
   }
 
   handlePurchase = async () => {
-    const { passphrase, challenge, oddsPercent } = this.state;
+    const { challenge, oddsPercent, buyout, signedSecret } = this.state;
+    let passphrase = this.state.passphrase;
 
-    if (!passphrase.trim()) {
+    if (!this.hasSecret()) {
       this.setState({ error: 'Please enter a passphrase to protect your bottle.' });
       return;
     }
@@ -222,6 +327,7 @@ class EntryModal extends Component {
 
     // If contractService is available, use real transactions
     if (this.props.contractService?.initialized) {
+      let pendingCommitment = null;
       try {
         // Get connected wallet address
         const address = await this.props.contractService.signer?.getAddress();
@@ -229,59 +335,106 @@ class EntryModal extends Component {
           throw new Error('Wallet not connected');
         }
 
-        // Calculate number of chances from odds percentage
-        const difficulty = ethers.BigNumber.from(challenge.difficulty);
-        const numChances = this.calculateNumChances(oddsPercent, difficulty);
-
-        // Create Poseidon commitment matching the ZK circuit
-        // commitment = Poseidon(passphrase_field, owner_field)
-        const commitment = await cryptoService.generateCommitment(passphrase, address);
+        // Chances from the odds percentage (clamped below the wrap point), or the buyout count
+        const difficulty = challenge.difficulty;
+        const numChances = this.getSelectedChances();
+        if (numChances === 0n) {
+          throw new Error('This prize is appraised too low for any chance to be safe.');
+        }
 
         // Get current block timestamp from the provider to ensure target is in future
         const provider = this.props.contractService.provider;
         const block = await provider.getBlock('latest');
         const currentBlockTime = block.timestamp;
 
-        // Set target timestamp to ~2 minutes from current block time (matching app-colasseum)
-        const ENTRY_TARGET_OFFSET_SECONDS = 120;
         const targetTimestamp = currentBlockTime + ENTRY_TARGET_OFFSET_SECONDS + 1;
 
+        // The same passphrase and owner give the same commitment, linking the bottles
+        // on-chain: taken if already on a bottle, or on an entry still in flight
+        const isTaken = (candidate) => isCommitmentUsed(candidate) || secretVault.hasPendingPassphrase(candidate);
+
+        // Create Poseidon commitment matching the ZK circuit
+        // commitment = Poseidon(passphrase_field, owner_field)
+        let commitment;
+        if (signedSecret) {
+          // The target timestamp is the signed message's nonce, so the signature
+          // is known first; a taken commitment moves on to the next candidate
+          ({ passphrase, commitment } = await deriveUniqueBottlePassphrase(
+            this.props.contractService,
+            challenge.id,
+            targetTimestamp,
+            { owner: address, cryptoService, isTaken }
+          ));
+        } else {
+          commitment = await cryptoService.generateCommitment(passphrase, address);
+          if (!this.state.reuseConfirmed && isTaken(commitment)) {
+            this.setState({ loading: false, reuseWarning: true });
+            return;
+          }
+        }
+
         console.log('[EntryModal] Preparing purchase:', {
           trialId: challenge.id,
           commitment: commitment.toString(),
           targetTimestamp,
           currentBlockTime,
           oddsPercent,
+          buyout,
+          signedSecret,
           numChances: numChances.toString(),
           difficulty: difficulty.toString(),
         });
 
+        // Hold the passphrase by commitment until the chanceId is known
+        pendingCommitment = commitment.toString();
+        secretVault.setPendingPassphrase(pendingCommitment, passphrase);
+
+        // Once the wallet returns a hash the optimistic bottle is already in the tray
+        const onSubmitted = ({ kind, hash, meta }) => {
+          if (kind === 'valor' && meta?.commitment === pendingCommitment) {
+            this.setState({ txHash: hash });
+          }
+        };
+        eventBus.on('tx:submitted', onSubmitted);
+
         // Enter the trial (valor)
-        const { chanceId } = await this.props.contractService.valor(
-          challenge.id,
-          commitment.toString(),
-          targetTimestamp,
-          numChances.toNumber()
-        );
+        let chanceId;
+        try {
+          ({ chanceId } = await this.props.contractService.valor(
+            challenge.id,
+            pendingCommitment,
+            targetTimestamp,
+            Number(numChances)
+          ));
+        } finally {
+          eventBus.off('tx:submitted', onSubmitted);
+        }
 
         // Store passphrase for later reveal
-        storePassphrase(chanceId, passphrase);
+        secretVault.setPassphrase(chanceId, passphrase);
+        secretVault.clearPendingPassphrase(pendingCommitment);
+        recordCommitments([pendingCommitment]);
 
-        this.setState({ loading: false });
+        this.setState({ loading: false, txHash: null, buyoutConfirm: false, reuseConfirmed: false });
         eventBus.emit('modal:close');
         eventBus.emit('bottle:purchased', {
           chanceId,
           challenge,
           oddsPercent,
+          buyout,
+          oddsBps: getOddsBps(difficulty, numChances),
           numChances: numChances.toString(),
           passphrase,
           price: this.calculateDisplayPrice(),
         });
       } catch (error) {
         console.error('[EntryModal] Failed to purchase bottle:', error);
+        if (pendingCommitment) secretVault.clearPendingPassphrase(pendingCommitment);
         this.setState({
           loading: false,
-          error: error.reason || error.message || 'Transaction failed',
+          txHash: null,
+          buyoutConfirm: false,
+          error: formatColasseumError(error),
         });
       }
     } else {
@@ -292,6 +445,7 @@ class EntryModal extends Component {
         eventBus.emit('bottle:purchased', {
           challenge,
           oddsPercent,
+          oddsBps: oddsPercent * 100,
           passphrase,
           price: this.calculateDisplayPrice(),
         });
@@ -299,8 +453,110 @@ class EntryModal extends Component {
     }
   };
 
+  /**
+   * How the odds are computed, and why the chance count is capped
+   */
+  renderOddsExplainer(chances, unwinnable) {
+    const { challenge } = this.state;
+    if (unwinnable) {
+      return h('p', { className: 'form-error' },
+        'This prize is appraised too low to enter: even one bottle pushes the win threshold past the BN254 field prime, where it wraps around to almost no odds.'
+      );
+    }
+
+    const maxSafe = getMaxSafeChances(challenge.difficulty);
+    return h('div', { className: 'odds-explainer muted small-text' },
+      h('p', null,
+        `${chances} bottles. You win if your hash falls below difficulty \u00D7 bottles, out of ~2^254 possible hashes: `,
+        h('strong', null, this.calculateDisplayOdds()),
+        ' real odds.'
+      ),
+      this.isClamped() && h('p', { className: 'odds-explainer__cap' },
+        `Capped at ${maxSafe} bottles. The circuit computes the threshold mod the field prime, so buying more would wrap it around and your odds would drop to almost zero.`
+      )
+    );
+  }
+
+  /**
+   * Buy-it-now summary: the largest non-wrapping chance count, its exact
+   * odds and what it costs next to the appraisal
+   */
+  renderBuyoutSummary() {
+    const { challenge } = this.state;
+    const chances = this.getSelectedChances();
+    const cost = getChanceCost(chances);
+    const appraisal = this.getAppraisalWei();
+    const ratio = appraisal > 0n ? formatOddsBps(Number((cost * 10_000n) / appraisal)) : '—';
+    const diff = cost - appraisal;
+
+    return h('div', { className: 'buyout-summary' },
+      h('div', { className: 'buyout-summary__row' },
+        h('span', { className: 'muted' }, 'Bottles'),
+        h('strong', null, chances.toString())
+      ),
+      h('div', { className: 'buyout-summary__row' },
+        h('span', { className: 'muted' }, 'Win probability'),
+        h('strong', null, formatWinProbability(challenge.difficulty, chances))
+      ),
+      h('div', { className: 'buyout-summary__row' },
+        h('span', { className: 'muted' }, 'Total cost'),
+        h('strong', null, `${ethers.utils.formatEther(cost)} ETH`)
+      ),
+      h('div', { className: 'buyout-summary__row' },
+        h('span', { className: 'muted' }, 'Appraisal'),
+        h('span', null, `${ethers.utils.formatEther(appraisal)} ETH`)
+      ),
+      h('p', { className: 'muted small-text' },
+        `That is ${ratio} of the appraisal (${diff >= 0n ? '+' : '-'}${ethers.utils.formatEther(diff >= 0n ? diff : -diff)} ETH). `,
+        'One more bottle would wrap the threshold past the field prime, so this is the best odds a single purchase can buy.'
+      )
+    );
+  }
+
+  /**
+   * Estimated entropy of the typed passphrase
+   */
+  renderStrengthMeter() {
+    const { bits, level } = estimatePassphraseStrength(this.state.passphrase);
+    const hint = {
+      weak: 'Easy to guess: anyone could check your bottle before you reveal it.',
+      fair: 'Guessable with effort. A generated passphrase is safer.',
+      strong: 'Hard to guess.',
+    }[level];
+
+    return h('div', { className: `passphrase-strength passphrase-strength--${level}` },
+      h('div', { className: 'passphrase-strength__bar' },
+        h('span', { style: `width: ${{ weak: 33, fair: 66, strong: 100 }[level]}%` })
+      ),
+      h('p', { className: 'muted small-text' }, `Strength: ${level} (~${bits} bits). ${hint}`)
+    );
+  }
+
+  renderReuseWarning() {
+    return h('div', { className: 'passphrase-reuse' },
+      h('p', null,
+        'You already used this passphrase on another bottle. Its commitment would be identical, so anyone can tell the bottles are yours.'
+      ),
+      h('div', { className: 'buyout-confirm__actions' },
+        h('button', {
+          className: 'btn ghost',
+          type: 'button',
+          onClick: this.handleConfirmReuse,
+        }, 'Use It Anyway'),
+        h('button', {
+          className: 'btn primary',
+          type: 'button',
+          onClick: this.handleGeneratePassphrase,
+        }, 'Generate a New One')
+      )
+    );
+  }
+
   render() {
     const { challenge, oddsPercent, passphrase, loading, error, isOwner, showCancelConfirm, cancelling } = this.state;
+    const { buyout, buyoutConfirm, signedSecret, reuseWarning } = this.state;
+    const canSign = Boolean(this.props.contractService?.signer);
+    const { quote, quoteLoading, quoteError, cancelQuote } = this.state;
 
     if (!challenge) {
       return h('div', { className: 'challenge-wizard__panel' },
@@ -310,7 +566,9 @@ class EntryModal extends Component {
 
     const price = this.calculateDisplayPrice();
     const chances = this.calculateDisplayChances();
-    const canPurchase = passphrase.trim().length > 0 && !loading && !cancelling;
+    const insufficient = quote && !quote.sufficient;
+    const unwinnable = challenge.difficulty && getMaxSafeChances(challenge.difficulty) === 0n;
+    const canPurchase = this.hasSecret() && !loading && !cancelling && !insufficient && !unwinnable && !reuseWarning;
 
     return h('div', { className: 'challenge-wizard__panel' },
       h('div', { className: 'wizard-header' },
@@ -343,70 +601,140 @@ class EntryModal extends Component {
             h('button', {
               className: 'info-pill info-pill--mini',
               type: 'button',
-              'data-tooltip': "Keeps your win state private so you can claim in peace. Don't lose this passphrase or you can't claim a prize. (don't just say milady)",
-            }, '\u2139\uFE0E')
+              'data-tooltip': "Keeps your win state private so you can claim in peace. Anyone who guesses it can check your bottle before you do, and reusing it links your bottles on-chain. Don't lose it or you can't claim a prize.",
+            }, '\u2139\uFE0E'),
+            !signedSecret && h('button', {
+              className: 'btn ghost small',
+              type: 'button',
+              disabled: loading,
+              onClick: this.handleGeneratePassphrase,
+            }, 'Generate')
           ),
           h('input', {
             type: 'text',
-            value: passphrase,
-            placeholder: 'Passphrase (e.g., my-secret-phrase)',
+            value: signedSecret ? '' : passphrase,
+            placeholder: signedSecret ? 'Derived from your wallet signature' : 'Type a passphrase or generate one',
+            disabled: signedSecret,
             onInput: this.handlePassphraseChange,
           })
         ),
 
-        h('div', { className: 'slider-row' },
+        !signedSecret && passphrase.trim() && this.renderStrengthMeter(),
+
+        canSign && h('label', { className: 'checkbox-row' },
+          h('input', {
+            type: 'checkbox',
+            checked: signedSecret,
+            disabled: loading,
+            onChange: this.handleSignedSecretToggle,
+          }),
+          h('span', { className: 'muted small-text' },
+            'Derive the secret from a wallet signature instead. The same wallet can regenerate it on any device.'
+          )
+        ),
+
+        secretVault.exists() && !secretVault.isUnlocked() && h('p', { className: 'muted small-text' },
+          'Your secret vault is locked, so this secret stays unencrypted until you next unlock it.'
+        ),
+
+        challenge.difficulty && !unwinnable && h('div', { className: 'entry-mode', role: 'group' },
+          h('button', {
+            className: `btn small ${buyout ? 'ghost' : 'secondary'}`,
+            type: 'button',
+            disabled: loading,
+            onClick: () => this.handleModeChange(false),
+          }, 'Pick Odds'),
+          h('button', {
+            className: `btn small ${buyout ? 'secondary' : 'ghost'}`,
+            type: 'button',
+            disabled: loading,
+            onClick: () => this.handleModeChange(true),
+          }, 'Buy It Now')
+        ),
+
+        buyout ? this.renderBuyoutSummary() : h('div', { className: 'slider-row' },
           h('div', null,
             h('p', { className: 'label' }, 'Victory Odds'),
-            h('div', null, `${oddsPercent}%`)
+            h('div', null, this.calculateDisplayOdds())
           ),
           h('input', {
             type: 'range',
             min: '1',
-            max: '99',
+            max: String(this.getMaxOddsPercent()),
             value: oddsPercent,
             onInput: this.handleOddsInput,
             onChange: this.handleOddsChange,
           })
         ),
 
+        challenge.difficulty && !buyout && this.renderOddsExplainer(chances, unwinnable),
+
         h('div', { className: 'payment-readout' },
           'Bottle Price: ',
           h('strong', null, `${price} ETH`)
         ),
 
+        renderQuoteSummary({ quote, loading: quoteLoading, error: quoteError }),
+
         error && h('p', { className: 'form-error' }, error),
 
+        reuseWarning && this.renderReuseWarning(),
+
         h('div', {
           className: `modal-loader ${loading ? 'active' : ''}`,
           'aria-hidden': String(!loading),
         }),
 
-        h('button', {
-          className: 'btn primary full',
-          type: 'button',
-          disabled: !canPurchase,
-          onClick: this.handlePurchase,
-        }, loading ? 'Processing...' : 'Buy Bottle'),
+        buyout && buyoutConfirm
+          ? h('div', { className: 'buyout-confirm' },
+              h('p', null,
+                `Send ${ethers.utils.formatEther(getChanceCost(chances))} ETH for ${chances} bottles at ${formatWinProbability(challenge.difficulty, chances)} odds? `,
+                'You can still lose, and the ETH goes to the pot either way.'
+              ),
+              h('div', { className: 'buyout-confirm__actions' },
+                h('button', {
+                  className: 'btn ghost',
+                  type: 'button',
+                  disabled: loading,
+                  onClick: this.handleBuyoutBack,
+                }, 'Back'),
+                h('button', {
+                  className: 'btn primary',
+                  type: 'button',
+                  disabled: !canPurchase,
+                  onClick: this.handlePurchase,
+                }, loading ? (this.state.txHash ? 'Confirming...' : 'Processing...') : 'Confirm Buyout')
+              )
+            )
+          : h('button', {
+              className: 'btn primary full',
+              type: 'button',
+              disabled: !canPurchase,
+              onClick: buyout ? this.handleBuyoutReview : this.handlePurchase,
+            }, loading ? (this.state.txHash ? 'Confirming...' : 'Processing...') : (buyout ? 'Review Buyout' : 'Buy Bottle')),
 
         // Owner cancel section
         isOwner && h('div', { className: 'owner-cancel-section' },
           h('hr', { className: 'section-divider' }),
           h('p', { className: 'muted small-text owner-cancel-label' }, 'You created this challenge'),
           showCancelConfirm
-            ? h('div', { className: 'cancel-confirm-row' },
-                h('span', { className: 'cancel-confirm-text' }, 'Cancel this challenge?'),
-                h('button', {
-                  className: 'btn ghost small',
-                  type: 'button',
-                  disabled: cancelling,
-                  onClick: this.handleHideCancelConfirm,
-                }, 'No'),
-                h('button', {
-                  className: 'btn danger small',
-                  type: 'button',
-                  disabled: cancelling,
-                  onClick: this.handleConfirmCancel,
-                }, cancelling ? 'Cancelling...' : 'Yes, Cancel')
+            ? h('div', null,
+                h('div', { className: 'cancel-confirm-row' },
+                  h('span', { className: 'cancel-confirm-text' }, 'Cancel this challenge?'),
+                  h('button', {
+                    className: 'btn ghost small',
+                    type: 'button',
+                    disabled: cancelling,
+                    onClick: this.handleHideCancelConfirm,
+                  }, 'No'),
+                  h('button', {
+                    className: 'btn danger small',
+                    type: 'button',
+                    disabled: cancelling,
+                    onClick: this.handleConfirmCancel,
+                  }, cancelling ? 'Cancelling...' : 'Yes, Cancel')
+                ),
+                cancelQuote && renderQuoteSummary({ quote: cancelQuote })
               )
             : h('button', {
                 className: 'btn ghost full',
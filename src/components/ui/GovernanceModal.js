@@ -0,0 +1,333 @@
+import { Component, h, eventBus } from '@monygroupcorp/microact';
+import { ethers } from 'ethers';
+import { renderQuoteSummary } from './QuoteSummary.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+
+// Indexed events that change what this panel shows
+const GOVERNANCE_EVENTS = ['HonorPending', 'HonorAffirmed', 'TrustBestowed'];
+
+const HISTORY_LIMIT = 10;
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—';
+}
+
+function formatBps(bps) {
+  return `${(Number(bps) / 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+}
+
+/**
+ * GovernanceModal - Charity, generosity and witness
+ *
+ * Shows the current charity, its generosity, the witness and any pending
+ * charity proposal. The charity can propose a successor (honor), the witness
+ * can confirm it (affirm) or hand the witness role on (trust).
+ */
+class GovernanceModal extends Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      governance: null, // { charity, generosity, witness }
+      pending: null, // { donations, generosity, ... } from the indexer
+      history: [],
+      account: null,
+      loading: false,
+      error: null,
+      processing: null, // 'honor' | 'affirm' | 'trust'
+      proposedCharity: '',
+      proposedGenerosity: '',
+      newWitness: '',
+      quoteAction: null,
+      quote: null,
+      quoteLoading: false,
+      quoteError: null,
+    };
+    this.quoteRequest = 0;
+  }
+
+  didMount() {
+    this.subscribe('indexer:newEvents', ({ eventType }) => {
+      if (GOVERNANCE_EVENTS.includes(eventType)) this.load();
+    });
+    this.subscribe('contract:honorPending', () => this.load());
+    this.subscribe('contract:honorAffirmed', () => this.load());
+    this.subscribe('contract:trustBestowed', () => this.load());
+  }
+
+  /**
+   * Refresh on-chain roles, the pending proposal and recent history
+   */
+  async load() {
+    const { contractService, colasseumIndexer } = this.props;
+    if (!contractService?.initialized) return;
+
+    this.setState({ loading: true, error: null });
+    try {
+      const [governance, account, pending, history] = await Promise.all([
+        contractService.getGovernance(),
+        contractService.signer ? contractService.signer.getAddress() : null,
+        colasseumIndexer?.initialized ? colasseumIndexer.getPendingHonor() : null,
+        colasseumIndexer?.initialized ? colasseumIndexer.getGovernanceHistory({ limit: HISTORY_LIMIT }) : [],
+      ]);
+      this.setState({ governance, account, pending, history, loading: false });
+
+      if (pending && this.isWitness()) this.refreshQuote('affirm');
+    } catch (error) {
+      console.error('[GovernanceModal] Failed to load governance:', error);
+      this.setState({ loading: false, error: formatColasseumError(error) });
+    }
+  }
+
+  isCharity() {
+    const { governance, account } = this.state;
+    return !this.props.readOnly && !!account && account.toLowerCase() === governance?.charity?.toLowerCase();
+  }
+
+  isWitness() {
+    const { governance, account } = this.state;
+    return !this.props.readOnly && !!account && account.toLowerCase() === governance?.witness?.toLowerCase();
+  }
+
+  /**
+   * Parsed honor() inputs, or null while incomplete / invalid
+   */
+  getHonorArgs() {
+    const { proposedCharity, proposedGenerosity } = this.state;
+    const percent = Number(proposedGenerosity);
+    if (!ethers.utils.isAddress(proposedCharity.trim())) return null;
+    if (proposedGenerosity === '' || !Number.isFinite(percent) || percent < 0 || percent > 100) return null;
+    return [ethers.utils.getAddress(proposedCharity.trim()), Math.round(percent * 100)];
+  }
+
+  getTrustArgs() {
+    const newWitness = this.state.newWitness.trim();
+    return ethers.utils.isAddress(newWitness) ? [ethers.utils.getAddress(newWitness)] : null;
+  }
+
+  /**
+   * Quote the fee for one governance write (latest request wins)
+   * @param {'honor'|'affirm'|'trust'} action
+   */
+  async refreshQuote(action) {
+    const contractService = this.props.contractService;
+    if (!contractService?.initialized || !contractService.signer) return;
+
+    const args = action === 'honor' ? this.getHonorArgs() : action === 'trust' ? this.getTrustArgs() : [];
+    const request = ++this.quoteRequest;
+    if (!args) {
+      this.setState({ quoteAction: null, quote: null, quoteLoading: false, quoteError: null });
+      return;
+    }
+
+    this.setState({ quoteAction: action, quote: null, quoteLoading: true, quoteError: null });
+    try {
+      const quote = action === 'honor'
+        ? await contractService.quoteHonor(...args)
+        : action === 'trust'
+          ? await contractService.quoteTrust(...args)
+          : await contractService.quoteAffirm();
+      if (request !== this.quoteRequest) return;
+      this.setState({ quote, quoteLoading: false });
+    } catch (error) {
+      if (request !== this.quoteRequest) return;
+      console.warn('[GovernanceModal] Quote failed:', error);
+      this.setState({ quoteLoading: false, quoteError: formatColasseumError(error) });
+    }
+  }
+
+  handleClose = () => {
+    eventBus.emit('modal:close');
+  };
+
+  /**
+   * Send a governance write and reload once it is mined
+   * @param {'honor'|'affirm'|'trust'} action
+   */
+  async submit(action) {
+    const contractService = this.props.contractService;
+    if (this.state.processing) return;
+
+    const args = action === 'honor' ? this.getHonorArgs() : action === 'trust' ? this.getTrustArgs() : [];
+    if (!args) {
+      this.setState({ error: 'Enter a valid address and generosity (0-100%).' });
+      return;
+    }
+
+    this.setState({ processing: action, error: null });
+    try {
+      await contractService[action](...args);
+      this.setState({
+        processing: null,
+        proposedCharity: action === 'honor' ? '' : this.state.proposedCharity,
+        proposedGenerosity: action === 'honor' ? '' : this.state.proposedGenerosity,
+        newWitness: action === 'trust' ? '' : this.state.newWitness,
+        quoteAction: null,
+        quote: null,
+      });
+      await this.load();
+    } catch (error) {
+      console.error(`[GovernanceModal] ${action} failed:`, error);
+      this.setState({ processing: null, error: formatColasseumError(error) });
+    }
+  }
+
+  renderQuote(action) {
+    const { quoteAction, quote, quoteLoading, quoteError } = this.state;
+    if (quoteAction !== action) return null;
+    return renderQuoteSummary({ quote, loading: quoteLoading, error: quoteError });
+  }
+
+  renderHistoryEntry(entry) {
+    let text = '';
+    switch (entry.type) {
+      case 'HonorPending':
+        text = `Proposed ${shortAddress(entry.donations)} at ${formatBps(entry.generosity)}`;
+        break;
+      case 'HonorAffirmed':
+        text = `Affirmed ${shortAddress(entry.donations)} at ${formatBps(entry.generosity)}`;
+        break;
+      case 'TrustBestowed':
+        text = `Witness ${shortAddress(entry.oldWitness)} → ${shortAddress(entry.newWitness)}`;
+        break;
+    }
+    return h('li', { key: `${entry.transactionHash}-${entry.type}`, className: 'governance-history__item' },
+      h('span', null, text),
+      h('span', { className: 'muted small-text' }, `block ${entry.blockNumber}`)
+    );
+  }
+
+  render() {
+    const { governance, pending, history, loading, error, processing, proposedCharity, proposedGenerosity, newWitness } = this.state;
+    const isCharity = this.isCharity();
+    const isWitness = this.isWitness();
+    const canQuote = !!this.props.contractService?.signer;
+
+    return h('div', { className: 'governance-modal__panel' },
+      h('div', { className: 'wizard-header' },
+        h('div', { className: 'wizard-header__copy' },
+          h('h2', null, 'Governance'),
+          h('p', { className: 'caption' }, 'Charity changes are proposed by the charity and confirmed by the witness.')
+        ),
+        h('button', {
+          className: 'icon-btn wizard-header__close',
+          type: 'button',
+          onClick: this.handleClose,
+        }, 'Close')
+      ),
+
+      loading && !governance && h('p', { className: 'muted' }, 'Loading governance...'),
+
+      governance && h('div', { className: 'governance-roles' },
+        h('div', { className: 'governance-role' },
+          h('span', { className: 'muted' }, 'Charity'),
+          h('strong', { title: governance.charity }, shortAddress(governance.charity)),
+          isCharity && h('span', { className: 'governance-role__you' }, 'You')
+        ),
+        h('div', { className: 'governance-role' },
+          h('span', { className: 'muted' }, 'Generosity'),
+          h('strong', null, formatBps(governance.generosity))
+        ),
+        h('div', { className: 'governance-role' },
+          h('span', { className: 'muted' }, 'Witness'),
+          h('strong', { title: governance.witness }, shortAddress(governance.witness)),
+          isWitness && h('span', { className: 'governance-role__you' }, 'You')
+        )
+      ),
+
+      governance && h('div', { className: 'governance-pending' },
+        pending
+          ? [
+              h('p', { key: 'pending' },
+                'Pending proposal: ',
+                h('strong', { title: pending.donations }, shortAddress(pending.donations)),
+                ` at ${formatBps(pending.generosity)}`
+              ),
+              isWitness && h('div', { key: 'affirm', className: 'governance-action' },
+                this.renderQuote('affirm'),
+                h('button', {
+                  className: 'btn primary full',
+                  type: 'button',
+                  disabled: !!processing,
+                  onClick: () => this.submit('affirm'),
+                }, processing === 'affirm' ? 'Affirming...' : 'Affirm Proposal')
+              ),
+            ]
+          : h('p', { className: 'muted' }, 'No pending proposal.')
+      ),
+
+      isCharity && h('div', { className: 'form-grid governance-action' },
+        h('h3', null, 'Propose charity'),
+        h('label', null,
+          h('span', null, 'Charity address'),
+          h('input', {
+            type: 'text',
+            value: proposedCharity,
+            placeholder: '0x...',
+            disabled: !!processing,
+            onInput: (e) => {
+              this.setState({ proposedCharity: e.target.value, error: null });
+              if (canQuote) this.refreshQuote('honor');
+            },
+          })
+        ),
+        h('label', null,
+          h('span', null, 'Generosity (%)'),
+          h('input', {
+            type: 'number',
+            min: '0',
+            max: '100',
+            step: '0.01',
+            value: proposedGenerosity,
+            placeholder: '5',
+            disabled: !!processing,
+            onInput: (e) => {
+              this.setState({ proposedGenerosity: e.target.value, error: null });
+              if (canQuote) this.refreshQuote('honor');
+            },
+          })
+        ),
+        this.renderQuote('honor'),
+        h('button', {
+          className: 'btn primary full',
+          type: 'button',
+          disabled: !!processing || !this.getHonorArgs(),
+          onClick: () => this.submit('honor'),
+        }, processing === 'honor' ? 'Proposing...' : 'Propose')
+      ),
+
+      isWitness && h('div', { className: 'form-grid governance-action' },
+        h('h3', null, 'Transfer witness'),
+        h('label', null,
+          h('span', null, 'New witness address'),
+          h('input', {
+            type: 'text',
+            value: newWitness,
+            placeholder: '0x...',
+            disabled: !!processing,
+            onInput: (e) => {
+              this.setState({ newWitness: e.target.value, error: null });
+              if (canQuote) this.refreshQuote('trust');
+            },
+          })
+        ),
+        h('p', { className: 'muted small-text' }, 'You will lose the witness role as soon as this is mined.'),
+        this.renderQuote('trust'),
+        h('button', {
+          className: 'btn secondary full',
+          type: 'button',
+          disabled: !!processing || !this.getTrustArgs(),
+          onClick: () => this.submit('trust'),
+        }, processing === 'trust' ? 'Transferring...' : 'Transfer Trust')
+      ),
+
+      error && h('p', { className: 'form-error' }, error),
+
+      history.length > 0 && h('div', { className: 'governance-history' },
+        h('h3', null, 'History'),
+        h('ul', null, history.map(entry => this.renderHistoryEntry(entry)))
+      )
+    );
+  }
+}
+
+export default GovernanceModal;
@@ -0,0 +1,74 @@
+import { h } from '@monygroupcorp/microact';
+import { ethers } from 'ethers';
+
+/**
+ * QuoteSummary - Cost breakdown for a ContractService quote
+ *
+ * Renders value, network fee range and worst-case total, plus a warning when
+ * the wallet balance cannot cover the total. Shared by the write modals.
+ */
+
+const STEP_LABELS = {
+  approve: 'Approve NFT',
+  challenge: 'Stock prize',
+  valor: 'Buy bottle',
+  victory: 'Claim prize',
+  cowardice: 'Cancel challenge',
+  perseverance: 'Refund',
+  honor: 'Propose charity',
+  affirm: 'Affirm charity',
+  trust: 'Transfer witness',
+};
+
+export function formatQuoteEth(wei) {
+  const eth = Number(ethers.utils.formatEther(wei));
+  if (eth === 0) return '0';
+  if (eth < 0.000001) return '<0.000001';
+  return eth.toFixed(6).replace(/\.?0+$/, '');
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.quote - Result of a ContractService quote* method
+ * @param {boolean} [props.loading]
+ * @param {string|null} [props.error]
+ */
+export function renderQuoteSummary({ quote, loading = false, error = null }) {
+  if (loading && !quote) {
+    return h('div', { className: 'quote-summary muted small-text' }, 'Estimating network fee...');
+  }
+  if (error) {
+    return h('div', { className: 'quote-summary muted small-text' }, `Fee estimate unavailable: ${error}`);
+  }
+  if (!quote) return null;
+
+  const { value, fee, total, steps, shortfall, sufficient } = quote;
+  const feeRange = fee.low.eq(fee.high)
+    ? `${formatQuoteEth(fee.high)} ETH`
+    : `${formatQuoteEth(fee.low)} – ${formatQuoteEth(fee.high)} ETH`;
+  const unestimated = steps.filter(step => !step.estimated);
+
+  return h('div', { className: 'quote-summary' },
+    steps.length > 1 && h('p', { className: 'muted small-text quote-summary__steps' },
+      `${steps.length} transactions: ${steps.map(step => STEP_LABELS[step.method] || step.method).join(' + ')}`
+    ),
+    !value.isZero() && h('div', { className: 'quote-summary__row' },
+      h('span', { className: 'muted' }, 'Value'),
+      h('strong', null, `${formatQuoteEth(value)} ETH`)
+    ),
+    h('div', { className: 'quote-summary__row' },
+      h('span', { className: 'muted' }, 'Network fee'),
+      h('strong', null, feeRange)
+    ),
+    h('div', { className: 'quote-summary__row quote-summary__row--total' },
+      h('span', { className: 'muted' }, 'Total (max)'),
+      h('strong', null, `${formatQuoteEth(total.high)} ETH`)
+    ),
+    unestimated.length > 0 && h('p', { className: 'muted small-text' },
+      `Gas for ${unestimated.map(step => STEP_LABELS[step.method] || step.method).join(', ')} is a typical value until it can be estimated.`
+    ),
+    !sufficient && h('p', { className: 'form-error quote-summary__shortfall' },
+      `Insufficient balance: you need ${formatQuoteEth(shortfall)} more ETH.`
+    )
+  );
+}
@@ -0,0 +1,177 @@
+import { Component, h, eventBus } from '@monygroupcorp/microact';
+import secretVault from '../../services/SecretVault.js';
+import cryptoService from '../../services/CryptoService.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+
+// One candidate per line, trimmed like manual entry in ClaimModal and RevealModal
+function parseCandidates(text) {
+  return [...new Set(text.split(/\r?\n/).map(line => line.trim()).filter(Boolean))];
+}
+
+function describeBottle(bottle) {
+  return `${bottle.challengeTitle || `Challenge #${bottle.challengeId}`} · Bottle #${bottle.id}`;
+}
+
+/**
+ * RecoveryModal - Match candidate passphrases against every unclaimed bottle
+ *
+ * Each candidate is hashed once with the connected owner and compared with the
+ * commitments of all unclaimed bottles that have no stored secret, so one
+ * passphrase reused across bottles restores all of them.
+ */
+class RecoveryModal extends Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      bottles: [],
+      candidates: '',
+      scanning: false,
+      restored: [], // Bottles restored by the last scan
+      error: null,
+      notice: null,
+    };
+  }
+
+  /**
+   * Reset inputs when the modal opens
+   * @param {Object[]} bottles - The connected wallet's on-chain bottles
+   */
+  load(bottles = []) {
+    this.setState({
+      bottles: bottles.filter(b => !b.claimed && b.commitment && b.id !== undefined),
+      candidates: '',
+      scanning: false,
+      restored: [],
+      error: null,
+      notice: null,
+    });
+  }
+
+  handleClose = () => {
+    eventBus.emit('modal:close');
+  };
+
+  getMissing() {
+    return this.state.bottles.filter(b => !secretVault.getPassphrase(b.id));
+  }
+
+  handleScan = async () => {
+    const candidates = parseCandidates(this.state.candidates);
+    const missing = this.getMissing();
+    this.setState({ scanning: true, restored: [], error: null, notice: null });
+
+    try {
+      const signer = this.props.contractService?.signer;
+      if (!signer) throw new Error('No signer connected');
+      const owner = await signer.getAddress();
+
+      // Several bottles share a commitment when they share a passphrase
+      const byCommitment = new Map();
+      for (const bottle of missing) {
+        const key = String(bottle.commitment);
+        byCommitment.set(key, [...(byCommitment.get(key) || []), bottle]);
+      }
+
+      const restored = [];
+      for (const passphrase of candidates) {
+        const commitment = await cryptoService.generateCommitment(passphrase, owner);
+        for (const bottle of byCommitment.get(commitment) || []) {
+          secretVault.setPassphrase(bottle.id, passphrase);
+          restored.push(bottle);
+        }
+        byCommitment.delete(commitment);
+      }
+
+      console.log(`[RecoveryModal] Restored ${restored.length} of ${missing.length} secrets from ${candidates.length} candidates`);
+      this.setState({
+        scanning: false,
+        candidates: '',
+        restored,
+        notice: restored.length > 0
+          ? `Restored ${restored.length} ${restored.length === 1 ? 'secret' : 'secrets'}.`
+          : `None of the ${candidates.length} ${candidates.length === 1 ? 'passphrase matches' : 'passphrases match'} a bottle.`,
+      });
+      if (restored.length > 0) eventBus.emit('secrets:recovered', { count: restored.length });
+    } catch (error) {
+      console.error('[RecoveryModal] Scan failed:', error);
+      this.setState({ scanning: false, error: formatColasseumError(error) });
+    }
+  };
+
+  renderBottleList(title, bottles) {
+    if (bottles.length === 0) return null;
+
+    return h('div', { className: 'vault-section' },
+      h('h3', null, title),
+      h('ul', { className: 'vault-deployments' },
+        bottles.map(bottle =>
+          h('li', { key: bottle.id, className: 'vault-deployments__item' },
+            h('span', null, describeBottle(bottle)),
+            h('span', { className: 'muted small-text' }, bottle.status)
+          )
+        )
+      )
+    );
+  }
+
+  renderBody() {
+    const { bottles, candidates, scanning, restored } = this.state;
+    const missing = this.getMissing();
+
+    if (bottles.length === 0) {
+      return [h('p', { key: 'empty', className: 'muted' }, 'You have no unclaimed bottles.')];
+    }
+
+    return [
+      h('p', { key: 'intro', className: 'muted' },
+        missing.length > 0
+          ? `${missing.length} of ${bottles.length} unclaimed ${bottles.length === 1 ? 'bottle needs' : 'bottles need'} a secret. Enter the passphrases you may have used, one per line.`
+          : `All ${bottles.length} unclaimed ${bottles.length === 1 ? 'bottle has' : 'bottles have'} a stored secret.`
+      ),
+      missing.length > 0 && h('div', { key: 'scan', className: 'vault-section' },
+        h('textarea', {
+          className: 'lore-textarea recovery-candidates',
+          value: candidates,
+          placeholder: 'One passphrase per line',
+          spellcheck: false,
+          disabled: scanning,
+          onInput: (e) => this.setState({ candidates: e.target.value, error: null }),
+        }),
+        h('button', {
+          className: 'btn primary full',
+          type: 'button',
+          disabled: scanning || parseCandidates(candidates).length === 0,
+          onClick: this.handleScan,
+        }, scanning ? 'Scanning...' : `Scan ${missing.length} ${missing.length === 1 ? 'Bottle' : 'Bottles'}`)
+      ),
+      h('div', { key: 'restored' }, this.renderBottleList('Restored', restored)),
+      h('div', { key: 'missing' }, this.renderBottleList('Still missing a secret', missing)),
+      missing.length > 0 && h('p', { key: 'hint', className: 'muted small-text' },
+        'Secrets derived from a wallet signature are recovered one bottle at a time from its claim or reveal screen.'
+      ),
+    ];
+  }
+
+  render() {
+    const { error, notice } = this.state;
+
+    return h('div', { className: 'recovery-modal__panel' },
+      h('div', { className: 'wizard-header' },
+        h('div', { className: 'wizard-header__copy' },
+          h('h2', null, 'Recover Secrets'),
+          h('p', { className: 'caption' }, 'Find which of your passphrases belong to which bottles.')
+        ),
+        h('button', {
+          className: 'icon-btn wizard-header__close',
+          type: 'button',
+          onClick: this.handleClose,
+        }, 'Close')
+      ),
+      ...this.renderBody(),
+      notice && h('p', { className: 'form-status muted' }, notice),
+      error && h('p', { className: 'form-error' }, error)
+    );
+  }
+}
+
+export default RecoveryModal;
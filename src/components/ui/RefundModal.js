@@ -1,4 +1,8 @@
 import { Component, h, eventBus } from '@monygroupcorp/microact';
+import { ethers } from 'ethers';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+import { formatQuoteEth } from './QuoteSummary.js';
+import { getChanceCost } from '../../services/ProtocolMath.js';
 
 /**
  * RefundModal - Shows refundable chances grouped by trial and allows batch claiming.
@@ -11,6 +15,7 @@ class RefundModal extends Component {
       processing: null, // trialId currently being processed
       processedTrials: new Set(), // trialIds that have been successfully refunded
       error: null,
+      quotes: {}, // trialId -> perseverance quote
     };
   }
 
@@ -20,7 +25,28 @@ class RefundModal extends Component {
       processing: null,
       processedTrials: new Set(),
       error: null,
+      quotes: {},
     });
+    this.refreshQuotes();
+  }
+
+  /**
+   * Quote the perseverance() fee for each trial group
+   */
+  async refreshQuotes() {
+    const contractService = this.props.contractService;
+    if (!contractService?.initialized || !contractService.signer) return;
+
+    const quotes = {};
+    await Promise.all(this.getTrialGroups().map(async group => {
+      try {
+        const chanceIds = group.chances.map(c => parseInt(c.chanceId, 10));
+        quotes[group.trialId] = await contractService.quotePerseverance(chanceIds);
+      } catch (error) {
+        console.warn('[RefundModal] Quote failed for trial', group.trialId, error);
+      }
+    }));
+    this.setState({ quotes });
   }
 
   /**
@@ -35,13 +61,13 @@ class RefundModal extends Component {
           trialId,
           chances: [],
           totalBottles: 0,
-          totalRefund: 0,
+          totalRefund: 0n, // wei
         });
       }
       const group = groups.get(trialId);
       group.chances.push(chance);
       group.totalBottles += chance.numChances || 1;
-      group.totalRefund += (chance.numChances || 1) * 0.000000001; // 1 gwei per bottle
+      group.totalRefund += getChanceCost(chance.numChances || 1);
     }
     return Array.from(groups.values());
   }
@@ -87,13 +113,13 @@ class RefundModal extends Component {
       console.error('[RefundModal] Refund failed:', error);
       this.setState({
         processing: null,
-        error: error.reason || error.message || 'Refund failed',
+        error: formatColasseumError(error),
       });
     }
   };
 
   render() {
-    const { processing, processedTrials, error } = this.state;
+    const { processing, processedTrials, error, quotes } = this.state;
     const trialGroups = this.getTrialGroups();
 
     const allDone = trialGroups.length === 0 && processedTrials.size > 0;
@@ -122,6 +148,7 @@ class RefundModal extends Component {
                   trialGroups.map(group => {
                     const isProcessing = processing === group.trialId;
                     const entryCount = group.chances.length;
+                    const quote = quotes[group.trialId];
 
                     return h('div', { key: group.trialId, className: 'refund-item' },
                       h('div', { className: 'refund-item__info' },
@@ -131,12 +158,17 @@ class RefundModal extends Component {
                         )
                       ),
                       h('div', { className: 'refund-item__amount' },
-                        h('span', null, `${group.totalRefund.toFixed(9)} ETH`)
+                        h('span', null, `${ethers.utils.formatEther(group.totalRefund)} ETH`),
+                        quote && h('span', { className: 'muted small-text' },
+                          quote.sufficient
+                            ? `Network fee \u2264 ${formatQuoteEth(quote.fee.high)} ETH`
+                            : `Need ${formatQuoteEth(quote.shortfall)} more ETH for gas`
+                        )
                       ),
                       h('button', {
                         className: 'btn primary small refund-trial__claim-btn',
                         type: 'button',
-                        disabled: isProcessing || !!processing,
+                        disabled: isProcessing || !!processing || (quote && !quote.sufficient),
                         onClick: () => this.handleClaimTrialRefund(group.trialId),
                       }, isProcessing ? 'Claiming...' : 'Claim All')
                     );
@@ -1,6 +1,8 @@
 import { Component, h, eventBus } from '@monygroupcorp/microact';
-import { setRevealSeen, storeWinResult, getStoredPassphrase, storePassphrase } from './EntryModal.js';
+import secretVault from '../../services/SecretVault.js';
 import cryptoService from '../../services/CryptoService.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+import { recoverBottlePassphrase } from '../../services/SignedPassphrase.js';
 
 const SITE_URL = 'https://miladycola.net';
 
@@ -19,13 +21,14 @@ class RevealModal extends Component {
       result: null,
       manualPassphrase: '',
       errorMessage: null,
+      recovering: false,
     };
     this.countdownInterval = null;
   }
 
   setBottle(bottle) {
     // Check if we have a stored passphrase
-    const storedPassphrase = getStoredPassphrase(bottle?.id);
+    const storedPassphrase = secretVault.getPassphrase(bottle?.id);
     this.setState({
       bottle,
       countdown: 3,
@@ -33,6 +36,7 @@ class RevealModal extends Component {
       result: null,
       manualPassphrase: '',
       errorMessage: null,
+      recovering: false,
     });
   }
 
@@ -48,11 +52,34 @@ class RevealModal extends Component {
     }
     // Store it for future use on this device
     if (bottle?.id) {
-      storePassphrase(bottle.id, manualPassphrase.trim());
+      secretVault.setPassphrase(bottle.id, manualPassphrase.trim());
     }
     this.setState({ phase: 'ready' });
   };
 
+  /**
+   * Regenerate a signature-derived secret from the connected wallet
+   */
+  handleRecover = async () => {
+    const { bottle } = this.state;
+    this.setState({ recovering: true, errorMessage: null });
+    try {
+      const passphrase = await recoverBottlePassphrase(this.props.contractService, bottle, cryptoService);
+      if (!passphrase) {
+        this.setState({
+          recovering: false,
+          errorMessage: 'This bottle\'s secret was not derived from this wallet. Enter the passphrase you typed instead.',
+        });
+        return;
+      }
+      secretVault.setPassphrase(bottle.id, passphrase);
+      this.setState({ recovering: false, manualPassphrase: passphrase, phase: 'ready' });
+    } catch (error) {
+      console.warn('[RevealModal] Recovery failed:', error);
+      this.setState({ recovering: false, errorMessage: formatColasseumError(error) });
+    }
+  };
+
   handleClose = () => {
     if (this.countdownInterval) {
       clearInterval(this.countdownInterval);
@@ -91,7 +118,7 @@ class RevealModal extends Component {
 
     try {
       // Get passphrase - prefer stored, fall back to manual entry
-      const passphrase = getStoredPassphrase(bottle.id) || this.state.manualPassphrase.trim();
+      const passphrase = secretVault.getPassphrase(bottle.id) || this.state.manualPassphrase.trim();
       if (!passphrase) {
         this.setState({ phase: 'needsPassphrase', errorMessage: 'Please enter your passphrase' });
         return;
@@ -136,8 +163,8 @@ class RevealModal extends Component {
 
       // Store the result and mark reveal as seen
       if (bottle?.id) {
-        storeWinResult(bottle.id, isWinner);
-        setRevealSeen(bottle.id);
+        secretVault.setWinResult(bottle.id, isWinner);
+        secretVault.setRevealSeen(bottle.id);
       }
 
       this.setState({
@@ -156,13 +183,13 @@ class RevealModal extends Component {
       // Show error state instead of fake result
       this.setState({
         phase: 'error',
-        errorMessage: error.message,
+        errorMessage: formatColasseumError(error),
       });
     }
   }
 
   render() {
-    const { bottle, countdown, phase, result, manualPassphrase, errorMessage } = this.state;
+    const { bottle, countdown, phase, result, manualPassphrase, errorMessage, recovering } = this.state;
 
     if (!bottle) {
       return h('div', { className: 'reveal-modal__panel' },
@@ -194,9 +221,15 @@ class RevealModal extends Component {
             h('button', {
               className: 'btn primary',
               type: 'button',
-              disabled: !manualPassphrase.trim(),
+              disabled: !manualPassphrase.trim() || recovering,
               onClick: this.handlePassphraseSubmit,
-            }, 'Continue')
+            }, 'Continue'),
+            this.props.contractService?.signer && h('button', {
+              className: 'btn ghost small',
+              type: 'button',
+              disabled: recovering,
+              onClick: this.handleRecover,
+            }, recovering ? 'Waiting for signature...' : 'Recover with Wallet Signature')
           )
         )
       );
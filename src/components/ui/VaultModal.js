@@ -0,0 +1,396 @@
+import { Component, h, eventBus } from '@monygroupcorp/microact';
+import secretVault, { MIN_PASSWORD_LENGTH } from '../../services/SecretVault.js';
+import { formatColasseumError } from '../../services/ColasseumErrors.js';
+import { listDeployments, clearDeployment, getActiveDeployment } from '../../services/DeploymentStorage.js';
+
+const CHAIN_NAMES = {
+  1: 'Mainnet',
+  11155111: 'Sepolia',
+  1337: 'Local',
+};
+
+function describeChain(chainId) {
+  return CHAIN_NAMES[chainId] || (chainId === 'unknown' ? 'Unknown chain' : `Chain ${chainId}`);
+}
+
+function describeDeployment({ chainId, address }) {
+  if (!address) return 'an unknown deployment';
+  return `${describeChain(chainId)} · ${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function downloadText(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * VaultModal - Create, unlock, back up and restore the secret vault
+ *
+ * Bottle secrets are encrypted with a password or a wallet signature. The
+ * backup file is the encrypted vault, so restoring it on another device needs
+ * the same password or wallet.
+ */
+class VaultModal extends Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      password: '',
+      confirmPassword: '',
+      backupText: null,
+      backupName: '',
+      busy: null, // 'create' | 'unlock' | 'export' | 'import'
+      error: null,
+      notice: null,
+      confirmClear: null, // Deployment scope awaiting confirmation
+      confirmImport: null, // Backup from another deployment awaiting confirmation
+    };
+  }
+
+  /**
+   * Reset inputs when the modal opens
+   */
+  load() {
+    this.setState({
+      password: '',
+      confirmPassword: '',
+      backupText: null,
+      backupName: '',
+      busy: null,
+      error: null,
+      notice: null,
+      confirmClear: null,
+      confirmImport: null,
+    });
+  }
+
+  handleClose = () => {
+    eventBus.emit('modal:close');
+  };
+
+  getSigner() {
+    return this.props.contractService?.signer || null;
+  }
+
+  async run(action, task) {
+    this.setState({ busy: action, error: null, notice: null });
+    try {
+      const notice = await task();
+      this.setState({ busy: null, password: '', confirmPassword: '', notice: notice || null });
+      eventBus.emit('vault:changed', { unlocked: secretVault.isUnlocked() });
+    } catch (error) {
+      console.error(`[VaultModal] ${action} failed:`, error);
+      this.setState({ busy: null, error: formatColasseumError(error) });
+    }
+  }
+
+  handleCreate = (useWallet) => {
+    const { password, confirmPassword } = this.state;
+    if (!useWallet && password !== confirmPassword) {
+      this.setState({ error: 'Passwords do not match' });
+      return;
+    }
+    this.run('create', async () => {
+      await secretVault.create(useWallet ? { signer: this.getSigner() } : { password });
+      return 'Vault created. Your bottle secrets are now encrypted.';
+    });
+  };
+
+  handleUnlock = () => {
+    const keyType = secretVault.getKeyType();
+    this.run('unlock', async () => {
+      await secretVault.unlock(keyType?.name === 'signature'
+        ? { signer: this.getSigner() }
+        : { password: this.state.password });
+      return 'Vault unlocked.';
+    });
+  };
+
+  handleLock = () => {
+    this.run('lock', async () => {
+      await secretVault.lock();
+      return 'Vault locked.';
+    });
+  };
+
+  handleExport = () => {
+    this.run('export', async () => {
+      const backup = await secretVault.exportBackup();
+      const deployment = getActiveDeployment();
+      const chain = deployment ? describeChain(deployment.chainId).toLowerCase().replace(/\s+/g, '-') : 'fixtures';
+      downloadText(`miladycola-vault-${chain}-${new Date().toISOString().slice(0, 10)}.json`, backup);
+      return 'Backup downloaded. Keep it with your password or wallet.';
+    });
+  };
+
+  handleBackupFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      this.setState({ backupText: text, backupName: file.name, confirmImport: null, error: null, notice: null });
+    } catch (error) {
+      this.setState({ error: 'Could not read the backup file' });
+    }
+  };
+
+  /**
+   * Import with the backup's own key: the password field, or the connected wallet.
+   * A backup from another deployment waits for an explicit confirmation.
+   */
+  handleImport = (useWallet, allowOtherDeployment = false) => {
+    const { backupText, password } = this.state;
+    if (!allowOtherDeployment) {
+      try {
+        const backup = secretVault.describeBackup(backupText);
+        if (!backup.sameDeployment) {
+          this.setState({ confirmImport: { ...backup, useWallet }, error: null, notice: null });
+          return;
+        }
+      } catch (error) {
+        this.setState({ error: formatColasseumError(error) });
+        return;
+      }
+    }
+    this.run('import', async () => {
+      const added = await secretVault.importBackup(backupText, useWallet ? { signer: this.getSigner() } : { password }, { allowOtherDeployment });
+      this.setState({ backupText: null, backupName: '', confirmImport: null });
+      return `Restored ${added} ${added === 1 ? 'entry' : 'entries'} from the backup.`;
+    });
+  };
+
+  /**
+   * Delete one deployment's stored data, after an explicit confirmation
+   */
+  handleClearDeployment = (deployment) => {
+    this.run('clear', async () => {
+      if (deployment.active) await secretVault.lock();
+      const removed = clearDeployment(deployment.scope);
+      this.setState({ confirmClear: null });
+      return `Deleted ${removed} stored ${removed === 1 ? 'item' : 'items'} for ${describeDeployment(deployment)}.`;
+    });
+  };
+
+  renderDeployments() {
+    const { busy, confirmClear } = this.state;
+    const deployments = listDeployments();
+    if (deployments.length === 0) return null;
+
+    return h('div', { className: 'vault-section' },
+      h('h3', null, 'Stored data by deployment'),
+      h('ul', { className: 'vault-deployments' },
+        deployments.map(deployment =>
+          h('li', { key: deployment.scope, className: 'vault-deployments__item' },
+            h('span', { title: deployment.address },
+              describeDeployment(deployment),
+              deployment.active && h('span', { className: 'governance-role__you' }, ' This site')
+            ),
+            h('span', { className: 'muted small-text' }, `${deployment.keys} ${deployment.keys === 1 ? 'item' : 'items'}`),
+            confirmClear === deployment.scope
+              ? h('span', { className: 'vault-actions' },
+                  h('button', {
+                    className: 'btn ghost small',
+                    type: 'button',
+                    disabled: !!busy,
+                    onClick: () => this.setState({ confirmClear: null }),
+                  }, 'Keep'),
+                  h('button', {
+                    className: 'btn danger small',
+                    type: 'button',
+                    disabled: !!busy,
+                    onClick: () => this.handleClearDeployment(deployment),
+                  }, 'Delete Forever')
+                )
+              : h('button', {
+                  className: 'btn ghost small',
+                  type: 'button',
+                  disabled: !!busy,
+                  onClick: () => this.setState({ confirmClear: deployment.scope, error: null, notice: null }),
+                }, 'Delete')
+          )
+        )
+      ),
+      confirmClear && h('p', { className: 'form-error' },
+        'Deleting removes the passphrases stored for that deployment. Bottles without a backup or wallet-derived secret can no longer be claimed.'
+      )
+    );
+  }
+
+  renderPasswordInput(placeholder, key = 'password') {
+    return h('input', {
+      type: 'password',
+      value: this.state[key],
+      placeholder,
+      disabled: !!this.state.busy,
+      onInput: (e) => this.setState({ [key]: e.target.value, error: null }),
+    });
+  }
+
+  renderImportConfirmation() {
+    const { busy, confirmImport } = this.state;
+    const active = getActiveDeployment();
+
+    return h('div', { className: 'form-grid' },
+      h('p', { className: 'form-error' },
+        `This backup was made for ${describeDeployment({ chainId: confirmImport.chainId, address: confirmImport.colasseum })}, not ${active ? describeDeployment(active) : 'fixtures mode'}. `,
+        'Bottle ids restart on every deployment, so its secrets would be attached to the wrong bottles here and would block the right ones.'
+      ),
+      h('div', { className: 'vault-actions' },
+        h('button', {
+          className: 'btn ghost',
+          type: 'button',
+          disabled: !!busy,
+          onClick: () => this.setState({ confirmImport: null }),
+        }, 'Cancel'),
+        h('button', {
+          className: 'btn danger',
+          type: 'button',
+          disabled: !!busy,
+          onClick: () => this.handleImport(confirmImport.useWallet, true),
+        }, busy === 'import' ? 'Restoring...' : 'Restore Anyway')
+      )
+    );
+  }
+
+  renderImport() {
+    const { backupText, backupName, busy, confirmImport } = this.state;
+    const canSign = !!this.getSigner();
+
+    return h('div', { className: 'vault-section' },
+      h('h3', null, 'Restore a backup'),
+      h('input', {
+        type: 'file',
+        accept: 'application/json,.json',
+        disabled: !!busy,
+        onChange: this.handleBackupFile,
+      }),
+      backupText && confirmImport && this.renderImportConfirmation(),
+      backupText && !confirmImport && h('div', { className: 'form-grid' },
+        h('p', { className: 'muted small-text' }, `${backupName}: enter the backup's password, or sign with the wallet that made it.`),
+        this.renderPasswordInput('Backup password'),
+        h('div', { className: 'vault-actions' },
+          h('button', {
+            className: 'btn primary',
+            type: 'button',
+            disabled: !!busy || !this.state.password,
+            onClick: () => this.handleImport(false),
+          }, busy === 'import' ? 'Restoring...' : 'Restore with Password'),
+          canSign && h('button', {
+            className: 'btn ghost',
+            type: 'button',
+            disabled: !!busy,
+            onClick: () => this.handleImport(true),
+          }, 'Restore with Wallet')
+        )
+      )
+    );
+  }
+
+  renderBody() {
+    const { busy, password } = this.state;
+    const canSign = !!this.getSigner();
+
+    if (!secretVault.exists()) {
+      const { plain } = secretVault.getSummary();
+      return [
+        h('p', { key: 'intro', className: 'muted' },
+          plain > 0
+            ? `${plain} bottle ${plain === 1 ? 'secret is' : 'secrets are'} stored unencrypted in this browser. Create a vault to encrypt them.`
+            : 'Create a vault to encrypt your bottle secrets in this browser.'
+        ),
+        h('div', { key: 'create', className: 'form-grid vault-section' },
+          this.renderPasswordInput(`Password (at least ${MIN_PASSWORD_LENGTH} characters)`),
+          this.renderPasswordInput('Confirm password', 'confirmPassword'),
+          h('div', { className: 'vault-actions' },
+            h('button', {
+              className: 'btn primary',
+              type: 'button',
+              disabled: !!busy || password.length < MIN_PASSWORD_LENGTH,
+              onClick: () => this.handleCreate(false),
+            }, busy === 'create' ? 'Creating...' : 'Create with Password'),
+            canSign && h('button', {
+              className: 'btn ghost',
+              type: 'button',
+              disabled: !!busy,
+              onClick: () => this.handleCreate(true),
+            }, 'Create with Wallet')
+          )
+        ),
+        h('div', { key: 'import' }, this.renderImport()),
+      ];
+    }
+
+    if (!secretVault.isUnlocked()) {
+      const keyType = secretVault.getKeyType();
+      const { plain } = secretVault.getSummary();
+      return [
+        h('p', { key: 'intro', className: 'muted' },
+          keyType.name === 'signature'
+            ? `Locked. Sign with ${keyType.address} to unlock.`
+            : 'Locked. Enter your vault password to unlock.'
+        ),
+        plain > 0 && h('p', { key: 'plain', className: 'muted small-text' },
+          `${plain} ${plain === 1 ? 'secret was' : 'secrets were'} saved while locked and will be encrypted when you unlock.`
+        ),
+        h('div', { key: 'unlock', className: 'form-grid vault-section' },
+          keyType.name !== 'signature' && this.renderPasswordInput('Vault password'),
+          h('button', {
+            className: 'btn primary full',
+            type: 'button',
+            disabled: !!busy || (keyType.name === 'signature' ? !canSign : !password),
+            onClick: this.handleUnlock,
+          }, busy === 'unlock' ? 'Unlocking...' : 'Unlock Vault')
+        ),
+      ];
+    }
+
+    const { passphrases, pending } = secretVault.getSummary();
+    return [
+      h('p', { key: 'intro', className: 'muted' },
+        `Unlocked · ${passphrases} bottle ${passphrases === 1 ? 'secret' : 'secrets'}${pending ? `, ${pending} pending` : ''}.`
+      ),
+      h('div', { key: 'actions', className: 'vault-actions' },
+        h('button', {
+          className: 'btn primary',
+          type: 'button',
+          disabled: !!busy,
+          onClick: this.handleExport,
+        }, busy === 'export' ? 'Exporting...' : 'Export Backup'),
+        h('button', {
+          className: 'btn ghost',
+          type: 'button',
+          disabled: !!busy,
+          onClick: this.handleLock,
+        }, 'Lock')
+      ),
+      h('div', { key: 'import' }, this.renderImport()),
+    ];
+  }
+
+  render() {
+    const { error, notice } = this.state;
+
+    return h('div', { className: 'vault-modal__panel' },
+      h('div', { className: 'wizard-header' },
+        h('div', { className: 'wizard-header__copy' },
+          h('h2', null, 'Secret Vault'),
+          h('p', { className: 'caption' }, 'Encrypted bottle secrets, with a backup you can restore on another device.')
+        ),
+        h('button', {
+          className: 'icon-btn wizard-header__close',
+          type: 'button',
+          onClick: this.handleClose,
+        }, 'Close')
+      ),
+      ...this.renderBody(),
+      this.renderDeployments(),
+      notice && h('p', { className: 'form-status muted' }, notice),
+      error && h('p', { className: 'form-error' }, error)
+    );
+  }
+}
+
+export default VaultModal;
@@ -4,7 +4,11 @@ import { WalletService } from '@monygroupcorp/micro-web3';
 import { ethers } from 'ethers';
 import ContractService from './services/ContractService.js';
 import ColasseumIndexer from './services/ColasseumIndexer.js';
+import ProviderManager from './services/ProviderManager.js';
+import nftMetadataService from './services/NftMetadataService.js';
 import DevService from './services/DevService.js';
+import ClaimService from './services/ClaimService.js';
+import { setActiveDeployment } from './services/DeploymentStorage.js';
 import App from './components/App.js';
 import ChallengePageView from './components/layout/ChallengePageView.js';
 
@@ -66,6 +70,11 @@ async function main() {
   // Load contract configuration
   const contractConfig = await loadContractConfig();
 
+  // Scope client storage to this deployment before any service reads it
+  if (contractConfig) {
+    setActiveDeployment(contractConfig.chainId, contractConfig.contracts.colasseum.address);
+  }
+
   // 2. Initialize DevService
   const devService = contractConfig
     ? new DevService({
@@ -75,6 +84,9 @@ async function main() {
       })
     : null;
 
+  // Victory claims, shared by the main app and challenge pages
+  const claimService = new ClaimService(eventBus, { contractService, devService });
+
   // Wire wallet events BEFORE initializing services (to catch auto-connect)
   eventBus.on('wallet:connected', async ({ address, provider, signer, ethersProvider }) => {
     console.log('[main] Wallet connected:', address);
@@ -142,15 +154,23 @@ async function main() {
 
   // Initialize ContractService BEFORE wallet
   if (contractConfig) {
+    let providerManager = null;
     try {
-      await contractService.initialize(contractConfig);
+      // One failover read provider shared by every service
+      providerManager = new ProviderManager(eventBus, contractConfig);
+      providerManager.startHealthChecks();
+      nftMetadataService.setProvider(providerManager.provider);
+
+      await contractService.initialize(contractConfig, providerManager.provider);
     } catch (error) {
       console.error('Failed to initialize ContractService:', error);
     }
 
-    colasseumIndexer.initialize(contractConfig)
-      .then(() => console.log('[main] ColasseumIndexer initialized'))
-      .catch(error => console.error('Failed to initialize ColasseumIndexer:', error));
+    if (providerManager) {
+      colasseumIndexer.initialize(contractConfig, providerManager.provider)
+        .then(() => console.log('[main] ColasseumIndexer initialized'))
+        .catch(error => console.error('Failed to initialize ColasseumIndexer:', error));
+    }
   }
 
   // Initialize WalletService AFTER ContractService
@@ -182,6 +202,7 @@ async function main() {
         contractService,
         colasseumIndexer,
         devService,
+        claimService,
         useFixtures: !contractConfig,
       }),
       appRoot
@@ -199,6 +220,7 @@ async function main() {
         contractService,
         colasseumIndexer,
         devService,
+        claimService,
         router,
         useFixtures: !contractConfig,
       }),
@@ -232,7 +254,7 @@ async function main() {
   });
 
   // 5. Expose services for debugging
-  window.__services = { walletService, contractService, colasseumIndexer, devService, eventBus, router };
+  window.__services = { walletService, contractService, colasseumIndexer, devService, claimService, eventBus, router };
   console.log('[main] Services exposed on window.__services');
 }
 
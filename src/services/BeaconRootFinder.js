@@ -0,0 +1,280 @@
+/**
+ * BeaconRootFinder - Locates the canonical beacon root for a chance
+ *
+ * victory() accepts any beacon timestamp in
+ * [targetTimestamp, targetTimestamp + MAX_MISSED_SLOTS * SECONDS_PER_SLOT].
+ * The canonical one is the first block timestamp in that window whose root
+ * the oracle returns; later blocks are only used when earlier slots were
+ * missed (ZeroRandomness).
+ *
+ * Lookups are cheap to repeat:
+ * - The first block at/after the target is found by interpolating on block
+ *   timestamps (a handful of getBlock calls instead of a full bisection)
+ * - Block timestamps are cached in memory and shared by every lookup
+ * - Resolved (targetTimestamp -> { timestamp, root }) pairs are persisted to
+ *   localStorage per chain + oracle, until their claim deadline passes
+ * - Concurrent lookups for the same target share one search
+ */
+
+import { decodeColasseumError, createColasseumError } from './ColasseumErrors.js';
+
+// Oracle / Colasseum timing (match ranmilio.sol and miladycola4.sol)
+export const SECONDS_PER_SLOT = 12;
+export const MAX_MISSED_SLOTS = 12;
+export const BEACON_WINDOW_SECONDS = MAX_MISSED_SLOTS * SECONDS_PER_SLOT;
+export const BEACON_BUFFER_LIMIT_SECONDS = 8191 * SECONDS_PER_SLOT; // EIP-4788 ring buffer
+
+const STORAGE_KEY = 'miladycola_beacon_roots';
+const MAX_STORED_ROOTS = 256;
+const MAX_CACHED_BLOCKS = 4096;
+
+// Blocks this far behind the head are past any reorg (2 epochs) and safe to cache
+const REORG_SAFE_DEPTH = 64;
+
+// Oracle reverts that mean "this slot has no root, try the next block"
+const MISSED_SLOT_CODES = new Set(['ZERO_RANDOMNESS']);
+
+const ZERO_ROOT = '0x' + '0'.repeat(64);
+
+class BeaconRootFinder {
+  /**
+   * @param {ethers.providers.Provider} provider
+   * @param {Function} readRoot - async (timestamp) => bytes32, the oracle's getRandomness
+   * @param {Object} [options]
+   * @param {string} [options.cacheKey] - Scope for persisted roots (e.g. `${chainId}:${oracle}`)
+   * @param {Storage|null} [options.storage] - Defaults to localStorage when available
+   */
+  constructor(provider, readRoot, options = {}) {
+    this.provider = provider;
+    this.readRoot = readRoot;
+    this.cacheKey = options.cacheKey || 'default';
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage || null);
+    this.blockTimestamps = new Map(); // blockNumber -> timestamp
+    this.roots = new Map(); // targetTimestamp -> { timestamp, root }
+    this.inflight = new Map(); // targetTimestamp -> Promise
+    this.headNumber = null; // Latest head seen, bounds what is cached
+    this._load();
+  }
+
+  /**
+   * Find (or recall) the canonical beacon root for a target timestamp.
+   * @param {number} targetTimestamp
+   * @returns {Promise<{timestamp: number, root: string}>}
+   * @throws {ColasseumError} BEACON_ROOT_EXPIRED, or the oracle's revert
+   *   (e.g. RANDOMNESS_NOT_FINALIZED) when the window cannot be read yet
+   */
+  async find(targetTimestamp) {
+    const target = Number(targetTimestamp);
+
+    const cached = this.roots.get(target);
+    if (cached) return cached;
+
+    if (!this.inflight.has(target)) {
+      const search = this._search(target).finally(() => this.inflight.delete(target));
+      this.inflight.set(target, search);
+    }
+    return this.inflight.get(target);
+  }
+
+  /**
+   * Previously resolved root for a target, without touching the network
+   * @param {number} targetTimestamp
+   * @returns {{timestamp: number, root: string}|null}
+   */
+  getCached(targetTimestamp) {
+    return this.roots.get(Number(targetTimestamp)) || null;
+  }
+
+  /**
+   * Find the first block whose timestamp is >= the given timestamp.
+   * @param {number} timestamp
+   * @param {{number: number, timestamp: number}} latest - Current head
+   * @returns {Promise<{number: number, timestamp: number}|null>} null if the head is still earlier
+   */
+  async findFirstBlockAtOrAfter(timestamp, latest) {
+    if (latest.timestamp < timestamp) return null;
+
+    // hi: known block at/after the timestamp; lo: known block before it
+    let hi = { number: latest.number, timestamp: latest.timestamp };
+
+    // Slots are 12s and hold at most one block, so the first block at/after the
+    // timestamp is at most this many blocks behind the head. Chains with faster
+    // blocks (anvil) can overshoot, hence the widening fallback below.
+    let step = Math.floor((latest.timestamp - timestamp) / SECONDS_PER_SLOT) + 1;
+    let lo = null;
+    while (!lo) {
+      const number = Math.max(0, hi.number - step);
+      const ts = await this.getBlockTimestamp(number);
+      if (ts < timestamp) {
+        lo = { number, timestamp: ts };
+      } else {
+        hi = { number, timestamp: ts };
+        if (number === 0) return hi; // Genesis is already at/after the timestamp
+        step *= 2;
+      }
+    }
+
+    // Interpolate on timestamps, alternating with bisection so skewed block
+    // times still converge in O(log n) lookups
+    let bisect = false;
+    while (hi.number - lo.number > 1) {
+      let mid;
+      if (bisect) {
+        mid = Math.floor((lo.number + hi.number) / 2);
+      } else {
+        const fraction = (timestamp - lo.timestamp) / (hi.timestamp - lo.timestamp);
+        mid = lo.number + Math.ceil(fraction * (hi.number - lo.number));
+        mid = Math.min(hi.number - 1, Math.max(lo.number + 1, mid));
+      }
+      bisect = !bisect;
+
+      const ts = await this.getBlockTimestamp(mid);
+      if (ts < timestamp) {
+        lo = { number: mid, timestamp: ts };
+      } else {
+        hi = { number: mid, timestamp: ts };
+      }
+    }
+
+    return hi;
+  }
+
+  /**
+   * Block timestamp by number, served from the shared cache when possible
+   * @param {number} number
+   * @returns {Promise<number>}
+   */
+  async getBlockTimestamp(number) {
+    if (this.blockTimestamps.has(number)) return this.blockTimestamps.get(number);
+
+    const block = await this.provider.getBlock(number);
+    if (!block) throw new Error(`Block ${number} not found`);
+
+    if (this.headNumber !== null && number <= this.headNumber - REORG_SAFE_DEPTH) {
+      if (this.blockTimestamps.size >= MAX_CACHED_BLOCKS) {
+        this.blockTimestamps.delete(this.blockTimestamps.keys().next().value);
+      }
+      this.blockTimestamps.set(number, block.timestamp);
+    }
+    return block.timestamp;
+  }
+
+  /**
+   * Forget every resolved root and cached block (e.g. after a chain reset)
+   */
+  clear() {
+    this.blockTimestamps.clear();
+    this.roots.clear();
+    this._save();
+  }
+
+  // ============================================
+  // INTERNALS
+  // ============================================
+
+  async _search(target) {
+    const windowEnd = target + BEACON_WINDOW_SECONDS;
+
+    const latest = await this.provider.getBlock('latest');
+    this.headNumber = latest.number;
+
+    if (latest.timestamp < target) {
+      throw new Error(`Target timestamp ${target} is in the future (current: ${latest.timestamp})`);
+    }
+
+    // Every root in the window has been evicted from the EIP-4788 ring buffer
+    if (latest.timestamp > windowEnd + BEACON_BUFFER_LIMIT_SECONDS) {
+      throw createColasseumError('BEACON_ROOT_EXPIRED', { reason: `target ${target}` });
+    }
+
+    const first = await this.findFirstBlockAtOrAfter(target, latest);
+    if (!first || first.timestamp > windowEnd) {
+      throw new Error(`No block within allowed window [${target}, ${windowEnd}]`);
+    }
+
+    // Every block in the window is a candidate, in order. A 12s chain has at
+    // most MAX_MISSED_SLOTS more, so fetch them a window's worth at a time.
+    const candidates = [first];
+    let next = first.number + 1;
+    let windowDone = false;
+    while (!windowDone && next <= latest.number) {
+      const numbers = [];
+      for (let n = next; n <= Math.min(latest.number, next + MAX_MISSED_SLOTS - 1); n++) numbers.push(n);
+      const timestamps = await Promise.all(numbers.map(n => this.getBlockTimestamp(n)));
+      for (let i = 0; i < numbers.length; i++) {
+        if (timestamps[i] > windowEnd) {
+          windowDone = true;
+          break;
+        }
+        candidates.push({ number: numbers[i], timestamp: timestamps[i] });
+      }
+      next += numbers.length;
+    }
+
+    // Read all candidate roots together (one multicall batch), then take the
+    // first that is not a missed slot. Any other failure is returned as-is so
+    // a transient error never promotes a later slot to canonical.
+    const results = await Promise.allSettled(candidates.map(c => this.readRoot(c.timestamp)));
+    for (let i = 0; i < candidates.length; i++) {
+      const { status, value, reason } = results[i];
+      if (status === 'fulfilled' && value && value !== ZERO_ROOT) {
+        const found = { timestamp: candidates[i].timestamp, root: value };
+        console.log(`[BeaconRootFinder] Canonical root for ${target} at block ${candidates[i].number}, timestamp ${found.timestamp}`);
+        this._remember(target, found);
+        return found;
+      }
+
+      if (status === 'rejected') {
+        const decoded = decodeColasseumError(reason);
+        if (decoded.code === 'RANDOMNESS_EXPIRED') {
+          throw createColasseumError('BEACON_ROOT_EXPIRED', { reason: `target ${target}`, cause: reason });
+        }
+        if (!MISSED_SLOT_CODES.has(decoded.code)) throw decoded;
+      }
+    }
+
+    // Past the earliest deadline the misses above are evictions, not missed slots
+    if (latest.timestamp > target + BEACON_BUFFER_LIMIT_SECONDS) {
+      throw createColasseumError('BEACON_ROOT_EXPIRED', { reason: `target ${target}` });
+    }
+
+    throw new Error(`No valid beacon root found within allowed window [${target}, ${windowEnd}]`);
+  }
+
+  _remember(target, found) {
+    this.roots.set(target, found);
+    this._save();
+  }
+
+  _load() {
+    if (!this.storage) return;
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+      for (const [target, found] of Object.entries(stored[this.cacheKey] || {})) {
+        this.roots.set(Number(target), found);
+      }
+    } catch (e) {
+      console.warn('[BeaconRootFinder] Failed to load cached roots:', e);
+    }
+  }
+
+  _save() {
+    if (!this.storage) return;
+    try {
+      // Drop roots past their claim deadline, then keep the newest
+      const now = Math.floor(Date.now() / 1000);
+      const entries = [...this.roots.entries()]
+        .filter(([target]) => target + BEACON_BUFFER_LIMIT_SECONDS > now)
+        .sort((a, b) => b[0] - a[0])
+        .slice(0, MAX_STORED_ROOTS);
+
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+      stored[this.cacheKey] = Object.fromEntries(entries);
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+      console.warn('[BeaconRootFinder] Failed to save cached roots:', e);
+    }
+  }
+}
+
+export default BeaconRootFinder;
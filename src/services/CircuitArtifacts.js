@@ -0,0 +1,144 @@
+/**
+ * CircuitArtifacts - Versioned browser cache for the claim circuit files
+ *
+ * challenge.wasm and challenge_final.zkey (~3 MB together) are listed in
+ * /circuit-manifest.json with their sha256 (npm run circuit:manifest). Each file
+ * is stored in Cache Storage under its path plus hash, so a new circuit gets new
+ * keys and entries for any other hash are deleted. Every file is checked against
+ * the manifest before use, whether downloaded or read from the cache.
+ *
+ * Without Cache Storage (private windows, old browsers) files are downloaded and
+ * checked on each page load.
+ */
+
+const MANIFEST_URL = '/circuit-manifest.json';
+const CACHE_NAME = 'miladycola-circuit';
+
+// Used only when the manifest cannot be fetched; these files are not verified
+const FALLBACK_PATHS = {
+  wasm: '/challenge.wasm',
+  zkey: '/challenge_final.zkey',
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Cache key for one artifact version; the query also bypasses stale HTTP caches
+function versionedUrl({ path, sha256 }) {
+  return new URL(`${path}?sha256=${sha256}`, location.origin).href;
+}
+
+async function openCache() {
+  if (typeof caches === 'undefined') return null;
+  try {
+    return await caches.open(CACHE_NAME);
+  } catch (e) {
+    console.warn('[CircuitArtifacts] Cache Storage unavailable:', e);
+    return null;
+  }
+}
+
+async function fetchManifest() {
+  const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Failed to fetch circuit manifest (${response.status})`);
+  return response.json();
+}
+
+async function downloadArtifact(name, artifact) {
+  const response = await fetch(versionedUrl(artifact));
+  if (!response.ok) throw new Error(`Failed to fetch ${name} circuit file (${response.status})`);
+  const buffer = await response.arrayBuffer();
+
+  const hash = await sha256Hex(buffer);
+  if (hash !== artifact.sha256) {
+    throw new Error(`Circuit ${name} file does not match the manifest (got ${hash.slice(0, 12)}...)`);
+  }
+  return buffer;
+}
+
+/**
+ * Read one artifact from the cache, or download and cache it
+ */
+async function loadArtifact(cache, name, artifact) {
+  const url = versionedUrl(artifact);
+
+  if (cache) {
+    const cached = await cache.match(url);
+    if (cached) {
+      const buffer = await cached.arrayBuffer();
+      if (await sha256Hex(buffer) === artifact.sha256) {
+        console.log(`[CircuitArtifacts] ${name} loaded from cache`);
+        return buffer;
+      }
+      console.warn(`[CircuitArtifacts] Cached ${name} is corrupt, downloading again`);
+      await cache.delete(url);
+    }
+  }
+
+  const buffer = await downloadArtifact(name, artifact);
+  if (cache) {
+    try {
+      await cache.put(url, new Response(buffer.slice(0), {
+        headers: { 'Content-Type': 'application/octet-stream' },
+      }));
+    } catch (e) {
+      // Quota exceeded or similar - the download is still usable
+      console.warn(`[CircuitArtifacts] Failed to cache ${name}:`, e);
+    }
+  }
+  console.log(`[CircuitArtifacts] ${name} downloaded`);
+  return buffer;
+}
+
+/**
+ * Drop cached files that are not in the current manifest
+ */
+async function pruneCache(cache, manifest) {
+  const keep = new Set(Object.values(manifest.artifacts).map(versionedUrl));
+  const requests = await cache.keys();
+  const stale = requests.filter(request => !keep.has(request.url));
+  await Promise.all(stale.map(request => cache.delete(request)));
+  if (stale.length > 0) {
+    console.log(`[CircuitArtifacts] Removed ${stale.length} outdated circuit files`);
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Load the circuit wasm and zkey, from the cache when it holds the manifest's version
+ * @returns {Promise<{wasm: ArrayBuffer, zkey: ArrayBuffer}>}
+ */
+export async function loadCircuitArtifacts() {
+  let manifest;
+  try {
+    manifest = await fetchManifest();
+  } catch (e) {
+    console.warn('[CircuitArtifacts] No manifest, loading unverified circuit files:', e);
+    const [wasm, zkey] = await Promise.all(Object.values(FALLBACK_PATHS).map(async (path) => {
+      const response = await fetch(path);
+      if (!response.ok) throw new Error('Failed to fetch circuit assets');
+      return response.arrayBuffer();
+    }));
+    return { wasm, zkey };
+  }
+
+  const cache = await openCache();
+  if (cache) {
+    pruneCache(cache, manifest).catch(e => console.warn('[CircuitArtifacts] Cache cleanup failed:', e));
+  }
+
+  const [wasm, zkey] = await Promise.all([
+    loadArtifact(cache, 'wasm', manifest.artifacts.wasm),
+    loadArtifact(cache, 'zkey', manifest.artifacts.zkey),
+  ]);
+  return { wasm, zkey };
+}
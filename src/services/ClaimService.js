@@ -0,0 +1,326 @@
+/**
+ * ClaimService - The victory claim as an explicit, resumable state machine
+ *
+ *   idle → verifying → findingRoot → evaluating → proving → proved
+ *        → simulating → submitting → claimed
+ *
+ * - verifying:   the passphrase must open the bottle's commitment
+ * - findingRoot: canonical beacon root (DevService warps time in dev mode)
+ * - evaluating:  the win condition, so a losing bottle fails before proving
+ * - proving:     verifier key check, then the proof (with CryptoService stages)
+ * - proved:      the verified proof is saved; claim files stop here
+ * - simulating:  verifyProof and victory() dry-runs
+ * - submitting:  victory() sent and awaited
+ *
+ * Every transition is emitted as claim:state { chanceId, step, stage, error,
+ * code, claimExport }. From `proved` on, the step and claim file are persisted
+ * per deployment, so a rejected, reverted or interrupted victory() is resent
+ * from the saved proof without proving again. A failure before `proved`
+ * returns to idle; a failure after it returns to proved.
+ */
+
+import cryptoService from './CryptoService.js';
+import { SAFETY_DELAY } from './ProtocolMath.js';
+import { createColasseumError, formatColasseumError } from './ColasseumErrors.js';
+import { scopedKey } from './DeploymentStorage.js';
+
+export const CLAIM_STEPS = Object.freeze({
+  IDLE: 'idle',
+  VERIFYING: 'verifying',
+  FINDING_ROOT: 'findingRoot',
+  EVALUATING: 'evaluating',
+  PROVING: 'proving',
+  PROVED: 'proved',
+  SIMULATING: 'simulating',
+  SUBMITTING: 'submitting',
+  CLAIMED: 'claimed',
+});
+
+const S = CLAIM_STEPS;
+
+// Allowed next steps; proving repeats once per proof stage
+const TRANSITIONS = {
+  [S.IDLE]: [S.VERIFYING],
+  [S.VERIFYING]: [S.FINDING_ROOT, S.IDLE],
+  [S.FINDING_ROOT]: [S.EVALUATING, S.IDLE],
+  [S.EVALUATING]: [S.PROVING, S.IDLE],
+  [S.PROVING]: [S.PROVING, S.PROVED, S.IDLE],
+  [S.PROVED]: [S.SIMULATING, S.IDLE],
+  [S.SIMULATING]: [S.SUBMITTING, S.PROVED],
+  [S.SUBMITTING]: [S.CLAIMED, S.PROVED],
+  [S.CLAIMED]: [],
+};
+
+// Steps that hold a proof, and are persisted
+const SAVED_STEPS = new Set([S.PROVED, S.SIMULATING, S.SUBMITTING]);
+
+const STORAGE_NAME = 'claims';
+const ZERO_ROOT = '0x' + '0'.repeat(64);
+
+class ClaimService {
+  /**
+   * @param {EventBus} eventBus
+   * @param {Object} services
+   * @param {ContractService} services.contractService
+   * @param {DevService|null} [services.devService]
+   */
+  constructor(eventBus, { contractService, devService = null }) {
+    this.eventBus = eventBus;
+    this.contractService = contractService;
+    this.devService = devService;
+    this.steps = new Map(); // chanceId -> current step
+    this.abort = null;
+
+    // A victory() confirmed anywhere (including a resumed tx) needs no saved proof
+    this.eventBus.on('contract:victor', ({ chanceId }) => {
+      if (chanceId !== undefined) this._delete(chanceId);
+    });
+  }
+
+  // ============================================
+  // STATE
+  // ============================================
+
+  /**
+   * Current step for a chance: in memory, else resumed from a saved proof
+   * @param {number|string} chanceId
+   * @returns {string} One of CLAIM_STEPS
+   */
+  getStep(chanceId) {
+    const step = this.steps.get(String(chanceId));
+    if (step) return step;
+    // A page closed mid-claim resumes at the proof; the tracker follows any sent tx
+    return this._read()[chanceId] ? S.PROVED : S.IDLE;
+  }
+
+  /**
+   * The saved proof for a chance, if it was made for this claimant
+   * @param {number|string} chanceId
+   * @param {string} [claimant]
+   * @returns {{step: string, savedAt: number, claim: Object}|null}
+   */
+  getSavedClaim(chanceId, claimant) {
+    const record = this._read()[chanceId];
+    if (!record) return null;
+    if (claimant && record.claim.claimant.toLowerCase() !== claimant.toLowerCase()) return null;
+    return record;
+  }
+
+  /**
+   * Forget a saved proof, so the next claim proves again
+   * @param {number|string} chanceId
+   */
+  discard(chanceId) {
+    if (this.getStep(chanceId) !== S.PROVED) {
+      throw new Error(`Cannot discard a claim while it is ${this.getStep(chanceId)}`);
+    }
+    this._delete(chanceId);
+    this._transition(chanceId, S.IDLE);
+  }
+
+  /**
+   * Cancel an in-flight proof (rejects with PROOF_CANCELLED, back to idle)
+   */
+  cancel() {
+    this.abort?.abort();
+  }
+
+  _transition(chanceId, step, details = {}) {
+    const current = this.getStep(chanceId);
+    if (!TRANSITIONS[current].includes(step)) {
+      throw new Error(`Invalid claim transition for chance ${chanceId}: ${current} → ${step}`);
+    }
+    this.steps.set(String(chanceId), step);
+    if (SAVED_STEPS.has(step) && details.claimExport) this._save(chanceId, step, details.claimExport);
+    else if (SAVED_STEPS.has(step)) this._saveStep(chanceId, step);
+    this._emit(chanceId, step, details);
+  }
+
+  _emit(chanceId, step, { stage = null, error = null, claimExport } = {}) {
+    const saved = this.getSavedClaim(chanceId);
+    this.eventBus.emit('claim:state', {
+      chanceId,
+      step,
+      stage,
+      error: error ? formatColasseumError(error) : null,
+      code: error?.code || null,
+      claimExport: claimExport || saved?.claim || null,
+      savedAt: saved?.savedAt || null,
+    });
+  }
+
+  // ============================================
+  // CLAIM
+  // ============================================
+
+  /**
+   * Claim a bottle, resuming from a saved proof when there is one.
+   * Failures are emitted as claim:state errors rather than thrown.
+   * @param {Object} bottle - id, commitment, targetTimestamp, difficulty, numChances
+   * @param {string|null} passphrase - Not needed when a proof is saved
+   * @param {Object} options
+   * @param {string} options.owner - Connected address (the chance owner)
+   * @param {boolean} [options.exportOnly] - Stop at proved, for a claim file
+   * @returns {Promise<string>} The step the claim ended on
+   */
+  async claim(bottle, passphrase, { owner, exportOnly = false }) {
+    const chanceId = bottle.id;
+    const current = this.getStep(chanceId);
+    if (current !== S.IDLE && current !== S.PROVED) {
+      console.warn('[ClaimService] Chance', chanceId, 'is already', current);
+      return current;
+    }
+
+    try {
+      if (!this.contractService?.initialized) throw new Error('ContractService not initialized');
+      if (!owner) throw new Error('Please connect your wallet');
+      if (this.contractService.transactions.getPending('victory').some(r => String(r.meta?.chanceId) === String(chanceId))) {
+        throw createColasseumError('CLAIM_PENDING');
+      }
+
+      let saved = this.getSavedClaim(chanceId, owner);
+      if (!saved) {
+        if (!passphrase) throw new Error('Passphrase is required');
+        await this._prove(bottle, passphrase, owner);
+        saved = this.getSavedClaim(chanceId, owner);
+      } else {
+        console.log('[ClaimService] Resuming chance', chanceId, 'from a proof saved at', new Date(saved.savedAt).toISOString());
+        this.steps.set(String(chanceId), S.PROVED);
+        this._emit(chanceId, S.PROVED);
+      }
+      if (exportOnly) return S.PROVED;
+
+      await this._submit(chanceId, saved.claim);
+      return S.CLAIMED;
+    } catch (error) {
+      const cancelled = error.code === 'PROOF_CANCELLED';
+      if (!cancelled) console.error('[ClaimService] Claim failed for chance', chanceId, error);
+      const step = this.getSavedClaim(chanceId) ? S.PROVED : S.IDLE;
+      this.steps.set(String(chanceId), step);
+      this._emit(chanceId, step, { error: cancelled ? null : error });
+      return step;
+    }
+  }
+
+  /**
+   * idle → verifying → findingRoot → evaluating → proving → proved
+   */
+  async _prove(bottle, passphrase, owner) {
+    const chanceId = bottle.id;
+    this.steps.set(String(chanceId), S.IDLE); // A proof saved for another claimant is not resumed
+
+    this._transition(chanceId, S.VERIFYING);
+    const commitment = await cryptoService.generateCommitment(passphrase, owner);
+    if (commitment !== String(bottle.commitment)) throw createColasseumError('PASSPHRASE_MISMATCH');
+
+    this._transition(chanceId, S.FINDING_ROOT);
+    const { root, timestamp } = await this._findBeaconRoot(bottle.targetTimestamp);
+    if (!root || root === ZERO_ROOT) throw createColasseumError('RANDOMNESS_UNAVAILABLE');
+
+    // A losing bottle has no satisfiable witness; say so before loading the circuit
+    this._transition(chanceId, S.EVALUATING);
+    const { isWinner } = await cryptoService.evaluateWinCondition(passphrase, root, bottle.difficulty, bottle.numChances);
+    if (!isWinner) throw createColasseumError('NOT_A_WINNER');
+
+    this.abort = new AbortController();
+    try {
+      // Refuse to prove against a verifier the zkey does not belong to
+      this._transition(chanceId, S.PROVING, { stage: 'assets' });
+      await cryptoService.assertVerifierKey(this.contractService);
+
+      const proofResult = await cryptoService.generateProof(
+        passphrase,
+        owner,
+        root,
+        bottle.commitment,
+        bottle.difficulty,
+        bottle.numChances,
+        {
+          onStage: (stage) => this._transition(chanceId, S.PROVING, { stage }),
+          signal: this.abort.signal,
+        }
+      );
+
+      const claimExport = this.contractService.buildVictoryClaim(chanceId, timestamp, proofResult, owner);
+      this._transition(chanceId, S.PROVED, { claimExport });
+    } finally {
+      this.abort = null;
+    }
+  }
+
+  /**
+   * proved → simulating → submitting → claimed
+   */
+  async _submit(chanceId, claim) {
+    const beaconTimestamp = Number(claim.beaconTimestamp);
+
+    this._transition(chanceId, S.SIMULATING);
+    const simulation = await this.contractService.simulateVictory(chanceId, beaconTimestamp, claim.solidityProof);
+    if (!simulation.ok) {
+      console.error('[ClaimService] Simulation failed at', simulation.stage, simulation.error);
+      throw simulation.error;
+    }
+
+    this._transition(chanceId, S.SUBMITTING);
+    await this.contractService.victory(chanceId, beaconTimestamp, claim.solidityProof);
+
+    this._delete(chanceId);
+    this._transition(chanceId, S.CLAIMED);
+  }
+
+  async _findBeaconRoot(targetTimestamp) {
+    if (this.devService?.isEnabled() && this.devService.oracleSeed) {
+      // Dev mode with seed: warp chain time and derive the root locally
+      let timestamp = targetTimestamp;
+      const root = await this.devService.prepareForClaim(targetTimestamp, SAFETY_DELAY, async () => {
+        const result = await this.contractService.findCanonicalBeaconRoot(targetTimestamp);
+        timestamp = result.timestamp;
+        return result.root;
+      });
+      return { root, timestamp };
+    }
+    return this.contractService.findCanonicalBeaconRoot(targetTimestamp);
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  _read() {
+    try {
+      return JSON.parse(localStorage.getItem(scopedKey(STORAGE_NAME))) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  _write(records) {
+    try {
+      localStorage.setItem(scopedKey(STORAGE_NAME), JSON.stringify(records));
+    } catch (e) {
+      console.warn('[ClaimService] Failed to save claims:', e);
+    }
+  }
+
+  _save(chanceId, step, claim) {
+    const records = this._read();
+    records[chanceId] = { step, savedAt: Date.now(), claim };
+    this._write(records);
+  }
+
+  _saveStep(chanceId, step) {
+    const records = this._read();
+    if (!records[chanceId]) return;
+    records[chanceId].step = step;
+    this._write(records);
+  }
+
+  _delete(chanceId) {
+    const records = this._read();
+    if (!records[chanceId]) return;
+    delete records[chanceId];
+    this._write(records);
+  }
+}
+
+export default ClaimService;
@@ -0,0 +1,343 @@
+/**
+ * ColasseumErrors - Structured revert decoding for Colasseum writes
+ *
+ * Maps every Colasseum `require` string (and the oracle's custom errors) to a
+ * stable error code plus user-facing copy, so modals never show raw RPC text.
+ *
+ * Revert reasons are dug out of the many shapes ethers v5 and wallets produce:
+ * - `error.reason` ("execution reverted: Trial not active")
+ * - nested JSON-RPC errors (`error.error.data.message`, MetaMask -32603)
+ * - raw revert data (`Error(string)`, custom error selectors)
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Colasseum / oracle revert reasons → code + copy.
+ * Keys are the exact strings from miladycola4.sol and MockBeaconOracle.
+ */
+const REVERT_REASONS = {
+  // Governance
+  'Not Worthy': { code: 'NOT_CHARITY', message: 'Only the charity address can propose a new charity.' },
+  'Not Witness': { code: 'NOT_WITNESS', message: 'Only the witness can do this.' },
+  'Invalid charity': { code: 'INVALID_CHARITY', message: 'The charity address cannot be the zero address.' },
+  'Rate too high': { code: 'RATE_TOO_HIGH', message: 'Generosity cannot exceed 100% (10000 bps).' },
+  'Invalid witness': { code: 'INVALID_WITNESS', message: 'The witness address cannot be the zero address.' },
+  'No pending proposal': { code: 'NO_PENDING_PROPOSAL', message: 'There is no pending charity proposal to affirm.' },
+
+  // challenge()
+  'Appraisal must be > 0': { code: 'APPRAISAL_ZERO', message: 'Appraisal must be greater than zero.' },
+  'Appraisal is too high, results in zero difficulty': {
+    code: 'APPRAISAL_TOO_HIGH',
+    message: 'Appraisal is too high — the prize would be impossible to win.',
+  },
+  'Deposit below 5% appraisal': { code: 'DEPOSIT_TOO_LOW', message: 'The deposit must be at least 5% of the appraisal.' },
+
+  // valor()
+  'Trial not active': { code: 'TRIAL_NOT_ACTIVE', message: 'This prize is no longer active.' },
+  'Must buy at least one chance': { code: 'NO_CHANCES', message: 'You must buy at least one chance.' },
+  'Incorrect total payment for chances': {
+    code: 'INCORRECT_PAYMENT',
+    message: 'Payment does not match 1 gwei per chance.',
+  },
+  'Target must be in future': {
+    code: 'TARGET_IN_PAST',
+    message: 'The bottle\'s target time has already passed. Please try again.',
+  },
+  'Target too far': { code: 'TARGET_TOO_FAR', message: 'The target time must be within 24 hours.' },
+
+  // victory()
+  'Not chance owner': { code: 'NOT_CHANCE_OWNER', message: 'This bottle belongs to a different wallet.' },
+  'Trial already ended': { code: 'TRIAL_ENDED', message: 'This prize has already been won or cancelled.' },
+  'Prize already claimed for this chance': { code: 'ALREADY_CLAIMED', message: 'This bottle has already been claimed.' },
+  'Beacon timestamp too early': {
+    code: 'BEACON_TOO_EARLY',
+    message: 'The beacon timestamp is before this bottle\'s target time.',
+  },
+  'Beacon timestamp too late': {
+    code: 'BEACON_TOO_LATE',
+    message: 'The beacon timestamp is outside the 12-slot window after the target time.',
+  },
+  'Invalid ZK Proof': { code: 'INVALID_PROOF', message: 'The proof was rejected. Check your passphrase and try again.' },
+  'Deposit refund failed': { code: 'DEPOSIT_REFUND_FAILED', message: 'The challenger\'s deposit refund failed.' },
+
+  // cowardice()
+  'Not the challenger': { code: 'NOT_CHALLENGER', message: 'Only the challenger can cancel this prize.' },
+  'Deposit donation failed': { code: 'DEPOSIT_DONATION_FAILED', message: 'The deposit donation to charity failed.' },
+
+  // Payouts
+  'Donation failed': { code: 'DONATION_FAILED', message: 'The charity donation transfer failed.' },
+  'Challenger transfer failed': { code: 'CHALLENGER_TRANSFER_FAILED', message: 'The payout to the challenger failed.' },
+
+  // MockBeaconOracle (local dev)
+  'Not Finalized': { code: 'RANDOMNESS_NOT_FINALIZED', message: 'Randomness is not finalized yet. Please wait for the cooldown.' },
+  'Zero Randomness': { code: 'ZERO_RANDOMNESS', message: 'No beacon root exists for that timestamp (missed slot).' },
+  'Expired': { code: 'RANDOMNESS_EXPIRED', message: 'The beacon root has expired and can no longer be used.' },
+  'Future': { code: 'FUTURE_TIMESTAMP', message: 'That timestamp is still in the future.' },
+  'SeedZero': { code: 'ORACLE_NOT_SEEDED', message: 'The local oracle has not been seeded.' },
+};
+
+// Where providers and wallets put the reason string in their messages. Only the
+// whole reason is looked up, so short keys like 'Expired' never match other text.
+const REASON_PATTERNS = [
+  /execution reverted:\s*(?:revert:\s*)?([^"\n]+)/, // geth, Anvil, ethers `reason`
+  /reverted with reason string '([^'\n]*)'/, // Hardhat
+  /VM Exception while processing transaction: revert\s+([^"\n]+)/, // Ganache
+];
+
+/**
+ * Custom errors (Colasseum reentrancy guard + BeaconRandomnessOracle)
+ */
+const CUSTOM_ERRORS = {
+  'Reentrancy()': { code: 'REENTRANCY', message: 'Reentrant call blocked.' },
+  'FutureTimestamp()': { code: 'FUTURE_TIMESTAMP', message: 'That timestamp is still in the future.' },
+  'NotFinalized(uint256,uint256)': {
+    code: 'RANDOMNESS_NOT_FINALIZED',
+    message: 'Randomness is not finalized yet. Please wait for the cooldown.',
+  },
+  'RandomnessExpired(uint256)': {
+    code: 'RANDOMNESS_EXPIRED',
+    message: 'The beacon root has expired and can no longer be used.',
+  },
+  'ZeroRandomness()': { code: 'ZERO_RANDOMNESS', message: 'No beacon root exists for that timestamp (missed slot).' },
+};
+
+const CUSTOM_ERROR_SELECTORS = Object.fromEntries(
+  Object.entries(CUSTOM_ERRORS).map(([signature, info]) => [
+    ethers.utils.id(signature).slice(0, 10),
+    { ...info, signature },
+  ])
+);
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const GENERIC = {
+  USER_REJECTED: 'Transaction rejected in wallet.',
+  TX_CANCELLED: 'The transaction was cancelled or replaced in your wallet.',
+  TX_REVERTED: 'The transaction was mined but reverted.',
+  BEACON_ROOT_EXPIRED: 'This bottle\'s beacon root has left the EIP-4788 history (~27 hours). It can no longer be claimed.',
+  CHANCES_WRAP_FIELD: 'Too many chances: the win threshold would pass the BN254 field prime and wrap around to almost no odds.',
+  INSUFFICIENT_FUNDS: 'Insufficient ETH to cover the value and gas.',
+  NETWORK: 'Network error. Please check your connection and try again.',
+  PANIC: 'The contract hit an internal error.',
+  PASSPHRASE_MISMATCH: 'Passphrase does not match this bottle. Please check and try again.',
+  RANDOMNESS_UNAVAILABLE: 'Randomness not available yet. Please wait for the cooldown.',
+  NOT_A_WINNER: 'This bottle did not win, so there is no proof to generate.',
+  CLAIM_PENDING: 'A claim transaction for this bottle is still pending. Wait for it before sending another.',
+  PROOF_CANCELLED: 'Proof generation cancelled.',
+  PROOF_INVALID: 'The generated proof failed local verification, so victory() would reject it. Nothing was sent.',
+  VERIFIER_MISMATCH: 'The circuit files do not match the on-chain verifier, so any proof would be rejected. Reload the page; if this persists, do not claim.',
+  UNKNOWN: 'Transaction failed.',
+};
+
+/**
+ * Typed error thrown by ContractService write methods.
+ */
+export class ColasseumError extends Error {
+  /**
+   * @param {string} code - Stable error code (e.g. 'TRIAL_NOT_ACTIVE')
+   * @param {string} message - User-facing copy
+   * @param {Object} [details]
+   * @param {string} [details.reason] - Raw revert reason / custom error signature
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(code, message, { reason = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ColasseumError';
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Collect every string and hex blob an ethers/wallet error might carry.
+ */
+function collectErrorPayloads(error, seen = new Set(), out = { texts: [], data: [] }) {
+  if (!error || typeof error !== 'object' || seen.has(error)) return out;
+  seen.add(error);
+
+  for (const key of ['reason', 'message', 'body']) {
+    if (typeof error[key] === 'string') {
+      out.texts.push(error[key]);
+      // Some providers put the JSON-RPC response body in a string
+      if (key === 'body') {
+        try {
+          collectErrorPayloads(JSON.parse(error.body), seen, out);
+        } catch {
+          // not JSON
+        }
+      }
+    }
+  }
+
+  if (typeof error.data === 'string' && error.data.startsWith('0x')) {
+    out.data.push(error.data);
+  }
+
+  for (const key of ['error', 'data', 'cause', 'info']) {
+    if (error[key] && typeof error[key] === 'object') {
+      collectErrorPayloads(error[key], seen, out);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Decode raw revert data into a reason string or custom error info.
+ * @param {string} data - Hex revert data
+ * @param {ethers.utils.Interface} [iface] - Optional contract interface for extra custom errors
+ * @returns {{reason?: string, custom?: Object, panic?: string}|null}
+ */
+export function decodeRevertData(data, iface = null) {
+  if (!data || data.length < 10) return null;
+  const selector = data.slice(0, 10).toLowerCase();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10));
+      return { reason };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10));
+      return { panic: code.toHexString() };
+    }
+  } catch {
+    return null;
+  }
+
+  if (CUSTOM_ERROR_SELECTORS[selector]) {
+    return { custom: CUSTOM_ERROR_SELECTORS[selector] };
+  }
+
+  if (iface) {
+    try {
+      const parsed = iface.parseError(data);
+      return { reason: parsed.name };
+    } catch {
+      // unknown to this interface
+    }
+  }
+
+  return null;
+}
+
+function lookupReason(reason) {
+  const key = reason.trim();
+  return Object.hasOwn(REVERT_REASONS, key) ? { key, ...REVERT_REASONS[key] } : null;
+}
+
+// A bare reason string, or one behind a known revert-reason prefix
+function matchReason(text) {
+  if (!text) return null;
+  const exact = lookupReason(text);
+  if (exact) return exact;
+  for (const pattern of REASON_PATTERNS) {
+    const found = text.match(pattern);
+    const match = found && lookupReason(found[1]);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Turn any error from a Colasseum write (estimateGas, send, wait) into a ColasseumError.
+ * @param {Error} error
+ * @param {ethers.utils.Interface} [iface] - Contract interface, for decoding custom errors
+ * @returns {ColasseumError}
+ */
+export function decodeColasseumError(error, iface = null) {
+  if (error instanceof ColasseumError) return error;
+
+  // Wallet rejection comes before any revert parsing (MetaMask also nests messages)
+  if (error?.code === 'ACTION_REJECTED' || error?.code === 4001 || error?.error?.code === 4001) {
+    return new ColasseumError('USER_REJECTED', GENERIC.USER_REJECTED, { cause: error });
+  }
+
+  // Sped-up transactions are followed by TransactionTracker; only cancellations reach here
+  if (error?.code === 'TRANSACTION_REPLACED' && error.cancelled) {
+    return new ColasseumError('TX_CANCELLED', GENERIC.TX_CANCELLED, { cause: error });
+  }
+
+  const { texts, data } = collectErrorPayloads(error);
+
+  for (const hex of data) {
+    const decoded = decodeRevertData(hex, iface);
+    if (decoded?.custom) {
+      return new ColasseumError(decoded.custom.code, decoded.custom.message, {
+        reason: decoded.custom.signature,
+        cause: error,
+      });
+    }
+    if (decoded?.panic) {
+      return new ColasseumError('PANIC', GENERIC.PANIC, { reason: `Panic(${decoded.panic})`, cause: error });
+    }
+    if (decoded?.reason) {
+      const match = matchReason(decoded.reason);
+      if (match) return new ColasseumError(match.code, match.message, { reason: match.key, cause: error });
+      return new ColasseumError('REVERTED', `Transaction reverted: ${decoded.reason}`, {
+        reason: decoded.reason,
+        cause: error,
+      });
+    }
+  }
+
+  for (const text of texts) {
+    const match = matchReason(text);
+    if (match) return new ColasseumError(match.code, match.message, { reason: match.key, cause: error });
+  }
+
+  if (error?.code === 'INSUFFICIENT_FUNDS' || texts.some(t => /insufficient funds/i.test(t))) {
+    return new ColasseumError('INSUFFICIENT_FUNDS', GENERIC.INSUFFICIENT_FUNDS, { cause: error });
+  }
+
+  // Mined with status 0 and no recoverable reason
+  if (error?.code === 'CALL_EXCEPTION' && error.receipt) {
+    return new ColasseumError('TX_REVERTED', GENERIC.TX_REVERTED, { cause: error });
+  }
+
+  if (error?.code === 'NETWORK_ERROR' || error?.code === 'TIMEOUT') {
+    return new ColasseumError('NETWORK', GENERIC.NETWORK, { cause: error });
+  }
+
+  // Plain application errors (no ethers code) already carry readable copy
+  if (error instanceof Error && error.code === undefined && error.message) {
+    return new ColasseumError('UNKNOWN', error.message, { cause: error });
+  }
+
+  return new ColasseumError('UNKNOWN', GENERIC.UNKNOWN, { cause: error });
+}
+
+/**
+ * Build a typed error for an app-level condition (no revert involved)
+ * @param {string} code - Key of GENERIC (e.g. 'BEACON_ROOT_EXPIRED')
+ * @param {Object} [details] - { reason, cause }
+ * @returns {ColasseumError}
+ */
+export function createColasseumError(code, details = {}) {
+  return new ColasseumError(code, GENERIC[code] || GENERIC.UNKNOWN, details);
+}
+
+/**
+ * Build the typed error for a known Colasseum revert reason without a revert
+ * (e.g. when a pre-flight check fails off-chain).
+ * @param {string} reason - Exact require string (e.g. 'Invalid ZK Proof')
+ * @returns {ColasseumError}
+ */
+export function colasseumErrorForReason(reason) {
+  const match = matchReason(reason);
+  if (match) return new ColasseumError(match.code, match.message, { reason: match.key });
+  return new ColasseumError('REVERTED', `Transaction reverted: ${reason}`, { reason });
+}
+
+/**
+ * Format any error for display in a modal: user copy plus the error code.
+ * @param {Error} error
+ * @returns {string}
+ */
+export function formatColasseumError(error) {
+  const decoded = decodeColasseumError(error);
+  return decoded.code === 'UNKNOWN' ? decoded.message : `${decoded.message} (${decoded.code})`;
+}
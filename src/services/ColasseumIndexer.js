@@ -1,7 +1,8 @@
 // src/services/ColasseumIndexer.js
 
 import { EventIndexer } from '@monygroupcorp/micro-web3';
-import { ethers } from 'ethers';
+import ProviderManager from './ProviderManager.js';
+import { getIndexerDbName, deleteDatabase } from './DeploymentStorage.js';
 
 /**
  * ColasseumIndexer - Event indexing service for Colasseum dApp.
@@ -11,6 +12,7 @@ import { ethers } from 'ethers';
  * - Finding refundable chances for users
  * - Activity history
  * - Leaderboards
+ * - Governance history (charity proposals, witness transfers)
  */
 class ColasseumIndexer {
   constructor(eventBus) {
@@ -23,16 +25,14 @@ class ColasseumIndexer {
   /**
    * Initialize the indexer with contract config.
    * @param {Object} config - Contract configuration from contracts.json
+   * @param {ethers.providers.Provider} [sharedProvider] - Shared read provider (ProviderManager)
    */
-  async initialize(config) {
+  async initialize(config, sharedProvider = null) {
     this.config = config;
 
     try {
-      // Detect chain restart / redeployment by comparing contract address
-      this._clearStaleDataIfRedeployed(config);
-
-      // Create provider
-      const provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
+      // Use the shared failover provider when given one
+      const provider = sharedProvider || new ProviderManager(this.eventBus, config).provider;
 
       // Create EventIndexer instance
       this.indexer = new EventIndexer(this.eventBus);
@@ -44,7 +44,7 @@ class ColasseumIndexer {
         if (error.message?.includes('object stores was not found') ||
             error.message?.includes('NotFoundError')) {
           console.warn('[ColasseumIndexer] Schema mismatch detected, clearing database and retrying...');
-          await this._clearIndexedDB(config.chainId);
+          await deleteDatabase(this._getDbName(config));
           await this._initializeIndexer(config, provider);
         } else {
           throw error;
@@ -57,75 +57,8 @@ class ColasseumIndexer {
     }
   }
 
-  /**
-   * Detect chain restart by comparing the stored contract address with the
-   * current config. On a fresh deploy the address changes, so we wipe stale
-   * IndexedDB events and localStorage bottle state.
-   */
-  _clearStaleDataIfRedeployed(config) {
-    const FINGERPRINT_KEY = 'miladycola_deploy_address';
-    try {
-      const currentAddress = config.contracts?.colasseum?.address;
-      const storedAddress = localStorage.getItem(FINGERPRINT_KEY);
-
-      if (storedAddress !== currentAddress) {
-        console.log('[ColasseumIndexer] Contract address changed — clearing stale caches');
-
-        // Clear IndexedDB (fire-and-forget, _initializeIndexer will wait if needed)
-        this._clearIndexedDB(config.chainId);
-
-        // Clear stale localStorage keys from previous deployment
-        const prefixes = ['miladycola_passphrase_', 'miladycola_reveal_seen_', 'miladycola_win_result_'];
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          if (prefixes.some(p => key.startsWith(p))) {
-            keysToRemove.push(key);
-          }
-        }
-        keysToRemove.forEach(k => localStorage.removeItem(k));
-        if (keysToRemove.length > 0) {
-          console.log(`[ColasseumIndexer] Cleared ${keysToRemove.length} stale localStorage entries`);
-        }
-      }
-
-      // Store current address for next comparison
-      if (currentAddress) {
-        localStorage.setItem(FINGERPRINT_KEY, currentAddress);
-      }
-    } catch (e) {
-      console.warn('[ColasseumIndexer] Failed to check deploy fingerprint:', e);
-    }
-  }
-
-  async _clearIndexedDB(chainId) {
-    // Check if IndexedDB is available
-    if (typeof indexedDB === 'undefined') {
-      console.warn('[ColasseumIndexer] IndexedDB not available');
-      return;
-    }
-
-    const dbName = `colasseum-${chainId}`;
-    return new Promise((resolve) => {
-      try {
-        const request = indexedDB.deleteDatabase(dbName);
-        request.onsuccess = () => {
-          console.log('[ColasseumIndexer] Database cleared');
-          resolve();
-        };
-        request.onerror = () => {
-          console.warn('[ColasseumIndexer] Failed to clear database:', request.error);
-          resolve(); // Don't block on error
-        };
-        request.onblocked = () => {
-          console.warn('[ColasseumIndexer] Database delete blocked, continuing...');
-          resolve();
-        };
-      } catch (err) {
-        console.warn('[ColasseumIndexer] Error clearing database:', err);
-        resolve();
-      }
-    });
+  _getDbName(config) {
+    return getIndexerDbName(config.chainId, config.contracts.colasseum.address);
   }
 
   async _initializeIndexer(config, provider) {
@@ -179,7 +112,8 @@ class ColasseumIndexer {
 
       persistence: {
         type: 'indexeddb',
-        dbName: `colasseum-${config.chainId}`,
+        // One database per deployment, so a redeploy never reads stale events
+        dbName: this._getDbName(config),
         version: 4  // Bumped to force resync with larger lookback
       },
 
@@ -405,6 +339,48 @@ class ColasseumIndexer {
     }));
   }
 
+  /**
+   * Get every trial a challenger has stocked, with its outcome.
+   * @param {string} challengerAddress
+   * @returns {Promise<Array>} Gauntlet events with status 'active' | 'won' | 'cancelled', newest first
+   */
+  async getChallengerTrials(challengerAddress) {
+    this._checkInitialized();
+
+    const normalizedAddress = challengerAddress.toLowerCase();
+
+    const [created, won, cancelled] = await Promise.all([
+      this.indexer.events.query('Gauntlet', { orderBy: 'blockNumber', order: 'desc', limit: 1000 }),
+      this.indexer.events.query('Victor', { limit: 1000 }),
+      this.indexer.events.query('Surrender', { limit: 1000 })
+    ]);
+
+    const wonTrialIds = new Set(won.events.map(e => String(e.indexed?.trialId || e.data?.trialId)));
+    const cancelledTrialIds = new Set(cancelled.events.map(e => String(e.indexed?.trialId || e.data?.trialId)));
+
+    return created.events
+      .filter(event => (event.indexed?.challenger || event.data?.challenger || '').toLowerCase() === normalizedAddress)
+      .map(event => {
+        const trialId = event.indexed?.trialId || event.data?.trialId;
+        let status = 'active';
+        if (wonTrialIds.has(String(trialId))) status = 'won';
+        else if (cancelledTrialIds.has(String(trialId))) status = 'cancelled';
+
+        return {
+          trialId,
+          challenger: event.indexed?.challenger || event.data?.challenger,
+          nftContract: event.data?.nftContract,
+          nftId: event.data?.nftId,
+          appraisal: event.data?.appraisal,
+          difficulty: event.data?.difficulty,
+          lore: event.data?.lore,
+          status,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        };
+      });
+  }
+
   /**
    * Get user's chances.
    * @param {string} userAddress - User's wallet address
@@ -511,6 +487,77 @@ class ColasseumIndexer {
     return count > 0;
   }
 
+  /**
+   * Get governance history: charity proposals, affirmations and witness transfers.
+   * @param {Object} options
+   * @param {number} options.limit - Max results (default: 50)
+   * @returns {Promise<Array>} Entries newest first, each with a `type`
+   *   ('HonorPending' | 'HonorAffirmed' | 'TrustBestowed')
+   */
+  async getGovernanceHistory(options = {}) {
+    this._checkInitialized();
+
+    const limit = options.limit || 50;
+    const query = { orderBy: 'blockNumber', order: 'desc', limit };
+    const [pending, affirmed, trusted] = await Promise.all([
+      this.indexer.events.query('HonorPending', query),
+      this.indexer.events.query('HonorAffirmed', query),
+      this.indexer.events.query('TrustBestowed', query)
+    ]);
+
+    const history = [
+      ...pending.events.map(event => ({
+        type: 'HonorPending',
+        donations: event.indexed?.proposedDonations || event.data?.proposedDonations,
+        generosity: Number(event.data?.proposedGenerosity),
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash
+      })),
+      ...affirmed.events.map(event => ({
+        type: 'HonorAffirmed',
+        donations: event.indexed?.newDonations || event.data?.newDonations,
+        generosity: Number(event.data?.newGenerosity),
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash
+      })),
+      ...trusted.events.map(event => ({
+        type: 'TrustBestowed',
+        oldWitness: event.indexed?.oldWitness || event.data?.oldWitness,
+        newWitness: event.indexed?.newWitness || event.data?.newWitness,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash
+      }))
+    ];
+
+    return history
+      .sort((a, b) => (b.blockNumber - a.blockNumber) || ((b.logIndex ?? 0) - (a.logIndex ?? 0)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the charity proposal awaiting the witness, if any.
+   * `pendingHonor` is private on-chain, so it is rebuilt from events: the
+   * latest HonorPending is still pending unless an HonorAffirmed follows it.
+   * @returns {Promise<Object|null>} { donations, generosity, blockNumber, transactionHash } or null
+   */
+  async getPendingHonor() {
+    this._checkInitialized();
+
+    const history = await this.getGovernanceHistory({ limit: 1000 });
+    const latest = history.find(entry => entry.type === 'HonorPending' || entry.type === 'HonorAffirmed');
+    if (!latest || latest.type !== 'HonorPending') return null;
+
+    return {
+      donations: latest.donations,
+      generosity: latest.generosity,
+      blockNumber: latest.blockNumber,
+      transactionHash: latest.transactionHash
+    };
+  }
+
   // =========================================================================
   // SYNC STATUS
   // =========================================================================
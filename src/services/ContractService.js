@@ -1,4 +1,18 @@
 import { ethers } from 'ethers';
+import MulticallService from './MulticallService.js';
+import TransactionTracker from './TransactionTracker.js';
+import ProviderManager from './ProviderManager.js';
+import BeaconRootFinder, { BEACON_BUFFER_LIMIT_SECONDS, BEACON_WINDOW_SECONDS } from './BeaconRootFinder.js';
+import { decodeColasseumError, colasseumErrorForReason, createColasseumError } from './ColasseumErrors.js';
+import {
+  SAFETY_DELAY,
+  FIXED_TICKET_PRICE,
+  getDeposit,
+  getChanceCost,
+  getAppraisalFromDifficulty,
+  getMaxSafeChances,
+  wrapsField,
+} from './ProtocolMath.js';
 
 // Status bit constants (match Colasseum.sol)
 const TRIAL_ACTIVE = 1;
@@ -11,6 +25,37 @@ const isTrialCancelled = (status) => (Number(status) & TRIAL_CANCELLED) !== 0;
 const isChanceClaimed = (status) => (Number(status) & CHANCE_CLAIMED) !== 0;
 const isChanceRefunded = (status) => (Number(status) & CHANCE_REFUNDED) !== 0;
 
+// Oracle timing (match BeaconRandomnessOracle / MockBeaconOracle)
+export { SAFETY_DELAY, BEACON_BUFFER_LIMIT_SECONDS, BEACON_WINDOW_SECONDS };
+
+// Bottles this close to their claim deadline get urgent warnings
+export const CLAIM_URGENT_SECONDS = 2 * 60 * 60;
+
+/**
+ * Last moment a chance's beacon root is guaranteed readable by the oracle.
+ * Measured from the target timestamp (the earliest canonical beacon timestamp),
+ * so it never overstates the time left.
+ * @param {number} targetTimestamp
+ * @returns {number} Unix seconds
+ */
+export function getClaimDeadline(targetTimestamp) {
+  return Number(targetTimestamp) + BEACON_BUFFER_LIMIT_SECONDS;
+}
+
+// Conservative gas limits for writes that cannot be estimated yet
+const DEFAULT_GAS_LIMITS = {
+  approve: 60000,
+  challenge: 260000,
+  valor: 160000,
+  victory: 400000,
+  cowardice: 120000,
+  honor: 80000,
+  affirm: 60000,
+  trust: 40000,
+  perseverance: (chanceIds) => ethers.BigNumber.from(60000).add(ethers.BigNumber.from(35000).mul(chanceIds.length)),
+  default: 200000,
+};
+
 /**
  * ContractService - handles all contract interactions
  *
@@ -24,6 +69,9 @@ class ContractService {
     this.signer = null;
     this.contracts = null;
     this.config = null;
+    this.multicall = null;
+    this.transactions = null;
+    this.beaconRoots = null;
     this.initialized = false;
     this.charityGenerosity = 1000; // Default 10% (1000 bps)
   }
@@ -31,12 +79,18 @@ class ContractService {
   /**
    * Initialize the service with contract config
    * @param {Object} config - Contract configuration from generated/contracts.json
+   * @param {ethers.providers.Provider} [provider] - Shared read provider (ProviderManager)
    */
-  async initialize(config) {
+  async initialize(config, provider = null) {
     this.config = config;
 
-    // Connect to provider
-    this.provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
+    // Connect to provider (failover across config.rpcUrls unless one is shared in)
+    this.provider = provider || new ProviderManager(this.eventBus, config).provider;
+
+    // Batched read layer (Multicall3, or individual calls on a bare chain)
+    this.multicall = new MulticallService(this.provider, {
+      address: config.contracts.multicall?.address,
+    });
 
     // Initialize contract instances (read-only until signer is set)
     // Note: nft contract is optional (only present in local dev config)
@@ -53,6 +107,15 @@ class ContractService {
       ),
     };
 
+    // Groth16 verifier, used to check proofs before victory() is sent
+    if (config.contracts.verifier) {
+      this.contracts.verifier = new ethers.Contract(
+        config.contracts.verifier.address,
+        config.contracts.verifier.abi,
+        this.provider
+      );
+    }
+
     // Dev NFT contract is optional (only for local testing)
     if (config.contracts.nft) {
       this.contracts.nft = new ethers.Contract(
@@ -62,12 +125,25 @@ class ContractService {
       );
     }
 
+    // Canonical beacon root lookups, cached per chain + oracle
+    this.beaconRoots = new BeaconRootFinder(
+      this.provider,
+      (timestamp) => this._read(this.contracts.oracle, 'getRandomness', [timestamp]),
+      { cacheKey: `${config.chainId}:${config.contracts.oracle.address.toLowerCase()}` }
+    );
+
+    // Write lifecycle tracking; pick up anything left pending by a previous page load
+    this.transactions = new TransactionTracker(this.eventBus, config.chainId);
+    this.transactions.resume(this.provider, (record, receipt) => {
+      this._onConfirmed(record.kind, receipt, record.meta);
+    });
+
     this.initialized = true;
     console.log('[ContractService] Initialized with colasseum at:', config.contracts.colasseum.address);
 
     // Read charity generosity from contract
     try {
-      const charity = await this.contracts.colasseum.charity();
+      const charity = await this._read(this.contracts.colasseum, 'charity');
       this.charityGenerosity = charity.generosity.toNumber();
       console.log('[ContractService] Charity generosity:', this.charityGenerosity, 'bps');
     } catch (err) {
@@ -129,6 +205,18 @@ class ContractService {
   // READ METHODS
   // =========================================================================
 
+  /**
+   * Read a view function through the batched read layer.
+   * Calls made in the same tick are sent as a single Multicall3 request.
+   * @param {ethers.Contract} contract
+   * @param {string} method
+   * @param {Array} [args]
+   * @returns {Promise<*>}
+   */
+  _read(contract, method, args = []) {
+    return this.multicall.call(contract, method, args);
+  }
+
   /**
    * Get trial details by ID (fetches current on-chain state)
    * @param {number} trialId
@@ -137,17 +225,21 @@ class ContractService {
   async getTrial(trialId) {
     if (!this.initialized) throw new Error('ContractService not initialized');
 
-    const trial = await this.contracts.colasseum.trials(trialId);
-    const lore = await this.contracts.colasseum.lore(trialId);
-    const FIXED_CHANCE_PRICE = ethers.BigNumber.from('1000000000'); // 1 gwei
+    const [trial, lore] = await Promise.all([
+      this._read(this.contracts.colasseum, 'trials', [trialId]),
+      this._read(this.contracts.colasseum, 'lore', [trialId]),
+    ]);
 
     return {
       id: trialId,
       creator: trial.challenger,
       nftContract: trial.nftContract,
       nftId: trial.nftId.toNumber(),
-      chancePrice: ethers.utils.formatEther(FIXED_CHANCE_PRICE),
+      chancePrice: ethers.utils.formatEther(FIXED_TICKET_PRICE),
+      appraisal: trial.appraisal.toString(),
+      appraisalEth: ethers.utils.formatEther(trial.appraisal),
       difficulty: trial.difficulty.toString(),
+      charityBps: Number(trial.charityBps),
       ethPool: ethers.utils.formatEther(trial.ethPool),
       active: isTrialActive(trial.status),
       cancelled: isTrialCancelled(trial.status),
@@ -157,7 +249,7 @@ class ContractService {
   }
 
   /**
-   * Get multiple trials by IDs
+   * Get multiple trials by IDs (batched into as few RPC calls as possible)
    * @param {number[]} trialIds
    * @returns {Promise<Object[]>}
    */
@@ -165,6 +257,31 @@ class ContractService {
     return Promise.all(trialIds.map(id => this.getTrial(id)));
   }
 
+  /**
+   * Get trials keyed by ID, fetching each unique ID once
+   * @param {number[]} trialIds - May contain duplicates
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async getTrialsById(trialIds) {
+    const uniqueIds = [...new Set(trialIds.map(Number))];
+    const trials = await this.getTrials(uniqueIds);
+    return new Map(trials.map(trial => [trial.id, trial]));
+  }
+
+  /**
+   * Largest chance count for a trial whose win threshold stays below the
+   * field prime. The circuit computes difficulty * numChances mod p, so one
+   * more chance wraps the threshold to almost nothing.
+   * @param {number} trialId
+   * @returns {Promise<bigint>}
+   */
+  async getMaxSafeChances(trialId) {
+    if (!this.initialized) throw new Error('ContractService not initialized');
+
+    const trial = await this._read(this.contracts.colasseum, 'trials', [trialId]);
+    return getMaxSafeChances(trial.difficulty);
+  }
+
   /**
    * Get chance details by ID (fetches current on-chain state)
    * @param {number} chanceId
@@ -173,7 +290,7 @@ class ContractService {
   async getChance(chanceId) {
     if (!this.initialized) throw new Error('ContractService not initialized');
 
-    const chance = await this.contracts.colasseum.chances(chanceId);
+    const chance = await this._read(this.contracts.colasseum, 'chances', [chanceId]);
 
     return {
       id: chanceId,
@@ -188,7 +305,7 @@ class ContractService {
   }
 
   /**
-   * Get multiple chances by IDs
+   * Get multiple chances by IDs (batched into as few RPC calls as possible)
    * @param {number[]} chanceIds
    * @returns {Promise<Object[]>}
    */
@@ -196,6 +313,27 @@ class ContractService {
     return Promise.all(chanceIds.map(id => this.getChance(id)));
   }
 
+  /**
+   * Current governance state: charity, its generosity and the witness.
+   * The pending proposal is private on-chain; see ColasseumIndexer.getPendingHonor().
+   * @returns {Promise<{charity: string, generosity: number, witness: string}>}
+   */
+  async getGovernance() {
+    if (!this.initialized) throw new Error('ContractService not initialized');
+
+    const [charity, witness] = await Promise.all([
+      this._read(this.contracts.colasseum, 'charity'),
+      this._read(this.contracts.colasseum, 'witness'),
+    ]);
+    this.charityGenerosity = charity.generosity.toNumber();
+
+    return {
+      charity: charity.donations,
+      generosity: charity.generosity.toNumber(),
+      witness,
+    };
+  }
+
   /**
    * Check if randomness is available for a timestamp
    * @param {number} targetTimestamp
@@ -203,7 +341,7 @@ class ContractService {
    */
   async isRandomnessAvailable(targetTimestamp) {
     if (!this.initialized) throw new Error('ContractService not initialized');
-    return this.contracts.oracle.isRandomnessAvailable(targetTimestamp);
+    return this._read(this.contracts.oracle, 'isRandomnessAvailable', [targetTimestamp]);
   }
 
   /**
@@ -213,22 +351,16 @@ class ContractService {
    */
   async getBeaconRoot(targetTimestamp) {
     if (!this.initialized) throw new Error('ContractService not initialized');
-    const root = await this.contracts.oracle.getRandomness(targetTimestamp);
+    const root = await this._read(this.contracts.oracle, 'getRandomness', [targetTimestamp]);
     return root;
   }
 
   /**
-   * Find the canonical beacon timestamp by searching actual blocks.
-   *
-   * This searches by block number to find real block timestamps, rather than
-   * guessing at 12-second intervals. The contract validates that the provided
-   * timestamp is within [targetTimestamp, targetTimestamp + 144].
+   * Find the canonical beacon timestamp and root for a chance.
    *
-   * Algorithm:
-   * 1. Start from the latest block
-   * 2. Binary search backward to find the first block with timestamp >= targetTimestamp
-   * 3. Verify the timestamp is within the contract's allowed window
-   * 4. Verify we can actually get a beacon root for that timestamp
+   * The canonical timestamp is the first block timestamp in
+   * [targetTimestamp, targetTimestamp + 144] (the window victory() accepts)
+   * whose root the oracle returns. Results are cached across reloads.
    *
    * @param {number} targetTimestamp - The original target timestamp from the ticket
    * @returns {Promise<{timestamp: number, root: string}>} The canonical timestamp and beacon root
@@ -236,93 +368,69 @@ class ContractService {
    */
   async findCanonicalBeaconRoot(targetTimestamp) {
     if (!this.initialized) throw new Error('ContractService not initialized');
+    return this.beaconRoots.find(targetTimestamp);
+  }
 
-    const MAX_WINDOW = 144; // 12 slots * 12 seconds
-    const maxAllowedTimestamp = targetTimestamp + MAX_WINDOW;
-
-    console.log(`[ContractService] Searching for beacon root. Target: ${targetTimestamp}, max allowed: ${maxAllowedTimestamp}`);
-
-    // Get the latest block
-    const latestBlock = await this.provider.getBlock('latest');
-    console.log(`[ContractService] Latest block: ${latestBlock.number}, timestamp: ${latestBlock.timestamp}`);
-
-    // The beacon timestamp must be finalized (past safety delay), so we need a block
-    // that has timestamp >= targetTimestamp AND that timestamp is old enough
-    // However, the *claim* is what needs to be after safety delay, not necessarily
-    // the beacon block itself. We just need any block with timestamp in the valid range.
-
-    // Binary search to find the first block with timestamp >= targetTimestamp
-    let low = latestBlock.number - 10000; // Search back ~1 day worth of blocks
-    let high = latestBlock.number;
-    let candidateBlock = null;
-
-    // First, check if latest block is even past the target
-    if (latestBlock.timestamp < targetTimestamp) {
-      throw new Error(`Target timestamp ${targetTimestamp} is in the future (current: ${latestBlock.timestamp})`);
-    }
-
-    // Binary search for the first block with timestamp >= targetTimestamp
-    while (low <= high) {
-      const mid = Math.floor((low + high) / 2);
-      const block = await this.provider.getBlock(mid);
+  /**
+   * Dry-run a victory claim before opening the wallet.
+   *
+   * Rebuilds the public signals exactly as victory() does
+   * ([rootHigh, rootLow, commitment, difficulty, numChances]), checks the proof
+   * against the Groth16Verifier, then runs victory() via callStatic from the
+   * connected signer so ownership, timestamp window and payout reverts surface too.
+   *
+   * @param {number} chanceId
+   * @param {number} beaconTimestamp - Timestamp the proof's beacon root was read at
+   * @param {Object} proof - ZK proof { pA, pB, pC }
+   * @returns {Promise<{ok: boolean, stage: string, error?: ColasseumError}>}
+   *   stage is 'verifyProof' or 'victory' (where it failed, or 'victory' on success)
+   */
+  async simulateVictory(chanceId, beaconTimestamp, proof) {
+    if (!this.initialized) throw new Error('ContractService not initialized');
+    if (!this.signer) throw new Error('No signer connected');
 
-      if (!block) {
-        low = mid + 1;
-        continue;
+    const chance = await this.getChance(chanceId);
+    const [trial, root] = await Promise.all([
+      this._read(this.contracts.colasseum, 'trials', [chance.trialId]),
+      this._read(this.contracts.oracle, 'getRandomness', [beaconTimestamp]).catch(() => null),
+    ]);
+
+    if (this.contracts.verifier && root) {
+      const rootValue = ethers.BigNumber.from(root);
+      const signals = [
+        rootValue.shr(128),
+        rootValue.mask(128),
+        chance.commitment,
+        trial.difficulty,
+        chance.numChances,
+      ];
+
+      // A failed read says nothing about the proof; victory() below still checks it
+      let valid = null;
+      try {
+        valid = await this._read(this.contracts.verifier, 'verifyProof', [proof.pA, proof.pB, proof.pC, signals]);
+      } catch (error) {
+        console.warn('[ContractService] verifyProof call failed, relying on the victory() dry-run:', error.message);
       }
 
-      if (block.timestamp >= targetTimestamp) {
-        candidateBlock = block;
-        high = mid - 1; // Keep searching for earlier block
-      } else {
-        low = mid + 1;
+      if (valid === false) {
+        console.warn('[ContractService] Proof rejected by verifier for chance', chanceId);
+        return { ok: false, stage: 'verifyProof', error: colasseumErrorForReason('Invalid ZK Proof') };
       }
+    } else if (!this.contracts.verifier) {
+      console.warn('[ContractService] No verifier in config, skipping proof pre-check');
     }
 
-    if (!candidateBlock) {
-      throw new Error(`Could not find any block with timestamp >= ${targetTimestamp}`);
-    }
-
-    console.log(`[ContractService] Found candidate block: ${candidateBlock.number}, timestamp: ${candidateBlock.timestamp}`);
-
-    // Verify the timestamp is within the allowed window
-    if (candidateBlock.timestamp > maxAllowedTimestamp) {
-      throw new Error(`First valid block (${candidateBlock.timestamp}) is beyond allowed window (max: ${maxAllowedTimestamp})`);
-    }
-
-    // Try to get the beacon root for this timestamp
+    // Missing root, timestamp window and ownership problems are reported by victory() itself
     try {
-      const root = await this.contracts.oracle.getRandomness(candidateBlock.timestamp);
-      if (root && root !== '0x' + '0'.repeat(64)) {
-        console.log(`[ContractService] Found canonical beacon root at block ${candidateBlock.number}, timestamp ${candidateBlock.timestamp}`);
-        return { timestamp: candidateBlock.timestamp, root };
-      }
+      await this.contracts.colasseum.callStatic.victory(chanceId, beaconTimestamp, proof.pA, proof.pB, proof.pC);
     } catch (error) {
-      console.log(`[ContractService] Block ${candidateBlock.number} timestamp ${candidateBlock.timestamp} failed oracle query:`, error.message);
+      const decoded = decodeColasseumError(error, this.contracts.colasseum.interface);
+      console.warn('[ContractService] victory simulation failed:', decoded.code, decoded.reason || decoded.message);
+      return { ok: false, stage: 'victory', error: decoded };
     }
 
-    // If the exact candidate failed, search forward through subsequent blocks within the window
-    let blockNum = candidateBlock.number + 1;
-    const maxBlocksToCheck = 20;
-
-    for (let i = 0; i < maxBlocksToCheck; i++) {
-      const block = await this.provider.getBlock(blockNum + i);
-      if (!block || block.timestamp > maxAllowedTimestamp) {
-        break;
-      }
-
-      try {
-        const root = await this.contracts.oracle.getRandomness(block.timestamp);
-        if (root && root !== '0x' + '0'.repeat(64)) {
-          console.log(`[ContractService] Found canonical beacon root at block ${block.number}, timestamp ${block.timestamp}`);
-          return { timestamp: block.timestamp, root };
-        }
-      } catch (error) {
-        console.log(`[ContractService] Block ${block.number} failed, trying next...`);
-      }
-    }
-
-    throw new Error(`No valid beacon root found within allowed window [${targetTimestamp}, ${maxAllowedTimestamp}]`);
+    return { ok: true, stage: 'victory' };
   }
 
   /**
@@ -337,7 +445,7 @@ class ContractService {
       ['function tokenURI(uint256 tokenId) view returns (string)'],
       this.provider
     );
-    return nft.tokenURI(tokenId);
+    return this._read(nft, 'tokenURI', [tokenId]);
   }
 
   /**
@@ -352,7 +460,7 @@ class ContractService {
       ['function ownerOf(uint256 tokenId) view returns (address)'],
       this.provider
     );
-    return nft.ownerOf(tokenId);
+    return this._read(nft, 'ownerOf', [tokenId]);
   }
 
   /**
@@ -367,7 +475,7 @@ class ContractService {
       ['function getApproved(uint256 tokenId) view returns (address)'],
       this.provider
     );
-    const approved = await nft.getApproved(tokenId);
+    const approved = await this._read(nft, 'getApproved', [tokenId]);
     return approved.toLowerCase() === this.config.contracts.colasseum.address.toLowerCase();
   }
 
@@ -375,11 +483,127 @@ class ContractService {
   // WRITE METHODS
   // =========================================================================
 
+  /**
+   * Refuse a valor() whose threshold would wrap past the field prime.
+   * The contract accepts it, but the circuit's odds collapse to near zero.
+   * @param {number} trialId
+   * @param {number|string} numChances
+   */
+  async _assertSafeChances(trialId, numChances) {
+    const trial = await this._read(this.contracts.colasseum, 'trials', [trialId]);
+    if (wrapsField(trial.difficulty, numChances)) {
+      throw createColasseumError('CHANCES_WRAP_FIELD', {
+        reason: `${numChances} chances exceeds the safe maximum of ${getMaxSafeChances(trial.difficulty)}`,
+      });
+    }
+  }
+
+  /**
+   * Send a write transaction and wait for its receipt.
+   * Gas is estimated first so reverts surface with their reason before the
+   * wallet prompt. The transaction is tracked (tx:submitted, tx:replaced,
+   * tx:cancelled, tx:confirmed, tx:failed) and persisted until mined.
+   * Any failure is rethrown as a ColasseumError.
+   * @param {ethers.Contract} contract - Signer-connected contract
+   * @param {string} method
+   * @param {Array} args
+   * @param {Object} [overrides] - e.g. { value }
+   * @param {Object} [meta] - Call details kept with the pending tx (for optimistic UI / resume)
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
+   */
+  async _transact(contract, method, args, overrides = {}, meta = {}) {
+    try {
+      await contract.estimateGas[method](...args, overrides);
+      const startBlock = await this.provider.getBlockNumber();
+      const tx = await contract[method](...args, overrides);
+      const record = this.transactions.track(method, tx, meta, startBlock);
+      return await this.transactions.wait(record, this.provider);
+    } catch (error) {
+      const decoded = decodeColasseumError(error, contract.interface);
+      console.error(`[ContractService] ${method} failed:`, decoded.code, decoded.reason || decoded.message, error);
+      throw decoded;
+    }
+  }
+
+  /**
+   * Find a Colasseum event in a receipt (works for provider receipts without parsed events)
+   * @param {ethers.providers.TransactionReceipt} receipt
+   * @param {string} eventName
+   * @returns {ethers.utils.LogDescription|null}
+   */
+  _findEvent(receipt, eventName) {
+    const colasseum = this.contracts.colasseum;
+    for (const log of receipt.logs || []) {
+      if (log.address.toLowerCase() !== colasseum.address.toLowerCase()) continue;
+      try {
+        const parsed = colasseum.interface.parseLog(log);
+        if (parsed.name === eventName) return parsed;
+      } catch {
+        // Not a Colasseum event
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Post-confirmation handling shared by live writes and resumed transactions.
+   * Emits the contract:* event for the write and returns the method's result.
+   * @param {string} kind - Write method name
+   * @param {ethers.providers.TransactionReceipt} receipt
+   * @param {Object} meta - Call details recorded at submission
+   * @returns {*}
+   */
+  _onConfirmed(kind, receipt, meta = {}) {
+    switch (kind) {
+      case 'challenge': {
+        const trialId = this._findEvent(receipt, 'Gauntlet')?.args?.trialId?.toNumber();
+        this.eventBus.emit('contract:gauntlet', { trialId, receipt });
+        return { receipt, trialId };
+      }
+      case 'valor': {
+        const chanceId = this._findEvent(receipt, 'ChallengeAccepted')?.args?.chanceId?.toNumber();
+        this.eventBus.emit('contract:challengeAccepted', {
+          trialId: meta.trialId,
+          chanceId,
+          commitment: meta.commitment,
+          receipt,
+        });
+        return { receipt, chanceId };
+      }
+      case 'victory':
+        this.eventBus.emit('contract:victor', { chanceId: meta.chanceId, receipt });
+        return receipt;
+      case 'cowardice':
+        this.eventBus.emit('contract:surrender', { trialId: meta.trialId, receipt });
+        return receipt;
+      case 'perseverance':
+        this.eventBus.emit('contract:justice', { chanceIds: meta.chanceIds, receipt });
+        return receipt;
+      case 'honor':
+        this.eventBus.emit('contract:honorPending', { donations: meta.donations, generosity: meta.generosity, receipt });
+        return receipt;
+      case 'affirm': {
+        const args = this._findEvent(receipt, 'HonorAffirmed')?.args;
+        this.eventBus.emit('contract:honorAffirmed', {
+          donations: args?.newDonations,
+          generosity: args?.newGenerosity?.toNumber(),
+          receipt,
+        });
+        return receipt;
+      }
+      case 'trust':
+        this.eventBus.emit('contract:trustBestowed', { newWitness: meta.newWitness, receipt });
+        return receipt;
+      default:
+        return receipt;
+    }
+  }
+
   /**
    * Approve NFT for colasseum contract
    * @param {string} nftContract
    * @param {number} tokenId
-   * @returns {Promise<ethers.ContractReceipt>}
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
    */
   async approveNft(nftContract, tokenId) {
     if (!this.signer) throw new Error('No signer connected');
@@ -390,8 +614,13 @@ class ContractService {
       this.signer
     );
 
-    const tx = await nft.approve(this.config.contracts.colasseum.address, tokenId);
-    return tx.wait();
+    return this._transact(
+      nft,
+      'approve',
+      [this.config.contracts.colasseum.address, tokenId],
+      {},
+      { nftContract, tokenId }
+    );
   }
 
   /**
@@ -400,31 +629,25 @@ class ContractService {
    * @param {number} nftId
    * @param {string} appraisalEth - Appraisal value in ETH (string)
    * @param {string} lore - Optional description
-   * @returns {Promise<{receipt: ethers.ContractReceipt, trialId: number}>}
+   * @returns {Promise<{receipt: ethers.providers.TransactionReceipt, trialId: number}>}
    */
   async challenge(nftContract, nftId, appraisalEth, lore = '') {
     if (!this.signer) throw new Error('No signer connected');
 
     const appraisal = ethers.utils.parseEther(appraisalEth);
-    const deposit = appraisal.mul(5).div(100); // 5% deposit
-
-    const tx = await this.contracts.colasseum.challenge(
-      nftContract,
-      nftId,
-      appraisal,
-      lore,
-      { value: deposit }
+    const deposit = getDeposit(appraisal);
+
+    const meta = { nftContract, nftId, appraisal: appraisal.toString(), lore };
+    const receipt = await this._transact(
+      this.contracts.colasseum,
+      'challenge',
+      [nftContract, nftId, appraisal, lore],
+      { value: deposit },
+      meta
     );
 
-    const receipt = await tx.wait();
-
-    // Parse Gauntlet event to get trialId
-    const event = receipt.events?.find(e => e.event === 'Gauntlet');
-    const trialId = event?.args?.trialId?.toNumber();
-
-    this.eventBus.emit('contract:gauntlet', { trialId, receipt });
-
-    return { receipt, trialId };
+    // Parses Gauntlet for the trialId and emits contract:gauntlet
+    return this._onConfirmed('challenge', receipt, meta);
   }
 
   /**
@@ -433,109 +656,26 @@ class ContractService {
    * @param {string} commitment - Poseidon hash of passphrase + owner
    * @param {number} targetTimestamp
    * @param {number} numChances
-   * @returns {Promise<{receipt: ethers.ContractReceipt, chanceId: number}>}
+   * @returns {Promise<{receipt: ethers.providers.TransactionReceipt, chanceId: number}>}
+   * @throws {ColasseumError} CHANCES_WRAP_FIELD if numChances would wrap the win threshold
    */
   async valor(trialId, commitment, targetTimestamp, numChances) {
     if (!this.signer) throw new Error('No signer connected');
 
-    // Fixed chance price from contract: 1 gwei per chance
-    const FIXED_CHANCE_PRICE = ethers.BigNumber.from('1000000000'); // 1 gwei in wei
-    const numChancesBN = ethers.BigNumber.from(numChances);
-    const totalPrice = FIXED_CHANCE_PRICE.mul(numChancesBN);
-
-    // Debug: Check contract state before transaction
-    try {
-      const trial = await this.contracts.colasseum.trials(trialId);
-      const trialState = { active: isTrialActive(trial.status), creator: trial.challenger };
-      const signerAddress = await this.signer.getAddress();
-      const signerNetwork = await this.signer.provider.getNetwork();
-      const signerBalance = await this.signer.getBalance();
-      const signerNonce = await this.signer.getTransactionCount();
-
-      console.log('[ContractService] valor debug:', {
-        trialId,
-        commitment,
-        targetTimestamp,
-        numChances,
-        value: totalPrice.toString(),
-        colasseumAddress: this.contracts.colasseum.address,
-        signerAddress,
-        signerChainId: signerNetwork.chainId,
-        signerBalance: signerBalance.toString(),
-        signerNonce,
-        trialActive: trialState.active,
-        trialCreator: trialState.creator,
-      });
-
-      // Also check via the read-only provider to compare
-      const providerNetwork = await this.provider.getNetwork();
-      const providerBalance = await this.provider.getBalance(signerAddress);
-      console.log('[ContractService] Provider comparison:', {
-        providerChainId: providerNetwork.chainId,
-        providerBalance: providerBalance.toString(),
-        chainIdMatch: signerNetwork.chainId === providerNetwork.chainId,
-        balanceMatch: signerBalance.toString() === providerBalance.toString(),
-      });
-    } catch (debugError) {
-      console.error('[ContractService] Debug read failed:', debugError);
-    }
+    await this._assertSafeChances(trialId, numChances);
+    const totalPrice = ethers.BigNumber.from(getChanceCost(numChances));
 
-    // Try to estimate gas first to get better error messages
-    try {
-      await this.contracts.colasseum.estimateGas.valor(
-        trialId,
-        commitment,
-        targetTimestamp,
-        numChances,
-        { value: totalPrice }
-      );
-    } catch (estimateError) {
-      console.error('[ContractService] Gas estimation failed:', estimateError);
-      // Try to decode the revert reason
-      if (estimateError.error?.data?.message) {
-        throw new Error(estimateError.error.data.message);
-      }
-      if (estimateError.reason) {
-        throw new Error(estimateError.reason);
-      }
-      throw estimateError;
-    }
-
-    let tx;
-    try {
-      tx = await this.contracts.colasseum.valor(
-        trialId,
-        commitment,
-        targetTimestamp,
-        numChances,
-        { value: totalPrice }
-      );
-    } catch (sendError) {
-      console.error('[ContractService] Transaction send failed:', sendError);
-      // Try to extract useful error info
-      const errorData = sendError.error?.data || sendError.data;
-      if (errorData) {
-        console.error('[ContractService] Error data:', errorData);
-      }
-      // Check for common error patterns
-      if (sendError.code === -32603) {
-        // Internal JSON-RPC error - try to get more details
-        const innerError = sendError.error?.message || sendError.message;
-        console.error('[ContractService] Inner error:', innerError);
-        throw new Error(`Transaction failed: ${innerError}`);
-      }
-      throw sendError;
-    }
-
-    const receipt = await tx.wait();
-
-    // Parse ChallengeAccepted event to get chanceId
-    const event = receipt.events?.find(e => e.event === 'ChallengeAccepted');
-    const chanceId = event?.args?.chanceId?.toNumber();
-
-    this.eventBus.emit('contract:challengeAccepted', { trialId, chanceId, receipt });
+    const meta = { trialId, commitment: String(commitment), targetTimestamp, numChances };
+    const receipt = await this._transact(
+      this.contracts.colasseum,
+      'valor',
+      [trialId, commitment, targetTimestamp, numChances],
+      { value: totalPrice },
+      meta
+    );
 
-    return { receipt, chanceId };
+    // Parses ChallengeAccepted for the chanceId and emits contract:challengeAccepted
+    return this._onConfirmed('valor', receipt, meta);
   }
 
   /**
@@ -543,56 +683,314 @@ class ContractService {
    * @param {number} chanceId
    * @param {number} beaconTimestamp - The actual block timestamp used for beacon root lookup
    * @param {Object} proof - ZK proof { pA, pB, pC }
-   * @returns {Promise<ethers.ContractReceipt>}
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
    */
   async victory(chanceId, beaconTimestamp, proof) {
     if (!this.signer) throw new Error('No signer connected');
 
-    const tx = await this.contracts.colasseum.victory(
-      chanceId,
-      beaconTimestamp,
-      proof.pA,
-      proof.pB,
-      proof.pC
+    const receipt = await this._transact(
+      this.contracts.colasseum,
+      'victory',
+      [chanceId, beaconTimestamp, proof.pA, proof.pB, proof.pC],
+      {},
+      { chanceId }
     );
 
-    const receipt = await tx.wait();
+    return this._onConfirmed('victory', receipt, { chanceId });
+  }
 
-    this.eventBus.emit('contract:victor', { chanceId, receipt });
+  /**
+   * Everything needed to send victory() without this app: the proof, its
+   * public signals and the encoded calldata for the Colasseum contract.
+   * @param {number} chanceId
+   * @param {number} beaconTimestamp - Canonical timestamp the proof used
+   * @param {Object} proofResult - From CryptoService.generateProof
+   * @param {string} claimant - Chance owner; victory() must come from this address
+   * @returns {Object} JSON-serialisable claim file
+   */
+  buildVictoryClaim(chanceId, beaconTimestamp, { proof, publicSignals, solidityProof }, claimant) {
+    if (!this.initialized) throw new Error('ContractService not initialized');
 
-    return receipt;
+    const { pA, pB, pC } = solidityProof;
+    return {
+      format: 'miladycola-claim',
+      version: 1,
+      chainId: this.config.chainId,
+      claimant,
+      chanceId: chanceId.toString(),
+      beaconTimestamp: beaconTimestamp.toString(),
+      transaction: {
+        to: this.getColasseumAddress(),
+        value: '0',
+        data: this.contracts.colasseum.interface.encodeFunctionData('victory', [chanceId, beaconTimestamp, pA, pB, pC]),
+      },
+      solidityProof,
+      publicSignals,
+      proof,
+    };
   }
 
   /**
    * Cancel a trial (only creator) - cowardice
    * @param {number} trialId
-   * @returns {Promise<ethers.ContractReceipt>}
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
    */
   async cowardice(trialId) {
     if (!this.signer) throw new Error('No signer connected');
 
-    const tx = await this.contracts.colasseum.cowardice(trialId);
-    const receipt = await tx.wait();
+    const receipt = await this._transact(this.contracts.colasseum, 'cowardice', [trialId], {}, { trialId });
 
-    this.eventBus.emit('contract:surrender', { trialId, receipt });
-
-    return receipt;
+    return this._onConfirmed('cowardice', receipt, { trialId });
   }
 
   /**
    * Refund multiple chances in one transaction (if trial was cancelled) - perseverance
    * @param {number[]} chanceIds - Array of chance IDs to refund
-   * @returns {Promise<ethers.ContractReceipt>}
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
    */
   async perseverance(chanceIds) {
     if (!this.signer) throw new Error('No signer connected');
 
-    const tx = await this.contracts.colasseum.perseverance(chanceIds);
-    const receipt = await tx.wait();
+    const receipt = await this._transact(this.contracts.colasseum, 'perseverance', [chanceIds], {}, { chanceIds });
+
+    return this._onConfirmed('perseverance', receipt, { chanceIds });
+  }
+
+  /**
+   * Propose a new charity and generosity (only the current charity) - honor
+   * @param {string} donations - Proposed charity address
+   * @param {number} generosity - Proposed share in basis points (max 10000)
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
+   */
+  async honor(donations, generosity) {
+    if (!this.signer) throw new Error('No signer connected');
+
+    const receipt = await this._transact(this.contracts.colasseum, 'honor', [donations, generosity], {}, { donations, generosity });
+
+    return this._onConfirmed('honor', receipt, { donations, generosity });
+  }
+
+  /**
+   * Confirm the pending charity proposal (only the witness) - affirm
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
+   */
+  async affirm() {
+    if (!this.signer) throw new Error('No signer connected');
+
+    const receipt = await this._transact(this.contracts.colasseum, 'affirm', []);
+
+    return this._onConfirmed('affirm', receipt);
+  }
+
+  /**
+   * Hand the witness role to a new address (only the witness) - trust
+   * @param {string} newWitness
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
+   */
+  async trust(newWitness) {
+    if (!this.signer) throw new Error('No signer connected');
+
+    const receipt = await this._transact(this.contracts.colasseum, 'trust', [newWitness], {}, { newWitness });
+
+    return this._onConfirmed('trust', receipt, { newWitness });
+  }
+
+  // =========================================================================
+  // QUOTES
+  // =========================================================================
+
+  /**
+   * Quote the full cost of a write (or sequence of writes) for the signer.
+   *
+   * Each step is gas-estimated from the signer's address. Steps that cannot be
+   * estimated yet (e.g. challenge() before approve() is mined) or that revert
+   * fall back to DEFAULT_GAS_LIMITS and are flagged `estimated: false`.
+   *
+   * Fee range is `low` = gas * (baseFee + priority tip) and `high` = gas * maxFeePerGas
+   * (legacy chains use gasPrice for both).
+   *
+   * @param {Array<{contract: ethers.Contract, method: string, args: Array, overrides?: Object, skip?: boolean}>} steps
+   * @returns {Promise<Object>} { steps, gasLimit, value, fee: {low, high}, total: {low, high},
+   *   maxFeePerGas, maxPriorityFeePerGas, balance, shortfall, sufficient } (all amounts BigNumber wei)
+   */
+  async _quote(steps) {
+    if (!this.initialized) throw new Error('ContractService not initialized');
+    if (!this.signer) throw new Error('No signer connected');
+
+    const from = await this.signer.getAddress();
+    const [feeData, balance, latest] = await Promise.all([
+      this.provider.getFeeData(),
+      this.provider.getBalance(from),
+      this.provider.getBlock('latest'),
+    ]);
+
+    const quotedSteps = await Promise.all(steps.filter(step => !step.skip).map(async ({ contract, method, args, overrides = {} }) => {
+      const value = ethers.BigNumber.from(overrides.value || 0);
+      try {
+        const gasLimit = await contract.estimateGas[method](...args, { ...overrides, from });
+        return { method, gasLimit, value, estimated: true, error: null };
+      } catch (error) {
+        const fallback = DEFAULT_GAS_LIMITS[method] || DEFAULT_GAS_LIMITS.default;
+        const gasLimit = typeof fallback === 'function' ? fallback(...args) : ethers.BigNumber.from(fallback);
+        return { method, gasLimit, value, estimated: false, error: decodeColasseumError(error, contract.interface) };
+      }
+    }));
+
+    const gasLimit = quotedSteps.reduce((sum, step) => sum.add(step.gasLimit), ethers.constants.Zero);
+    const value = quotedSteps.reduce((sum, step) => sum.add(step.value), ethers.constants.Zero);
+
+    let lowPrice;
+    let highPrice;
+    if (feeData.maxFeePerGas) {
+      const baseFee = latest?.baseFeePerGas || feeData.lastBaseFeePerGas || ethers.constants.Zero;
+      lowPrice = baseFee.add(feeData.maxPriorityFeePerGas);
+      highPrice = feeData.maxFeePerGas;
+    } else {
+      lowPrice = feeData.gasPrice;
+      highPrice = feeData.gasPrice;
+    }
+
+    const fee = { low: gasLimit.mul(lowPrice), high: gasLimit.mul(highPrice) };
+    const total = { low: value.add(fee.low), high: value.add(fee.high) };
+    const shortfall = total.high.gt(balance) ? total.high.sub(balance) : ethers.constants.Zero;
 
-    this.eventBus.emit('contract:justice', { chanceIds, receipt });
+    return {
+      steps: quotedSteps,
+      gasLimit,
+      value,
+      fee,
+      total,
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      gasPrice: feeData.gasPrice,
+      balance,
+      shortfall,
+      sufficient: shortfall.isZero(),
+    };
+  }
+
+  /**
+   * Quote approveNft()
+   * @param {string} nftContract
+   * @param {number} tokenId
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteApproveNft(nftContract, tokenId) {
+    return this._quote([this._approveStep(nftContract, tokenId)]);
+  }
+
+  /**
+   * Quote challenge(), including approveNft() when the NFT is not yet approved
+   * @param {string} nftContract
+   * @param {number} nftId
+   * @param {string} appraisalEth
+   * @param {string} lore
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteChallenge(nftContract, nftId, appraisalEth, lore = '') {
+    const appraisal = ethers.utils.parseEther(appraisalEth);
+    const deposit = getDeposit(appraisal);
+    const approved = await this.isNftApproved(nftContract, nftId).catch(() => false);
+
+    return this._quote([
+      { ...this._approveStep(nftContract, nftId), skip: approved },
+      {
+        contract: this.contracts.colasseum,
+        method: 'challenge',
+        args: [nftContract, nftId, appraisal, lore],
+        overrides: { value: deposit },
+      },
+    ]);
+  }
 
-    return receipt;
+  /**
+   * Quote valor()
+   * @param {number} trialId
+   * @param {string} commitment
+   * @param {number} targetTimestamp
+   * @param {number} numChances
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteValor(trialId, commitment, targetTimestamp, numChances) {
+    await this._assertSafeChances(trialId, numChances);
+    const totalPrice = getChanceCost(numChances);
+    return this._quote([{
+      contract: this.contracts.colasseum,
+      method: 'valor',
+      args: [trialId, commitment, targetTimestamp, numChances],
+      overrides: { value: totalPrice },
+    }]);
+  }
+
+  /**
+   * Quote victory()
+   * @param {number} chanceId
+   * @param {number} beaconTimestamp
+   * @param {Object} [proof] - Omit before the proof exists; gas falls back to the default
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteVictory(chanceId, beaconTimestamp, proof) {
+    const emptyProof = { pA: [0, 0], pB: [[0, 0], [0, 0]], pC: [0, 0] };
+    const { pA, pB, pC } = proof || emptyProof;
+    return this._quote([{
+      contract: this.contracts.colasseum,
+      method: 'victory',
+      args: [chanceId, beaconTimestamp, pA, pB, pC],
+    }]);
+  }
+
+  /**
+   * Quote cowardice()
+   * @param {number} trialId
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteCowardice(trialId) {
+    return this._quote([{ contract: this.contracts.colasseum, method: 'cowardice', args: [trialId] }]);
+  }
+
+  /**
+   * Quote perseverance()
+   * @param {number[]} chanceIds
+   * @returns {Promise<Object>} See _quote
+   */
+  async quotePerseverance(chanceIds) {
+    return this._quote([{ contract: this.contracts.colasseum, method: 'perseverance', args: [chanceIds] }]);
+  }
+
+  /**
+   * Quote honor()
+   * @param {string} donations
+   * @param {number} generosity
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteHonor(donations, generosity) {
+    return this._quote([{ contract: this.contracts.colasseum, method: 'honor', args: [donations, generosity] }]);
+  }
+
+  /**
+   * Quote affirm()
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteAffirm() {
+    return this._quote([{ contract: this.contracts.colasseum, method: 'affirm', args: [] }]);
+  }
+
+  /**
+   * Quote trust()
+   * @param {string} newWitness
+   * @returns {Promise<Object>} See _quote
+   */
+  async quoteTrust(newWitness) {
+    return this._quote([{ contract: this.contracts.colasseum, method: 'trust', args: [newWitness] }]);
+  }
+
+  _approveStep(nftContract, tokenId) {
+    const nft = new ethers.Contract(
+      nftContract,
+      ['function approve(address to, uint256 tokenId)'],
+      this.signer || this.provider
+    );
+    return { contract: nft, method: 'approve', args: [this.config.contracts.colasseum.address, tokenId] };
   }
 
   // =========================================================================
@@ -607,6 +1005,16 @@ class ContractService {
     return this.config?.contracts?.colasseum?.address;
   }
 
+  /**
+   * Runtime bytecode of the Groth16 verifier
+   * @returns {Promise<string|null>} null when the config has no verifier
+   */
+  async getVerifierCode() {
+    if (!this.initialized) throw new Error('ContractService not initialized');
+    if (!this.contracts.verifier) return null;
+    return this.provider.getCode(this.contracts.verifier.address);
+  }
+
   /**
    * Get the NFT contract address (mock for testing)
    * @returns {string}
@@ -627,9 +1035,7 @@ class ContractService {
       nftContract: trial.nftContract,
       tokenId: trial.nftId,
       appraisalEth: ethers.utils.formatEther(
-        ethers.BigNumber.from(trial.difficulty)
-          .mul(ethers.utils.parseEther('0.000000001'))
-          .div(ethers.BigNumber.from('21888242871839275222246405745257275088548364400416034343698204186575808495617'))
+        (trial.appraisal ?? getAppraisalFromDifficulty(trial.difficulty)).toString()
       ),
       ethPool: trial.ethPool,
       active: trial.active,
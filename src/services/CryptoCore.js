@@ -0,0 +1,348 @@
+/**
+ * CryptoCore - Platform-neutral ZK cryptography for Colasseum
+ *
+ * Commitments, win evaluation, proof generation and local verification, with
+ * everything platform-specific passed in:
+ *
+ *   loadPoseidon()   -> circomlibjs Poseidon hasher
+ *   loadSnarkjs()    -> snarkjs module
+ *   loadArtifacts()  -> { wasm, zkey } circuit files as ArrayBuffers
+ *
+ * CryptoService (browser) and NodeCryptoService (scripts, tests) both build on
+ * this class, so a passphrase gives the same commitment, randomness hash and
+ * public signals everywhere.
+ */
+
+import { ethers } from 'ethers';
+import { MAX_HASH, getWinThreshold } from './ProtocolMath.js';
+import { createColasseumError } from './ColasseumErrors.js';
+import { parseZkeyVerificationKey, toSnarkjsVerificationKey } from './VerificationKey.js';
+
+// BN254 scalar field prime; every circuit input is an element of this field
+export const FIELD_PRIME = MAX_HASH;
+
+const ROOT_LOW_MASK = (1n << 128n) - 1n;
+
+class CryptoCore {
+  /**
+   * @param {Object} platform
+   * @param {Function} platform.loadPoseidon - Resolves to a Poseidon hasher
+   * @param {Function} platform.loadSnarkjs - Resolves to snarkjs
+   * @param {Function} platform.loadArtifacts - Resolves to { wasm, zkey }
+   * @param {string} [name] - Log prefix
+   */
+  constructor(platform, name = 'CryptoCore') {
+    this.platform = platform;
+    this.name = name;
+    this.poseidon = null;
+    this.snarkjs = null;
+    this.wasmBuffer = null;
+    this.zkeyBuffer = null;
+    this.assetsLoaded = false;
+    this.assetsPromise = null;
+    this.verificationKey = null; // snarkjs form, for local proof checks
+  }
+
+  // ============================================
+  // PLATFORM
+  // ============================================
+
+  /**
+   * Initialize Poseidon hasher
+   */
+  async ensurePoseidon() {
+    if (!this.poseidon) {
+      this.poseidon = await this.platform.loadPoseidon();
+    }
+    return this.poseidon;
+  }
+
+  async ensureSnarkjs() {
+    if (!this.snarkjs) {
+      this.snarkjs = await this.platform.loadSnarkjs();
+    }
+    return this.snarkjs;
+  }
+
+  /**
+   * Load circuit assets for proof generation.
+   * Concurrent callers share one load.
+   */
+  async loadCircuitAssets() {
+    if (this.assetsLoaded) return;
+
+    if (!this.assetsPromise) {
+      console.log(`[${this.name}] Loading circuit assets...`);
+      this.assetsPromise = this.platform.loadArtifacts()
+        .then(({ wasm, zkey }) => {
+          this.wasmBuffer = wasm;
+          this.zkeyBuffer = zkey;
+          this.assetsLoaded = true;
+          console.log(`[${this.name}] Circuit assets loaded`);
+        })
+        .catch((error) => {
+          console.error(`[${this.name}] Failed to load circuit assets:`, error);
+          this.assetsPromise = null; // Allow a retry
+          throw error;
+        });
+    }
+    return this.assetsPromise;
+  }
+
+  // ============================================
+  // FIELD ENCODING
+  // ============================================
+
+  /**
+   * Convert a passphrase string to a field element:
+   * keccak256(UTF-8 bytes) mod p (docs/PROTOCOL_SPEC.md, Field Encoding).
+   * Most hashes (~81%) are >= p. Poseidon and the witness calculator reduce
+   * those the same way, so this only makes the element explicit.
+   */
+  passphraseToField(passphrase) {
+    const hash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(passphrase));
+    return BigInt(hash) % FIELD_PRIME;
+  }
+
+  /**
+   * Convert an address to a field element: its 160-bit integer value
+   */
+  addressToField(address) {
+    return BigInt(ethers.utils.getAddress(address));
+  }
+
+  /**
+   * Split a beacon root into the circuit's 128-bit halves
+   * @returns {{rootHigh: bigint, rootLow: bigint}}
+   */
+  splitBeaconRoot(beaconRoot) {
+    const root = BigInt(beaconRoot);
+    return { rootHigh: root >> 128n, rootLow: root & ROOT_LOW_MASK };
+  }
+
+  // ============================================
+  // COMMITMENTS AND WIN EVALUATION
+  // ============================================
+
+  /**
+   * Generate a Poseidon commitment from passphrase and owner address
+   * commitment = Poseidon(passphrase_field, owner_field)
+   */
+  async generateCommitment(passphrase, ownerAddress) {
+    const poseidon = await this.ensurePoseidon();
+    const passphraseField = this.passphraseToField(passphrase);
+    const ownerField = this.addressToField(ownerAddress);
+
+    const commitmentBytes = poseidon([passphraseField, ownerField]);
+    const commitment = poseidon.F.toObject(commitmentBytes);
+
+    return commitment.toString();
+  }
+
+  /**
+   * Verify a commitment matches expected passphrase and owner
+   */
+  async verifyCommitment(passphrase, ownerAddress, expectedCommitment) {
+    const commitment = await this.generateCommitment(passphrase, ownerAddress);
+    return commitment === expectedCommitment.toString();
+  }
+
+  /**
+   * Evaluate win condition using beacon randomness
+   * Returns { isWinner, randomnessHash }
+   */
+  async evaluateWinCondition(passphrase, beaconRoot, difficulty, numChances) {
+    const poseidon = await this.ensurePoseidon();
+    const passphraseField = this.passphraseToField(passphrase);
+    const { rootHigh, rootLow } = this.splitBeaconRoot(beaconRoot);
+
+    // randomnessHash = Poseidon(passphrase, rootHigh, rootLow)
+    const randomnessField = poseidon([passphraseField, rootHigh, rootLow]);
+    const randomnessHash = poseidon.F.toObject(randomnessField);
+
+    // Win condition: randomnessHash < (difficulty * numChances) mod p, as the circuit computes it
+    const threshold = getWinThreshold(difficulty, numChances);
+    const isWinner = randomnessHash < threshold;
+
+    return {
+      isWinner,
+      randomnessHash: randomnessHash.toString(),
+      threshold: threshold.toString(),
+      rootHigh: rootHigh.toString(),
+      rootLow: rootLow.toString(),
+    };
+  }
+
+  // ============================================
+  // PROOFS
+  // ============================================
+
+  /**
+   * Circuit inputs for a claim
+   * @returns {Object} Decimal strings keyed by circuit signal name
+   */
+  getCircuitInput(passphrase, ownerAddress, beaconRoot, commitment, difficulty, numChances) {
+    const { rootHigh, rootLow } = this.splitBeaconRoot(beaconRoot);
+    return {
+      passphrase: this.passphraseToField(passphrase).toString(),
+      ownerAddress: this.addressToField(ownerAddress).toString(),
+      rootHigh: rootHigh.toString(),
+      rootLow: rootLow.toString(),
+      ticketHash: commitment.toString(),
+      difficulty: difficulty.toString(),
+      chances: numChances.toString(),
+    };
+  }
+
+  /**
+   * Public signals in the order victory() passes them to the verifier
+   * @returns {string[]} [rootHigh, rootLow, commitment, difficulty, numChances]
+   */
+  getVictorySignals(beaconRoot, commitment, difficulty, numChances) {
+    const { rootHigh, rootLow } = this.splitBeaconRoot(beaconRoot);
+    return [
+      rootHigh,
+      rootLow,
+      BigInt(commitment.toString()),
+      BigInt(difficulty.toString()),
+      BigInt(numChances.toString()),
+    ].map(value => value.toString());
+  }
+
+  /**
+   * Generate a ZK proof for claiming a prize, checked locally before it is returned
+   * @param {Object} [options]
+   * @param {Function} [options.onStage] - Called with 'assets' | 'witness' | 'prove' | 'verify' | 'format'
+   * @param {AbortSignal} [options.signal] - Abort to cancel (rejects with PROOF_CANCELLED)
+   * @returns {Promise<{proof: Object, publicSignals: string[], solidityProof: Object}>}
+   */
+  async generateProof(passphrase, ownerAddress, beaconRoot, commitment, difficulty, numChances, options = {}) {
+    const { onStage = () => {}, signal } = options;
+    const throwIfCancelled = () => {
+      if (signal?.aborted) throw createColasseumError('PROOF_CANCELLED');
+    };
+
+    console.log(`[${this.name}] generateProof called`);
+    onStage('assets');
+    await this.loadCircuitAssets();
+    throwIfCancelled();
+
+    if (!this.wasmBuffer || !this.zkeyBuffer) {
+      throw new Error('Circuit assets not loaded');
+    }
+
+    const input = this.getCircuitInput(passphrase, ownerAddress, beaconRoot, commitment, difficulty, numChances);
+
+    console.log(`[${this.name}] Generating ZK proof with inputs:`, {
+      rootHigh: input.rootHigh,
+      rootLow: input.rootLow,
+      ticketHash: input.ticketHash,
+      difficulty: input.difficulty,
+      chances: input.chances,
+    });
+
+    const { proof, publicSignals } = await this.prove(input, onStage, signal);
+    throwIfCancelled();
+
+    console.log(`[${this.name}] Proof generated, public signals:`, publicSignals);
+
+    // Check the proof against exactly what victory() will verify, before any gas is spent
+    onStage('verify');
+    const victorySignals = this.getVictorySignals(beaconRoot, commitment, difficulty, numChances);
+    if (publicSignals.length !== victorySignals.length ||
+        publicSignals.some((value, i) => value !== victorySignals[i])) {
+      console.error(`[${this.name}] Public signals differ from victory():`, publicSignals, victorySignals);
+      throw createColasseumError('PROOF_INVALID', { reason: 'Public signals differ from victory()' });
+    }
+    if (!(await this.verifyProof(proof, victorySignals))) {
+      throw createColasseumError('PROOF_INVALID', { reason: 'Local verification failed' });
+    }
+    throwIfCancelled();
+
+    onStage('format');
+    return {
+      proof,
+      publicSignals,
+      solidityProof: toSolidityProof(proof),
+    };
+  }
+
+  /**
+   * Witness + Groth16 prove on the current thread.
+   * Platforms may override this (the browser proves in a worker).
+   * @returns {Promise<{proof: Object, publicSignals: string[]}>}
+   */
+  async prove(input, onStage) {
+    const snarkjs = await this.ensureSnarkjs();
+    onStage('witness');
+    const witness = { type: 'mem' };
+    await snarkjs.wtns.calculate(input, new Uint8Array(this.wasmBuffer), witness);
+    onStage('prove');
+    return snarkjs.groth16.prove(new Uint8Array(this.zkeyBuffer), witness);
+  }
+
+  /**
+   * The zkey's verification key in snarkjs form
+   */
+  async getVerificationKey() {
+    await this.loadCircuitAssets();
+    if (!this.verificationKey) {
+      this.verificationKey = toSnarkjsVerificationKey(parseZkeyVerificationKey(this.zkeyBuffer));
+    }
+    return this.verificationKey;
+  }
+
+  /**
+   * Verify a proof locally with the zkey's verification key
+   * @param {Object} proof - snarkjs proof (see fromSolidityProof for calldata)
+   * @param {string[]} publicSignals
+   * @returns {Promise<boolean>}
+   */
+  async verifyProof(proof, publicSignals) {
+    const [snarkjs, verificationKey] = await Promise.all([this.ensureSnarkjs(), this.getVerificationKey()]);
+    const valid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+    console.log(`[${this.name}] Local proof verification:`, valid ? 'valid' : 'INVALID');
+    return valid;
+  }
+}
+
+// ============================================
+// PROOF ENCODING
+// ============================================
+
+/**
+ * Convert a snarkjs Groth16 proof to the verifier's calldata layout.
+ * Groth16 emits G2 points as [[bx0, bx1], ...], but the Solidity verifier expects them flipped.
+ */
+export function toSolidityProof(proof) {
+  return {
+    pA: proof.pi_a.slice(0, 2).map((x) => x.toString()),
+    pB: [
+      [proof.pi_b[0][1].toString(), proof.pi_b[0][0].toString()],
+      [proof.pi_b[1][1].toString(), proof.pi_b[1][0].toString()],
+    ],
+    pC: proof.pi_c.slice(0, 2).map((x) => x.toString()),
+  };
+}
+
+/**
+ * Inverse of toSolidityProof, e.g. to verify proof calldata from a transaction
+ * @param {{pA: Array, pB: Array, pC: Array}} solidityProof - Decimal or hex values
+ * @returns {Object} snarkjs proof
+ */
+export function fromSolidityProof({ pA, pB, pC }) {
+  const dec = (x) => BigInt(x.toString()).toString();
+  return {
+    pi_a: [dec(pA[0]), dec(pA[1]), '1'],
+    pi_b: [
+      [dec(pB[0][1]), dec(pB[0][0])],
+      [dec(pB[1][1]), dec(pB[1][0])],
+      ['1', '0'],
+    ],
+    pi_c: [dec(pC[0]), dec(pC[1]), '1'],
+    protocol: 'groth16',
+    curve: 'bn128',
+  };
+}
+
+export default CryptoCore;
@@ -1,219 +1,171 @@
 /**
- * CryptoService - ZK cryptography utilities for Colasseum
+ * CryptoService - ZK cryptography utilities for Colasseum (browser)
  * Handles Poseidon hashing, commitment generation, win evaluation, and proof generation
+ *
+ * The maths lives in CryptoCore; this adds the browser platform: circomlibjs
+ * from esm.sh, snarkjs from the CDN script tag, cached circuit artifacts,
+ * proving in a Web Worker, and the verifier key check.
  */
 
-import { ethers } from 'ethers';
-
-// BN128 field prime (same as contracts)
-const MAX_HASH = BigInt(
-  '21888242871839275222246405745257275088548364400416034343698204186575808495617'
-);
+import CryptoCore from './CryptoCore.js';
+import { createColasseumError } from './ColasseumErrors.js';
+import { loadCircuitArtifacts } from './CircuitArtifacts.js';
+import {
+  parseZkeyVerificationKey,
+  compareWithVerifierSource,
+  compareWithVerifierBytecode,
+} from './VerificationKey.js';
+import verifierSource from '../../contracts/src/Verifier.sol?raw';
+
+// Same build as the <script> tag in index.html, loaded into the proof worker
+const SNARKJS_URL = 'https://cdn.jsdelivr.net/npm/snarkjs@0.7.4/build/snarkjs.min.js';
+
+// Proving time estimate: seconds on an 8-core desktop, and when to warn
+const BASE_PROOF_SECONDS = 3;
+const SLOW_PROOF_SECONDS = 15;
+const LOW_MEMORY_GB = 4;
+
+const browserPlatform = {
+  // ESM.sh build avoids Node.js polyfill issues in the browser
+  loadPoseidon: async () => {
+    const circomlibjs = await import('https://esm.sh/circomlibjs@0.1.7');
+    return circomlibjs.buildPoseidon();
+  },
+  loadSnarkjs: async () => {
+    if (typeof window.snarkjs === 'undefined') {
+      throw new Error('snarkjs not loaded - ensure CDN script is included');
+    }
+    return window.snarkjs;
+  },
+  loadArtifacts: loadCircuitArtifacts,
+};
 
-class CryptoService {
+class CryptoService extends CryptoCore {
   constructor() {
-    this.poseidon = null;
-    this.buildPoseidon = null;
-    this.wasmBuffer = null;
-    this.zkeyBuffer = null;
-    this.assetsLoaded = false;
+    super(browserPlatform, 'CryptoService');
+    this.verifiedKeyFor = null; // Verifier address the zkey last passed against
   }
 
   /**
-   * Initialize Poseidon hasher
-   * Uses ESM.sh CDN to avoid Node.js polyfill issues in browser
+   * Start loading circuit assets in the background, e.g. once a bottle is claimable
    */
-  async ensurePoseidon() {
-    if (!this.poseidon) {
-      // Dynamic import from ESM.sh to avoid Node.js polyfill issues
-      if (!this.buildPoseidon) {
-        const circomlibjs = await import('https://esm.sh/circomlibjs@0.1.7');
-        this.buildPoseidon = circomlibjs.buildPoseidon;
-      }
-      this.poseidon = await this.buildPoseidon();
-    }
-    return this.poseidon;
+  prefetchCircuitAssets() {
+    if (this.assetsLoaded || this.assetsPromise) return;
+    this.loadCircuitAssets().catch(() => {
+      // Logged by loadCircuitAssets; the claim will retry
+    });
   }
 
   /**
-   * Pre-fetch circuit assets for proof generation
+   * Check the zkey against Verifier.sol and the deployed verifier, so a stale
+   * or tampered key fails here instead of as an 'Invalid ZK Proof' revert.
+   * A pass is cached per verifier address.
+   * @param {ContractService} contractService
+   * @throws {ColasseumError} VERIFIER_MISMATCH
    */
-  async loadCircuitAssets() {
-    if (this.assetsLoaded) return;
-
-    try {
-      const wasmUrl = document.getElementById('url-wasm')?.value || '/challenge.wasm';
-      const zkeyUrl = document.getElementById('url-zkey')?.value || '/challenge_final.zkey';
-
-      console.log('[CryptoService] Pre-fetching circuit assets...');
-      const [wasmResp, zkeyResp] = await Promise.all([
-        fetch(wasmUrl),
-        fetch(zkeyUrl)
-      ]);
+  async assertVerifierKey(contractService) {
+    await this.loadCircuitAssets();
+    const verifierAddress = contractService.config?.contracts?.verifier?.address || null;
+    if (this.verifiedKeyFor && this.verifiedKeyFor === verifierAddress) return;
 
-      if (!wasmResp.ok || !zkeyResp.ok) {
-        throw new Error('Failed to fetch circuit assets');
-      }
+    const vk = parseZkeyVerificationKey(this.zkeyBuffer);
 
-      this.wasmBuffer = await wasmResp.arrayBuffer();
-      this.zkeyBuffer = await zkeyResp.arrayBuffer();
-      this.assetsLoaded = true;
-      console.log('[CryptoService] Circuit assets loaded');
-    } catch (error) {
-      console.error('[CryptoService] Failed to load circuit assets:', error);
-      throw error;
+    const sourceMismatch = compareWithVerifierSource(vk, verifierSource);
+    if (sourceMismatch.length > 0) {
+      console.error('[CryptoService] zkey does not match Verifier.sol:', sourceMismatch);
+      throw createColasseumError('VERIFIER_MISMATCH', { reason: `Verifier.sol: ${sourceMismatch.join(', ')}` });
     }
-  }
 
-  /**
-   * Convert a passphrase string to a field element
-   * Uses keccak256 hash reduced to BN128 field
-   */
-  passphraseToField(passphrase) {
-    const hash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(passphrase));
-    return BigInt(hash);
-  }
+    const code = await contractService.getVerifierCode();
+    if (code === null) {
+      console.warn('[CryptoService] No verifier in config, skipping bytecode check');
+      return;
+    }
+    const codeMismatch = compareWithVerifierBytecode(vk, code);
+    if (codeMismatch.length > 0) {
+      console.error('[CryptoService] zkey does not match the deployed verifier:', codeMismatch);
+      throw createColasseumError('VERIFIER_MISMATCH', { reason: `Deployed verifier: ${codeMismatch.join(', ')}` });
+    }
 
-  /**
-   * Convert an address to a field element
-   */
-  addressToField(address) {
-    return BigInt(address);
+    this.verifiedKeyFor = verifierAddress;
+    console.log('[CryptoService] zkey matches Verifier.sol and the deployed verifier');
   }
 
   /**
-   * Generate a Poseidon commitment from passphrase and owner address
-   * commitment = Poseidon(passphrase_field, owner_field)
+   * Rough proving time for this device, shown before a claim starts.
+   * Calibrated on the challenge circuit (~3s on an 8-core desktop).
+   * @returns {{seconds: number, slow: boolean, lowMemory: boolean}}
    */
-  async generateCommitment(passphrase, ownerAddress) {
-    const poseidon = await this.ensurePoseidon();
-    const passphraseField = this.passphraseToField(passphrase);
-    const ownerField = this.addressToField(ownerAddress);
+  estimateProofTime() {
+    const cores = globalThis.navigator?.hardwareConcurrency || 2;
+    const memoryGb = globalThis.navigator?.deviceMemory; // Chromium only
+    const lowMemory = memoryGb !== undefined && memoryGb < LOW_MEMORY_GB;
 
-    const commitmentBytes = poseidon([passphraseField, ownerField]);
-    const commitment = poseidon.F.toObject(commitmentBytes);
+    let seconds = BASE_PROOF_SECONDS * Math.max(1, 8 / cores);
+    if (lowMemory) seconds *= 2;
+    seconds = Math.ceil(seconds);
 
-    return commitment.toString();
+    return { seconds, slow: seconds >= SLOW_PROOF_SECONDS, lowMemory };
   }
 
   /**
-   * Verify a commitment matches expected passphrase and owner
+   * Proving runs in a Web Worker when available, so the UI stays responsive
    */
-  async verifyCommitment(passphrase, ownerAddress, expectedCommitment) {
-    const commitment = await this.generateCommitment(passphrase, ownerAddress);
-    return commitment === expectedCommitment.toString();
-  }
-
-  /**
-   * Evaluate win condition using beacon randomness
-   * Returns { isWinner, randomnessHash }
-   */
-  async evaluateWinCondition(passphrase, beaconRoot, difficulty, numChances) {
-    const poseidon = await this.ensurePoseidon();
-    const passphraseField = this.passphraseToField(passphrase);
-
-    // Split beacon root into high/low 128-bit parts
-    const rootBigInt = BigInt(beaconRoot);
-    const rootHigh = rootBigInt >> 128n;
-    const rootLow = rootBigInt & ((1n << 128n) - 1n);
-
-    // randomnessHash = Poseidon(passphrase, rootHigh, rootLow)
-    const randomnessField = poseidon([passphraseField, rootHigh, rootLow]);
-    const randomnessHash = poseidon.F.toObject(randomnessField);
-
-    // Win condition: randomnessHash < (difficulty * numChances)
-    const difficultyBigInt = BigInt(difficulty.toString());
-    const chancesBigInt = BigInt(numChances.toString());
-    const threshold = difficultyBigInt * chancesBigInt;
-    const isWinner = randomnessHash < threshold;
-
-    return {
-      isWinner,
-      randomnessHash: randomnessHash.toString(),
-      threshold: threshold.toString(),
-      rootHigh: rootHigh.toString(),
-      rootLow: rootLow.toString(),
-    };
+  prove(input, onStage, signal) {
+    if (typeof Worker === 'undefined') {
+      // Blocks the UI while proving
+      return super.prove(input, onStage);
+    }
+    return this._proveInWorker(input, onStage, signal);
   }
 
   /**
-   * Generate a ZK proof for claiming a prize
-   * Returns { proof, publicSignals, solidityProof }
+   * Prove in a dedicated worker; aborting terminates it immediately
    */
-  async generateProof(passphrase, ownerAddress, beaconRoot, commitment, difficulty, numChances) {
-    console.log('[CryptoService] generateProof called');
-
-    console.log('[CryptoService] Ensuring Poseidon...');
-    await this.ensurePoseidon();
-    console.log('[CryptoService] Poseidon ready');
-
-    console.log('[CryptoService] Loading circuit assets...');
-    await this.loadCircuitAssets();
-    console.log('[CryptoService] Circuit assets loaded');
-
-    if (!this.wasmBuffer || !this.zkeyBuffer) {
-      throw new Error('Circuit assets not loaded');
-    }
+  _proveInWorker(input, onStage, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createColasseumError('PROOF_CANCELLED'));
+        return;
+      }
 
-    if (typeof window.snarkjs === 'undefined') {
-      throw new Error('snarkjs not loaded - ensure CDN script is included');
-    }
-    console.log('[CryptoService] snarkjs available');
-
-    const passphraseField = this.passphraseToField(passphrase);
-    const ownerField = this.addressToField(ownerAddress);
-
-    // Split beacon root into high/low 128-bit parts
-    const rootBigInt = BigInt(beaconRoot);
-    const rootHigh = rootBigInt >> 128n;
-    const rootLow = rootBigInt & ((1n << 128n) - 1n);
-
-    // Circuit inputs
-    const input = {
-      passphrase: passphraseField.toString(),
-      ownerAddress: ownerField.toString(),
-      rootHigh: rootHigh.toString(),
-      rootLow: rootLow.toString(),
-      ticketHash: commitment.toString(),
-      difficulty: difficulty.toString(),
-      chances: numChances.toString(),
-    };
-
-    console.log('[CryptoService] Generating ZK proof with inputs:', {
-      rootHigh: input.rootHigh,
-      rootLow: input.rootLow,
-      ticketHash: input.ticketHash,
-      difficulty: input.difficulty,
-      chances: input.chances,
+      const worker = new Worker(new URL('../workers/proof.worker.js', import.meta.url));
+      const finish = () => {
+        worker.terminate();
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        console.log('[CryptoService] Proof cancelled');
+        finish();
+        reject(createColasseumError('PROOF_CANCELLED'));
+      };
+      signal?.addEventListener('abort', onAbort);
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'stage') {
+          onStage(data.stage);
+        } else if (data.type === 'result') {
+          finish();
+          resolve({ proof: data.proof, publicSignals: data.publicSignals });
+        } else if (data.type === 'error') {
+          finish();
+          reject(new Error(`Proof generation failed: ${data.message}`));
+        }
+      };
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(`Proof worker failed: ${event.message || 'unknown error'}`));
+      };
+
+      // Copies, so the cached buffers stay usable for the next proof
+      worker.postMessage({
+        type: 'prove',
+        snarkjsUrl: SNARKJS_URL,
+        input,
+        wasm: this.wasmBuffer.slice(0),
+        zkey: this.zkeyBuffer.slice(0),
+      });
     });
-
-    // Generate proof using snarkjs
-    const { proof, publicSignals } = await window.snarkjs.groth16.fullProve(
-      input,
-      new Uint8Array(this.wasmBuffer),
-      new Uint8Array(this.zkeyBuffer)
-    );
-
-    console.log('[CryptoService] Proof generated, public signals:', publicSignals);
-
-    // Convert to Solidity format
-    // Groth16 emits G2 points as [[bx0, bx1], ...], but Solidity verifier expects them flipped
-    const solidityPiA = proof.pi_a.slice(0, 2).map((x) => x.toString());
-    const solidityPiB = [
-      [proof.pi_b[0][1].toString(), proof.pi_b[0][0].toString()],
-      [proof.pi_b[1][1].toString(), proof.pi_b[1][0].toString()],
-    ];
-    const solidityPiC = proof.pi_c.slice(0, 2).map((x) => x.toString());
-
-    return {
-      proof,
-      publicSignals,
-      solidityProof: {
-        pA: solidityPiA,
-        pB: solidityPiB,
-        pC: solidityPiC,
-      },
-    };
   }
 }
 
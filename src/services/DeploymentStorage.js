@@ -0,0 +1,230 @@
+/**
+ * DeploymentStorage - Client storage scoped to one Colasseum deployment
+ *
+ * Trial and chance ids restart at zero on every deployment, so everything the
+ * app keeps per bottle is keyed by chainId and Colasseum address:
+ *
+ *   miladycola_<chainId>_<colasseum>_<name>
+ *
+ * Switching between local, sepolia and mainnet builds therefore never mixes
+ * (or deletes) another deployment's passphrases. Data for other deployments is
+ * only removed when the user asks for it (clearDeployment).
+ *
+ * Keys written before scoping (miladycola_passphrase_<id> and friends) are
+ * migrated on startup. They belong to the deployment recorded in the old
+ * `miladycola_deploy_address` fingerprint; when that is not the current one
+ * its chainId is unknown, so they are parked under `unknown_<address>` until a
+ * build for that address adopts them.
+ */
+
+const PREFIX = 'miladycola_';
+const FIXTURE_SCOPE = 'fixtures';
+
+// Per-id names that shipped unscoped; everything added since is scoped from the start
+const LEGACY_PREFIXES = ['passphrase_', 'reveal_seen_', 'win_result_'];
+const LEGACY_FINGERPRINT_KEY = 'miladycola_deploy_address';
+
+const UNKNOWN_CHAIN = 'unknown';
+
+// miladycola_<chainId|unknown>_<0xaddress>_<name>
+const SCOPED_KEY = /^miladycola_(\d+|unknown)_(0x[0-9a-f]{40})_(.+)$/;
+
+let activeScope = null;
+let activeDeployment = null;
+
+// ============================================
+// SCOPES
+// ============================================
+
+/**
+ * Scope for a deployment: `<chainId>_<lowercased colasseum address>`
+ * @param {number|string} chainId
+ * @param {string} colasseumAddress
+ * @returns {string}
+ */
+export function getDeploymentScope(chainId, colasseumAddress) {
+  return `${chainId}_${colasseumAddress.toLowerCase()}`;
+}
+
+/**
+ * IndexedDB name for a deployment's event index
+ * @param {number|string} chainId
+ * @param {string} colasseumAddress
+ * @returns {string}
+ */
+export function getIndexerDbName(chainId, colasseumAddress) {
+  return `colasseum-${chainId}-${colasseumAddress.toLowerCase()}`;
+}
+
+/**
+ * Select the deployment this page works against and migrate legacy keys.
+ * Call once, before any service reads storage.
+ * @param {number|string} chainId
+ * @param {string} colasseumAddress
+ */
+export function setActiveDeployment(chainId, colasseumAddress) {
+  activeScope = getDeploymentScope(chainId, colasseumAddress);
+  activeDeployment = { chainId: Number(chainId), address: colasseumAddress.toLowerCase() };
+  try {
+    migrateLegacyStorage(chainId, colasseumAddress);
+  } catch (e) {
+    console.warn('[DeploymentStorage] Migration failed:', e);
+  }
+}
+
+/**
+ * @returns {string} The active scope (fixtures mode has its own)
+ */
+export function getActiveScope() {
+  return activeScope || FIXTURE_SCOPE;
+}
+
+/**
+ * @returns {{chainId: number, address: string}|null} The active deployment, or null in fixtures mode
+ */
+export function getActiveDeployment() {
+  return activeDeployment;
+}
+
+/**
+ * localStorage key for `name` in the active deployment
+ * @param {string} name - e.g. 'vault', 'passphrase_12'
+ * @returns {string}
+ */
+export function scopedKey(name) {
+  return `${PREFIX}${getActiveScope()}_${name}`;
+}
+
+// ============================================
+// MIGRATION
+// ============================================
+
+function storageKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+  return keys;
+}
+
+// Move a key unless the destination already holds something
+function moveKey(from, to) {
+  if (localStorage.getItem(to) !== null) return false;
+  localStorage.setItem(to, localStorage.getItem(from));
+  localStorage.removeItem(from);
+  return true;
+}
+
+function isLegacyKey(key) {
+  if (!key.startsWith(PREFIX)) return false;
+  const name = key.slice(PREFIX.length);
+  return LEGACY_PREFIXES.some(p => name.startsWith(p));
+}
+
+/**
+ * Scope unscoped keys, and adopt keys parked for this address under an
+ * unknown chain. Keys that would overwrite scoped data are left untouched.
+ */
+function migrateLegacyStorage(chainId, colasseumAddress) {
+  const current = colasseumAddress.toLowerCase();
+  const fingerprint = localStorage.getItem(LEGACY_FINGERPRINT_KEY)?.toLowerCase();
+  const owner = !fingerprint || fingerprint === current
+    ? getDeploymentScope(chainId, current)
+    : getDeploymentScope(UNKNOWN_CHAIN, fingerprint);
+
+  let moved = 0;
+  let kept = 0;
+  for (const key of storageKeys()) {
+    if (isLegacyKey(key)) {
+      if (moveKey(key, `${PREFIX}${owner}_${key.slice(PREFIX.length)}`)) moved += 1;
+      else kept += 1;
+      continue;
+    }
+
+    const match = key.match(SCOPED_KEY);
+    if (match && match[1] === UNKNOWN_CHAIN && match[2] === current) {
+      if (moveKey(key, `${PREFIX}${getDeploymentScope(chainId, current)}_${match[3]}`)) moved += 1;
+    }
+  }
+
+  // The unscoped event index was only ever a cache for the fingerprinted deployment
+  if (fingerprint) deleteDatabase(`colasseum-${chainId}`);
+
+  if (kept === 0) localStorage.removeItem(LEGACY_FINGERPRINT_KEY);
+  if (moved > 0) console.log(`[DeploymentStorage] Migrated ${moved} keys into ${owner}`);
+  if (kept > 0) console.warn(`[DeploymentStorage] ${kept} legacy keys clash with scoped data and were left in place`);
+}
+
+// ============================================
+// EXPLICIT CLEANUP
+// ============================================
+
+/**
+ * Deployments with data on this device
+ * @returns {Array<{scope: string, chainId: string, address: string, keys: number, active: boolean}>}
+ */
+export function listDeployments() {
+  const byScope = new Map();
+  try {
+    for (const key of storageKeys()) {
+      const match = key.match(SCOPED_KEY);
+      if (!match) continue;
+      const scope = `${match[1]}_${match[2]}`;
+      const entry = byScope.get(scope) || { scope, chainId: match[1], address: match[2], keys: 0, active: scope === activeScope };
+      entry.keys += 1;
+      byScope.set(scope, entry);
+    }
+  } catch (e) {
+    console.warn('[DeploymentStorage] Failed to list deployments:', e);
+  }
+  return [...byScope.values()].sort((a, b) => Number(b.active) - Number(a.active));
+}
+
+/**
+ * Delete every key (and the event index) for one deployment.
+ * Only call this on an explicit user request.
+ * @param {string} scope - From listDeployments()
+ * @returns {number} Keys removed
+ */
+export function clearDeployment(scope) {
+  const keyPrefix = `${PREFIX}${scope}_`;
+  const keys = storageKeys().filter(key => key.startsWith(keyPrefix));
+  keys.forEach(key => localStorage.removeItem(key));
+
+  const [chainId, address] = scope.split('_');
+  if (chainId !== UNKNOWN_CHAIN) deleteDatabase(getIndexerDbName(chainId, address));
+
+  console.log(`[DeploymentStorage] Cleared ${keys.length} keys for ${scope}`);
+  return keys.length;
+}
+
+/**
+ * Delete an IndexedDB database. Never rejects.
+ * @param {string} dbName
+ * @returns {Promise<void>}
+ */
+export function deleteDatabase(dbName) {
+  if (typeof indexedDB === 'undefined') {
+    console.warn('[DeploymentStorage] IndexedDB not available');
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    try {
+      const request = indexedDB.deleteDatabase(dbName);
+      request.onsuccess = () => {
+        console.log('[DeploymentStorage] Database cleared:', dbName);
+        resolve();
+      };
+      request.onerror = () => {
+        console.warn('[DeploymentStorage] Failed to clear database:', request.error);
+        resolve(); // Don't block on error
+      };
+      request.onblocked = () => {
+        console.warn('[DeploymentStorage] Database delete blocked, continuing...');
+        resolve();
+      };
+    } catch (err) {
+      console.warn('[DeploymentStorage] Error clearing database:', err);
+      resolve();
+    }
+  });
+}
@@ -14,6 +14,7 @@
  */
 
 import { ethers } from 'ethers';
+import { SAFETY_DELAY } from './ProtocolMath.js';
 
 // EIP-4788 beacon roots precompile address (same on all EVM chains)
 const MAINNET_BEACON_ROOTS = '0x000F3df6D732807Ef1319fB7B8bB8522d0Beac02'.toLowerCase();
@@ -141,11 +142,11 @@ class DevService {
    * This is the main entry point for dev-mode claim preparation
    *
    * @param {number} targetTimestamp - Ticket's target timestamp
-   * @param {number} safetyDelay - Safety delay in seconds (default 768)
+   * @param {number} safetyDelay - Safety delay in seconds (default SAFETY_DELAY)
    * @param {Function} contractFallback - Async function to get root from contract
    * @returns {Promise<string>} - Beacon root ready for proof generation
    */
-  async prepareForClaim(targetTimestamp, safetyDelay = 768, contractFallback = null) {
+  async prepareForClaim(targetTimestamp, safetyDelay = SAFETY_DELAY, contractFallback = null) {
     // Calculate when randomness becomes available
     const readyTimestamp = targetTimestamp + safetyDelay + 1;
     const now = Math.floor(Date.now() / 1000);
@@ -0,0 +1,197 @@
+/**
+ * MulticallService - Batched contract reads through Multicall3
+ *
+ * Read calls queued in the same tick are coalesced into a single
+ * `aggregate3` eth_call, so `Promise.all(ids.map(...))` patterns cost one
+ * round trip per batch instead of one (or two) per ID.
+ *
+ * Multicall3 lookup order:
+ * - `config.contracts.multicall.address` (deployed by scripts/deploy.mjs on bare anvil)
+ * - The canonical Multicall3 address (mainnet, sepolia, forked anvil)
+ *
+ * If neither has code, calls fall back to individual eth_calls fired in
+ * parallel. Results are decoded identically on both paths.
+ */
+
+import { ethers } from 'ethers';
+
+// Canonical Multicall3 deployment (same address on every major EVM chain)
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+
+// Keep each aggregate3 call well under typical RPC gas/response limits
+const DEFAULT_BATCH_SIZE = 200;
+
+class MulticallService {
+  /**
+   * @param {ethers.providers.Provider} provider
+   * @param {Object} [options]
+   * @param {string} [options.address] - Multicall3 address from network config
+   * @param {number} [options.batchSize] - Max calls per aggregate3
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.configuredAddress = options.address || null;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.multicall = null;
+    this.resolving = null;
+    this.queue = [];
+    this.flushScheduled = false;
+  }
+
+  /**
+   * Find a Multicall3 deployment with code on the current chain.
+   * Resolved once; subsequent calls reuse the result.
+   * @returns {Promise<ethers.Contract|null>} Multicall3 contract or null (fallback mode)
+   */
+  async resolve() {
+    if (!this.resolving) {
+      this.resolving = (async () => {
+        const candidates = [this.configuredAddress, MULTICALL3_ADDRESS].filter(Boolean);
+        for (const address of candidates) {
+          try {
+            const code = await this.provider.getCode(address);
+            if (code && code !== '0x') {
+              this.multicall = new ethers.Contract(address, MULTICALL3_ABI, this.provider);
+              console.log('[MulticallService] Using Multicall3 at:', address);
+              return this.multicall;
+            }
+          } catch (err) {
+            console.warn('[MulticallService] Could not check code at', address, err.message);
+          }
+        }
+        console.warn('[MulticallService] No Multicall3 found, falling back to individual calls');
+        return null;
+      })();
+    }
+    return this.resolving;
+  }
+
+  /**
+   * Queue a read call. Calls queued in the same tick share one aggregate3.
+   * @param {ethers.Contract} contract - Contract instance (only address + interface are used)
+   * @param {string} method - View function name
+   * @param {Array} [args]
+   * @returns {Promise<*>} Decoded result (single value unwrapped, structs as ethers Result)
+   */
+  call(contract, method, args = []) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ contract, method, args, resolve, reject });
+      if (!this.flushScheduled) {
+        this.flushScheduled = true;
+        queueMicrotask(() => this._flush());
+      }
+    });
+  }
+
+  /**
+   * Execute a list of calls immediately.
+   * @param {Array<{contract: ethers.Contract, method: string, args?: Array}>} calls
+   * @returns {Promise<Array<{success: boolean, value?: *, error?: Error}>>}
+   */
+  async aggregate(calls) {
+    return Promise.all(calls.map(({ contract, method, args = [] }) =>
+      this.call(contract, method, args)
+        .then(value => ({ success: true, value }))
+        .catch(error => ({ success: false, error }))
+    ));
+  }
+
+  async _flush() {
+    const pending = this.queue;
+    this.queue = [];
+    this.flushScheduled = false;
+    if (pending.length === 0) return;
+
+    const multicall = await this.resolve();
+
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const batch = pending.slice(i, i + this.batchSize);
+      if (multicall) {
+        await this._executeBatch(multicall, batch);
+      } else {
+        await this._executeIndividually(batch);
+      }
+    }
+  }
+
+  async _executeBatch(multicall, batch) {
+    const encoded = [];
+    for (const entry of batch) {
+      try {
+        encoded.push({
+          target: entry.contract.address,
+          allowFailure: true,
+          callData: entry.contract.interface.encodeFunctionData(entry.method, entry.args),
+        });
+      } catch (err) {
+        encoded.push(null);
+        entry.reject(err);
+      }
+    }
+
+    const live = batch.filter((_, i) => encoded[i]);
+    if (live.length === 0) return;
+
+    let results;
+    try {
+      results = await multicall.callStatic.aggregate3(encoded.filter(Boolean));
+    } catch (err) {
+      // Whole batch failed (RPC error, oversized response) - retry without multicall
+      console.warn('[MulticallService] aggregate3 failed, retrying individually:', err.message);
+      await this._executeIndividually(live);
+      return;
+    }
+
+    live.forEach((entry, i) => {
+      const { success, returnData } = results[i];
+      if (!success) {
+        entry.reject(this._callError(entry, returnData));
+        return;
+      }
+      this._settle(entry, returnData);
+    });
+  }
+
+  async _executeIndividually(batch) {
+    await Promise.all(batch.map(async entry => {
+      let data;
+      try {
+        data = entry.contract.interface.encodeFunctionData(entry.method, entry.args);
+      } catch (err) {
+        entry.reject(err);
+        return;
+      }
+
+      try {
+        const returnData = await this.provider.call({ to: entry.contract.address, data });
+        this._settle(entry, returnData);
+      } catch (err) {
+        entry.reject(err);
+      }
+    }));
+  }
+
+  _settle(entry, returnData) {
+    try {
+      const decoded = entry.contract.interface.decodeFunctionResult(entry.method, returnData);
+      entry.resolve(decoded.length === 1 ? decoded[0] : decoded);
+    } catch (err) {
+      entry.reject(this._callError(entry, returnData, err));
+    }
+  }
+
+  _callError(entry, returnData, cause) {
+    const error = new Error(`${entry.method} call reverted`);
+    error.code = 'CALL_EXCEPTION';
+    error.method = entry.method;
+    error.data = returnData;
+    if (cause) error.cause = cause;
+    return error;
+  }
+}
+
+export default MulticallService;
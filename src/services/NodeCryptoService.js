@@ -0,0 +1,51 @@
+/**
+ * NodeCryptoService - CryptoCore for Node scripts and tests
+ *
+ * Same commitments, win evaluation, proofs and verification as the browser's
+ * CryptoService, with circomlibjs and snarkjs from node_modules and circuit
+ * files read from disk (public/ by default).
+ *
+ * Usage:
+ *   import nodeCryptoService from './src/services/NodeCryptoService.js';
+ *   await nodeCryptoService.generateCommitment(passphrase, owner);
+ */
+
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import CryptoCore from './CryptoCore.js';
+
+const publicDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'public');
+
+// Node Buffers share a pool; copy out exactly the file's bytes
+async function readArrayBuffer(file) {
+  const bytes = await readFile(file);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.wasmPath] - Defaults to public/challenge.wasm
+ * @param {string} [options.zkeyPath] - Defaults to public/challenge_final.zkey
+ * @returns {CryptoCore}
+ */
+export function createNodeCryptoService({
+  wasmPath = path.join(publicDir, 'challenge.wasm'),
+  zkeyPath = path.join(publicDir, 'challenge_final.zkey'),
+} = {}) {
+  return new CryptoCore({
+    loadPoseidon: async () => {
+      const { buildPoseidon } = await import('circomlibjs');
+      return buildPoseidon();
+    },
+    loadSnarkjs: () => import('snarkjs'),
+    loadArtifacts: async () => {
+      const [wasm, zkey] = await Promise.all([readArrayBuffer(wasmPath), readArrayBuffer(zkeyPath)]);
+      return { wasm, zkey };
+    },
+  }, 'NodeCryptoService');
+}
+
+// Singleton instance
+const nodeCryptoService = createNodeCryptoService();
+export default nodeCryptoService;
@@ -0,0 +1,138 @@
+/**
+ * Passphrase - Generate bottle passphrases, rate them and detect reuse
+ *
+ * A bottle's commitment is Poseidon(keccak256(passphrase) mod p, owner), so:
+ *   - the same passphrase from the same owner always gives the same commitment,
+ *     which links those bottles on-chain for anyone who looks
+ *   - anyone who guesses the passphrase can evaluate the bottle's outcome
+ *     before its owner reveals it
+ *
+ * Generated passphrases are words from the BIP-39 English list (2048 words,
+ * 11 bits each) picked with crypto.getRandomValues. Reuse is detected against
+ * a local registry of hashes of the commitments this browser has sent or seen
+ * for its bottles in the active deployment, so the registry alone does not
+ * list which bottles are this user's.
+ */
+
+import { ethers } from 'ethers';
+import { scopedKey } from './DeploymentStorage.js';
+
+const WORDLIST = ethers.wordlists.en;
+const WORDLIST_SIZE = 2048;
+const BITS_PER_WORD = Math.log2(WORDLIST_SIZE);
+
+export const GENERATED_WORD_COUNT = 7; // 77 bits
+
+const REGISTRY_NAME = 'used_commitments';
+
+// First guesses for a MiladyCola secret, including the old placeholder
+const OBVIOUS_PASSPHRASES = ['milady', 'miladycola', 'remilia', 'cola', 'secret', 'password', 'passphrase', 'my-secret-phrase', 'qwerty', '123456'];
+
+// ============================================
+// GENERATOR
+// ============================================
+
+/**
+ * Random words from the BIP-39 English list, separated by hyphens
+ * @param {number} [wordCount]
+ * @returns {string}
+ */
+export function generatePassphrase(wordCount = GENERATED_WORD_COUNT) {
+  // 2048 divides 2^16, so masking keeps every word equally likely
+  const indexes = crypto.getRandomValues(new Uint16Array(wordCount));
+  return Array.from(indexes, index => WORDLIST.getWord(index & (WORDLIST_SIZE - 1))).join('-');
+}
+
+// ============================================
+// STRENGTH
+// ============================================
+
+function characterPool(passphrase) {
+  let pool = 0;
+  if (/[a-z]/.test(passphrase)) pool += 26;
+  if (/[A-Z]/.test(passphrase)) pool += 26;
+  if (/[0-9]/.test(passphrase)) pool += 10;
+  if (/[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(passphrase)) pool += 33;
+  if (/[^\x20-\x7e]/.test(passphrase)) pool += 100;
+  return pool;
+}
+
+/**
+ * Estimated entropy of a passphrase, in bits, and a rating.
+ * Phrases of plain words count 11 bits per word, as if drawn from the
+ * wordlist; chosen words are likelier than that. Anything else counts its
+ * length times its character set, which flatters human-chosen text, so it is
+ * rated more strictly.
+ * @param {string} passphrase
+ * @returns {{bits: number, level: 'weak'|'fair'|'strong'}}
+ */
+export function estimatePassphraseStrength(passphrase) {
+  const text = passphrase.trim();
+  const normalized = text.toLowerCase();
+
+  const words = normalized.split(/[\s-]+/).filter(Boolean);
+  const wordPhrase = words.length > 1 && words.every(word => /^[a-z]+$/.test(word));
+
+  let bits;
+  if (wordPhrase) {
+    bits = Math.floor(words.length * BITS_PER_WORD);
+  } else {
+    bits = Math.floor(text.length * Math.log2(characterPool(text) || 1));
+  }
+  if (OBVIOUS_PASSPHRASES.some(word => normalized.includes(word)) || /^(.)\1*$/.test(text)) {
+    bits = Math.min(bits, 16);
+  }
+
+  const strongAt = wordPhrase ? 66 : 100;
+  const fairAt = wordPhrase ? 44 : 64;
+  const level = bits >= strongAt ? 'strong' : bits >= fairAt ? 'fair' : 'weak';
+  return { bits, level };
+}
+
+// ============================================
+// REUSE REGISTRY
+// ============================================
+
+function readRegistry() {
+  try {
+    return JSON.parse(localStorage.getItem(scopedKey(REGISTRY_NAME))) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Registry entry for a commitment: keccak256 of its decimal string
+function registryId(commitment) {
+  return ethers.utils.id(String(commitment));
+}
+
+/**
+ * Whether a bottle with this commitment was already sent or seen
+ * @param {string} commitment - Decimal commitment (generateCommitment)
+ * @returns {boolean}
+ */
+export function isCommitmentUsed(commitment) {
+  return readRegistry()[registryId(commitment)] !== undefined;
+}
+
+/**
+ * Record bottle commitments so a later entry with the same passphrase is caught
+ * @param {Array<string>} commitments
+ */
+export function recordCommitments(commitments) {
+  const registry = readRegistry();
+  let added = 0;
+  for (const commitment of commitments) {
+    const id = registryId(commitment);
+    if (registry[id] === undefined) {
+      registry[id] = Date.now();
+      added += 1;
+    }
+  }
+  if (added === 0) return;
+  try {
+    localStorage.setItem(scopedKey(REGISTRY_NAME), JSON.stringify(registry));
+  } catch (e) {
+    console.warn('[Passphrase] Failed to save commitment registry:', e);
+  }
+}
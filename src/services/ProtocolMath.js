@@ -0,0 +1,203 @@
+/**
+ * ProtocolMath - Exact Colasseum / circuit arithmetic
+ *
+ * Every formula mirrors miladycola4.sol (or lottery.circom for the win
+ * threshold) in BigInt, so the UI never rounds through a Number before it has
+ * to display something. Inputs may be bigint, number, decimal/hex strings or
+ * ethers BigNumbers; outputs are bigint unless noted.
+ *
+ * Vectors: contracts/test/vectors/protocol-math.json, checked against the
+ * contract by ProtocolMath.t.sol and against this module by
+ * scripts/check-protocol-math.mjs.
+ */
+
+// BN254 scalar field prime; the contract's MAX_HASH
+export const MAX_HASH = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// Price of one chance: 0.000000001 ether
+export const FIXED_TICKET_PRICE = 1_000_000_000n;
+
+// Challenger deposit: 5% of the appraisal
+export const DEPOSIT_PERCENT = 5n;
+
+// Charity generosity and odds are both expressed out of ten thousand
+export const BPS_DENOMINATOR = 10_000n;
+export const MAX_GENEROSITY_BPS = 10_000;
+
+// Seconds after the target timestamp before the oracle serves its root
+export const SAFETY_DELAY = 768;
+
+/**
+ * Coerce any numeric input to BigInt
+ * @param {bigint|number|string|{toString: Function}} value
+ * @returns {bigint}
+ */
+export function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) throw new Error(`Unsafe integer: ${value}`);
+    return BigInt(value);
+  }
+  if (value === null || value === undefined) throw new Error('Missing numeric value');
+  return BigInt(value.toString());
+}
+
+// ============================================
+// TRIALS
+// ============================================
+
+/**
+ * challenge(): difficulty = (MAX_HASH / appraisal) * FIXED_TICKET_PRICE
+ * @param {bigint|string} appraisalWei
+ * @returns {bigint} 0n when the contract would reject the appraisal
+ */
+export function getDifficulty(appraisalWei) {
+  const appraisal = toBigInt(appraisalWei);
+  if (appraisal <= 0n) return 0n;
+  return (MAX_HASH / appraisal) * FIXED_TICKET_PRICE;
+}
+
+/**
+ * Approximate appraisal for a difficulty. The division in challenge() drops
+ * precision, so this is the largest appraisal that maps to the difficulty;
+ * prefer `trials(id).appraisal` whenever it is available.
+ * @param {bigint|string} difficulty
+ * @returns {bigint} wei
+ */
+export function getAppraisalFromDifficulty(difficulty) {
+  const quotient = toBigInt(difficulty) / FIXED_TICKET_PRICE;
+  if (quotient === 0n) return 0n;
+  return MAX_HASH / quotient;
+}
+
+/**
+ * challenge(): depositRequired = (appraisal * 5) / 100
+ * @param {bigint|string} appraisalWei
+ * @returns {bigint} wei
+ */
+export function getDeposit(appraisalWei) {
+  return (toBigInt(appraisalWei) * DEPOSIT_PERCENT) / 100n;
+}
+
+/**
+ * _donateToCharity(): donation = (pot * bps) / 10000, the challenger gets the rest
+ * @param {bigint|string} potWei
+ * @param {number|bigint} generosityBps - The trial's locked charityBps
+ * @returns {{donation: bigint, remainder: bigint}}
+ */
+export function getCharitySplit(potWei, generosityBps) {
+  const pot = toBigInt(potWei);
+  const donation = (pot * toBigInt(generosityBps)) / BPS_DENOMINATOR;
+  return { donation, remainder: pot - donation };
+}
+
+// ============================================
+// CHANCES
+// ============================================
+
+/**
+ * valor(): msg.value must equal numChances * FIXED_TICKET_PRICE
+ * @param {bigint|number|string} numChances
+ * @returns {bigint} wei
+ */
+export function getChanceCost(numChances) {
+  return toBigInt(numChances) * FIXED_TICKET_PRICE;
+}
+
+/**
+ * The threshold the circuit compares the randomness hash against.
+ * lottery.circom computes difficulty * numChances in the field, so the
+ * product wraps modulo MAX_HASH.
+ * @param {bigint|string} difficulty
+ * @param {bigint|number|string} numChances
+ * @returns {bigint}
+ */
+export function getWinThreshold(difficulty, numChances) {
+  return (toBigInt(difficulty) * toBigInt(numChances)) % MAX_HASH;
+}
+
+/**
+ * Whether difficulty * numChances reaches the field prime (and wraps)
+ * @param {bigint|string} difficulty
+ * @param {bigint|number|string} numChances
+ * @returns {boolean}
+ */
+export function wrapsField(difficulty, numChances) {
+  return toBigInt(difficulty) * toBigInt(numChances) >= MAX_HASH;
+}
+
+/**
+ * Largest chance count whose threshold stays below the field prime
+ * @param {bigint|string} difficulty
+ * @returns {bigint} 0n for a zero difficulty
+ */
+export function getMaxSafeChances(difficulty) {
+  const d = toBigInt(difficulty);
+  if (d <= 0n) return 0n;
+  return (MAX_HASH - 1n) / d;
+}
+
+/**
+ * Win probability in basis points (floored), from the wrapped threshold.
+ * The randomness hash is a field element, so P(win) = threshold / MAX_HASH.
+ * @param {bigint|string} difficulty
+ * @param {bigint|number|string} numChances
+ * @returns {number} 0..9999
+ */
+export function getOddsBps(difficulty, numChances) {
+  return Number((getWinThreshold(difficulty, numChances) * BPS_DENOMINATOR) / MAX_HASH);
+}
+
+/**
+ * Fewest chances whose threshold covers the given odds:
+ * ceil(floor(MAX_HASH * oddsBps / 10000) / difficulty), at least 1
+ * @param {bigint|string} difficulty
+ * @param {number|bigint} oddsBps
+ * @returns {bigint}
+ */
+export function getChancesForOddsBps(difficulty, oddsBps) {
+  const d = toBigInt(difficulty);
+  if (d <= 0n) return 1n;
+  const share = (MAX_HASH * toBigInt(oddsBps)) / BPS_DENOMINATOR;
+  const chances = (share + d - 1n) / d;
+  return chances < 1n ? 1n : chances;
+}
+
+/**
+ * Win probability as a percentage string, floored to the given decimals
+ * (e.g. "99.999999%"), so it never overstates the odds
+ * @param {bigint|string} difficulty
+ * @param {bigint|number|string} numChances
+ * @param {number} [decimals=6]
+ * @returns {string}
+ */
+export function formatWinProbability(difficulty, numChances, decimals = 6) {
+  const scale = 10n ** BigInt(decimals);
+  const scaled = (getWinThreshold(difficulty, numChances) * 100n * scale) / MAX_HASH;
+  const whole = scaled / scale;
+  const fraction = (scaled % scale).toString().padStart(decimals, '0');
+  return decimals > 0 ? `${whole}.${fraction}%` : `${whole}%`;
+}
+
+/**
+ * Display odds from floored basis points: "12.34%", "<0.01%" for 0, which
+ * may still be a real chance (see formatOdds)
+ * @param {number|null} oddsBps
+ * @returns {string}
+ */
+export function formatOddsBps(oddsBps) {
+  if (oddsBps === null || oddsBps === undefined) return '—';
+  if (oddsBps === 0) return '<0.01%';
+  return `${(oddsBps / 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+}
+
+/**
+ * Display odds for a chance count: "0%" only when the win threshold is 0
+ * @param {bigint|string} difficulty
+ * @param {bigint|number|string} numChances
+ * @returns {string}
+ */
+export function formatOdds(difficulty, numChances) {
+  if (getWinThreshold(difficulty, numChances) === 0n) return '0%';
+  return formatOddsBps(getOddsBps(difficulty, numChances));
+}
@@ -0,0 +1,268 @@
+/**
+ * ProviderManager - Shared multi-RPC read provider with failover
+ *
+ * One FailoverProvider is shared by ContractService, ColasseumIndexer and
+ * NftMetadataService. Endpoints come from `config.rpcUrls` (falling back to
+ * `config.rpcUrl`) and are tried in config order, skipping ones that are:
+ * - backing off after a 429 / JSON-RPC rate-limit error (honours Retry-After)
+ * - marked unhealthy by a failed request or periodic health check
+ * - lagging more than MAX_BLOCK_LAG blocks behind the best endpoint
+ *
+ * JSON-RPC error responses (reverts, bad params) are answers, not outages,
+ * so they are returned to the caller without failing over. Reads are retried
+ * across all endpoints with exponential backoff; eth_sendRawTransaction is
+ * never replayed.
+ *
+ * Per-endpoint status is available from getStatus() and emitted as
+ * `rpc:status` { endpoints, active } whenever it changes (the Header shows it).
+ * Fallback endpoints are opt-in: only those listed in the config are used.
+ */
+
+import { ethers } from 'ethers';
+
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+const REQUEST_TIMEOUT_MS = 15000;
+const READ_RETRY_ROUNDS = 3;
+const RETRY_BASE_DELAY_MS = 250;
+const RATE_LIMIT_BASE_BACKOFF_MS = 1000;
+const RATE_LIMIT_MAX_BACKOFF_MS = 60000;
+const MAX_BLOCK_LAG = 5;
+
+// Methods that must reach the network at most once
+const NON_IDEMPOTENT_METHODS = new Set(['eth_sendRawTransaction', 'eth_sendTransaction']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRateLimited(error) {
+  if (error?.status === 429) return true;
+  const rpcCode = error?.error?.code ?? error?.code;
+  if (rpcCode === -32005 || rpcCode === 429) return true;
+  const text = `${error?.message || ''} ${error?.body || ''}`;
+  return /rate limit|too many requests|exceeded .*capacity/i.test(text);
+}
+
+// A JSON-RPC error object came back: the endpoint is up and answered
+function isRpcAnswer(error) {
+  return typeof error?.error?.code === 'number' && !isRateLimited(error);
+}
+
+function retryAfterMs(error) {
+  const header = error?.headers?.['retry-after'];
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+// Hide API keys in the path when showing endpoints to users / logs
+function displayUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * StaticJsonRpcProvider whose `send` is routed across several endpoints.
+ */
+export class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+  /**
+   * @param {ProviderManager} manager
+   * @param {ethers.providers.Networkish} network
+   */
+  constructor(manager, network) {
+    super(manager.endpoints[0].url, network);
+    this.manager = manager;
+  }
+
+  send(method, params) {
+    return this.manager.send(method, params);
+  }
+}
+
+class ProviderManager {
+  /**
+   * @param {Object} eventBus
+   * @param {Object} config - Network config ({ chainId, rpcUrl, rpcUrls? })
+   */
+  constructor(eventBus, config) {
+    this.eventBus = eventBus;
+
+    const urls = [...new Set([...(config.rpcUrls || []), config.rpcUrl].filter(Boolean))];
+    if (urls.length === 0) throw new Error('ProviderManager: no RPC URLs configured');
+
+    const network = config.chainId ? { chainId: config.chainId, name: config.network || 'unknown' } : undefined;
+
+    this.endpoints = urls.map(url => ({
+      url,
+      label: displayUrl(url),
+      // ethers would otherwise stall on 429s itself; surface them so another endpoint can answer
+      provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: REQUEST_TIMEOUT_MS, throttleCallback: async () => false }, network),
+      healthy: true,
+      lagging: false,
+      latencyMs: null,
+      blockNumber: null,
+      failures: 0,
+      rateLimitHits: 0,
+      backoffUntil: 0,
+      lastError: null,
+      lastCheckedAt: null,
+    }));
+
+    this.provider = new FailoverProvider(this, network);
+    this.active = this.endpoints[0];
+    this.healthTimer = null;
+  }
+
+  /**
+   * Begin periodic health checks (runs one immediately)
+   * @param {number} [intervalMs]
+   */
+  startHealthChecks(intervalMs = HEALTH_CHECK_INTERVAL_MS) {
+    this.stopHealthChecks();
+    this.checkHealth();
+    this.healthTimer = setInterval(() => this.checkHealth(), intervalMs);
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  /**
+   * Ping every endpoint with eth_blockNumber and record latency / head.
+   * @returns {Promise<Object[]>} Status per endpoint
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      const started = Date.now();
+      try {
+        const block = await endpoint.provider.send('eth_blockNumber', []);
+        endpoint.blockNumber = parseInt(block, 16);
+        endpoint.latencyMs = Date.now() - started;
+        endpoint.healthy = true;
+        endpoint.failures = 0;
+        endpoint.lastError = null;
+      } catch (error) {
+        this._recordFailure(endpoint, error, false);
+      }
+      endpoint.lastCheckedAt = Date.now();
+    }));
+
+    const head = Math.max(...this.endpoints.map(e => e.blockNumber ?? -Infinity));
+    for (const endpoint of this.endpoints) {
+      endpoint.lagging = endpoint.blockNumber !== null && head - endpoint.blockNumber > MAX_BLOCK_LAG;
+    }
+
+    this._emitStatus();
+    return this.getStatus();
+  }
+
+  /**
+   * Snapshot of every endpoint (URLs are shown without their path/API key)
+   * @returns {Object[]}
+   */
+  getStatus() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.label,
+      active: endpoint === this.active,
+      healthy: endpoint.healthy,
+      lagging: endpoint.lagging,
+      rateLimited: endpoint.backoffUntil > now,
+      backoffMs: Math.max(0, endpoint.backoffUntil - now),
+      latencyMs: endpoint.latencyMs,
+      blockNumber: endpoint.blockNumber,
+      failures: endpoint.failures,
+      lastError: endpoint.lastError,
+      lastCheckedAt: endpoint.lastCheckedAt,
+    }));
+  }
+
+  /**
+   * Route a JSON-RPC request through the healthiest available endpoint.
+   * @param {string} method
+   * @param {Array} params
+   * @returns {Promise<*>}
+   */
+  async send(method, params) {
+    const rounds = NON_IDEMPOTENT_METHODS.has(method) ? 1 : READ_RETRY_ROUNDS;
+    let lastError = null;
+
+    for (let round = 0; round < rounds; round++) {
+      if (round > 0) await sleep(RETRY_BASE_DELAY_MS * 2 ** (round - 1));
+
+      const candidates = NON_IDEMPOTENT_METHODS.has(method) ? this._ordered().slice(0, 1) : this._ordered();
+      for (const endpoint of candidates) {
+        try {
+          const result = await endpoint.provider.send(method, params);
+          this._recordSuccess(endpoint);
+          return result;
+        } catch (error) {
+          if (isRpcAnswer(error)) {
+            this._recordSuccess(endpoint);
+            throw error;
+          }
+          lastError = error;
+          this._recordFailure(endpoint, error, true);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Endpoints in try order: usable ones in config order, then unhealthy /
+   * lagging, then those still backing off (soonest first).
+   */
+  _ordered() {
+    const now = Date.now();
+    const rank = (endpoint) => {
+      if (endpoint.backoffUntil > now) return 2;
+      if (!endpoint.healthy || endpoint.lagging) return 1;
+      return 0;
+    };
+    return this.endpoints
+      .map((endpoint, index) => ({ endpoint, index, rank: rank(endpoint) }))
+      .sort((a, b) => a.rank - b.rank ||
+        (a.rank === 2 ? a.endpoint.backoffUntil - b.endpoint.backoffUntil : a.index - b.index))
+      .map(({ endpoint }) => endpoint);
+  }
+
+  _recordSuccess(endpoint) {
+    const changed = !endpoint.healthy || this.active !== endpoint;
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.rateLimitHits = 0;
+    this.active = endpoint;
+    if (changed) {
+      console.log('[ProviderManager] Using RPC', endpoint.label);
+      this._emitStatus();
+    }
+  }
+
+  _recordFailure(endpoint, error, emit) {
+    endpoint.failures += 1;
+    endpoint.lastError = error?.status === 429 ? 'HTTP 429' : (error?.code || error?.message || 'error');
+
+    if (isRateLimited(error)) {
+      endpoint.rateLimitHits += 1;
+      const backoff = retryAfterMs(error) ??
+        Math.min(RATE_LIMIT_MAX_BACKOFF_MS, RATE_LIMIT_BASE_BACKOFF_MS * 2 ** (endpoint.rateLimitHits - 1));
+      endpoint.backoffUntil = Date.now() + backoff;
+      console.warn(`[ProviderManager] ${endpoint.label} rate limited, backing off ${backoff}ms`);
+    } else {
+      endpoint.healthy = false;
+      console.warn(`[ProviderManager] ${endpoint.label} failed:`, endpoint.lastError);
+    }
+
+    if (emit) this._emitStatus();
+  }
+
+  _emitStatus() {
+    this.eventBus?.emit('rpc:status', { endpoints: this.getStatus(), active: this.active?.label || null });
+  }
+}
+
+export default ProviderManager;
@@ -0,0 +1,503 @@
+/**
+ * SecretVault - Encrypted store for bottle secrets
+ *
+ * Passphrases (by chanceId and, while valor is pending, by commitment), reveal
+ * flags and win results live in one AES-GCM encrypted blob in localStorage.
+ * The key is derived from a password (PBKDF2) or from a wallet signature
+ * (HKDF), and only ever held in memory while the vault is unlocked.
+ *
+ * Reads and writes are synchronous against the decrypted copy; every write
+ * re-encrypts in the background. Until a vault is created, and while it is
+ * locked, entries fall back to the plain localStorage keys the app has always
+ * used. Those are absorbed into the vault (and removed) on the next unlock,
+ * so nothing written while locked is lost.
+ *
+ * Backups are the encrypted blob itself, wrapped with a format marker, so they
+ * can only be opened with the same password or wallet.
+ *
+ * Every key is scoped to the active deployment (DeploymentStorage), so each
+ * deployment has its own vault.
+ */
+
+import { scopedKey, getActiveDeployment } from './DeploymentStorage.js';
+
+const VAULT_NAME = 'vault';
+const VAULT_VERSION = 1;
+const BACKUP_FORMAT = 'miladycola-vault-backup';
+
+const PBKDF2_ITERATIONS = 310_000;
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Plain key names (pre-vault, or written while locked), scoped per deployment
+const PLAIN_PREFIXES = {
+  passphrases: 'passphrase_',
+  pending: 'pending_passphrase_',
+  revealSeen: 'reveal_seen_',
+  winResults: 'win_result_',
+};
+
+function plainKey(section, id) {
+  return scopedKey(`${PLAIN_PREFIXES[section]}${id}`);
+}
+
+const SIGNATURE_MESSAGE = 'Unlock my MiladyCola secret vault. Only sign this on miladycola.net.\n\nSalt: ';
+
+// ============================================
+// ENCODING / CRYPTO HELPERS
+// ============================================
+
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function emptyEntries() {
+  return { passphrases: {}, pending: {}, revealSeen: {}, winResults: {} };
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+async function deriveKey(kdf, credentials) {
+  const salt = fromBase64(kdf.salt);
+  const encoder = new TextEncoder();
+
+  if (kdf.name === 'PBKDF2') {
+    if (!credentials.password) throw new Error('This vault is unlocked with a password');
+    const material = await crypto.subtle.importKey('raw', encoder.encode(credentials.password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: kdf.iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  if (kdf.name === 'signature') {
+    if (!credentials.signer) throw new Error('This vault is unlocked with a wallet signature');
+    const address = await credentials.signer.getAddress();
+    if (address.toLowerCase() !== kdf.address.toLowerCase()) {
+      throw new Error(`This vault belongs to ${kdf.address}. Connect that wallet to unlock it.`);
+    }
+    const signature = credentials.signature || await credentials.signer.signMessage(`${SIGNATURE_MESSAGE}${kdf.salt}`);
+    const material = await crypto.subtle.importKey('raw', encoder.encode(signature.toLowerCase()), 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode('miladycola-vault') },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  throw new Error(`Unknown vault key type: ${kdf.name}`);
+}
+
+async function encryptEntries(key, entries) {
+  const iv = randomBytes(12);
+  const plaintext = new TextEncoder().encode(JSON.stringify(entries));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+}
+
+async function decryptEntries(key, envelope) {
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.ciphertext)
+    );
+  } catch (e) {
+    // AES-GCM authentication fails for a wrong key
+    throw new Error(envelope.kdf.name === 'PBKDF2' ? 'Wrong vault password' : 'This signature does not unlock the vault');
+  }
+  return { ...emptyEntries(), ...JSON.parse(new TextDecoder().decode(plaintext)) };
+}
+
+// Add entries from `source` that `target` does not have yet
+function mergeEntries(target, source) {
+  let added = 0;
+  for (const section of Object.keys(PLAIN_PREFIXES)) {
+    for (const [id, value] of Object.entries(source[section] || {})) {
+      if (target[section][id] === undefined) {
+        target[section][id] = value;
+        added += 1;
+      }
+    }
+  }
+  return added;
+}
+
+function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This is not a vault backup file');
+  }
+  if (backup?.format !== BACKUP_FORMAT || backup.vault?.version !== VAULT_VERSION) {
+    throw new Error('This is not a vault backup file');
+  }
+  return backup;
+}
+
+class SecretVault {
+  constructor() {
+    this.key = null;
+    this.kdf = null;
+    this.entries = null; // Decrypted entries while unlocked
+    this.absorbed = null; // Plain entries to remove once the vault is saved
+    this.saving = Promise.resolve();
+  }
+
+  // ============================================
+  // STATE
+  // ============================================
+
+  /**
+   * Whether an encrypted vault exists on this device
+   * @returns {boolean}
+   */
+  exists() {
+    return this._readEnvelope() !== null;
+  }
+
+  /**
+   * Whether the vault is unlocked (entries readable and encrypted on write)
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return this.entries !== null;
+  }
+
+  /**
+   * How the vault is unlocked: 'PBKDF2' (password), 'signature' or null
+   * @returns {{name: string, address?: string}|null}
+   */
+  getKeyType() {
+    const envelope = this._readEnvelope();
+    return envelope ? { name: envelope.kdf.name, address: envelope.kdf.address } : null;
+  }
+
+  /**
+   * Entry counts, for the vault panel
+   * @returns {{passphrases: number, pending: number, plain: number}}
+   */
+  getSummary() {
+    const plain = this._readPlain();
+    return {
+      passphrases: Object.keys(this.entries?.passphrases || {}).length,
+      pending: Object.keys(this.entries?.pending || {}).length,
+      plain: Object.keys(plain.passphrases).length + Object.keys(plain.pending).length,
+    };
+  }
+
+  // ============================================
+  // CREATE / UNLOCK / LOCK
+  // ============================================
+
+  /**
+   * Create the vault and absorb existing plain entries
+   * @param {{password?: string, signer?: ethers.Signer}} credentials
+   */
+  async create(credentials) {
+    if (this.exists()) throw new Error('A vault already exists on this device');
+
+    let kdf;
+    let first;
+    const salt = toBase64(randomBytes(16));
+    if (credentials.password !== undefined) {
+      if (credentials.password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Use a password of at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      kdf = { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS };
+    } else if (credentials.signer) {
+      kdf = { name: 'signature', salt, address: await credentials.signer.getAddress() };
+      // A signer that is not deterministic would lock the vault forever
+      first = await credentials.signer.signMessage(`${SIGNATURE_MESSAGE}${salt}`);
+      const second = await credentials.signer.signMessage(`${SIGNATURE_MESSAGE}${salt}`);
+      if (first.toLowerCase() !== second.toLowerCase()) {
+        throw new Error('This wallet does not sign deterministically. Use a password instead.');
+      }
+    } else {
+      throw new Error('A password or wallet is required');
+    }
+
+    this.kdf = kdf;
+    this.key = await deriveKey(kdf, { ...credentials, signature: first });
+    this.entries = emptyEntries();
+    this._absorbPlain();
+    await this._save();
+    console.log('[SecretVault] Created', kdf.name, 'vault');
+  }
+
+  /**
+   * Decrypt the vault and absorb anything written while it was locked
+   * @param {{password?: string, signer?: ethers.Signer}} credentials
+   */
+  async unlock(credentials) {
+    const envelope = this._readEnvelope();
+    if (!envelope) throw new Error('No vault on this device');
+
+    const key = await deriveKey(envelope.kdf, credentials);
+    const entries = await decryptEntries(key, envelope);
+
+    this.kdf = envelope.kdf;
+    this.key = key;
+    this.entries = entries;
+    if (this._absorbPlain() > 0) await this._save();
+    console.log('[SecretVault] Unlocked');
+  }
+
+  /**
+   * Forget the key and decrypted entries, after any pending save
+   */
+  async lock() {
+    await this.saving;
+    this.key = null;
+    this.kdf = null;
+    this.entries = null;
+  }
+
+  // ============================================
+  // BACKUP
+  // ============================================
+
+  /**
+   * Encrypted backup of the whole vault, as a JSON string
+   * @returns {Promise<string>}
+   */
+  async exportBackup() {
+    if (!this.isUnlocked()) throw new Error('Unlock the vault before exporting it');
+    await this._save();
+    const deployment = getActiveDeployment();
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      exportedAt: new Date().toISOString(),
+      chainId: deployment?.chainId ?? null,
+      colasseum: deployment?.address ?? null,
+      vault: this._readEnvelope(),
+    }, null, 2);
+  }
+
+  /**
+   * The deployment a backup was made for. Entries are keyed by chance id, and
+   * ids restart on every deployment, so another deployment's backup would
+   * attach its passphrases to the wrong bottles here.
+   * @param {string} text - Backup file contents
+   * @returns {{chainId: number|null, colasseum: string|null, sameDeployment: boolean}}
+   */
+  describeBackup(text) {
+    const backup = parseBackup(text);
+    const deployment = getActiveDeployment();
+    const chainId = backup.chainId ?? null;
+    const colasseum = backup.colasseum ? String(backup.colasseum).toLowerCase() : null;
+    // A backup without a deployment (older, or from fixtures mode) only matches fixtures mode
+    const sameDeployment = deployment
+      ? String(chainId) === String(deployment.chainId) && colasseum === deployment.address
+      : chainId === null && colasseum === null;
+    return { chainId, colasseum, sameDeployment };
+  }
+
+  /**
+   * Merge a backup into this device's vault. With no vault yet, the backup
+   * becomes the vault.
+   * @param {string} text - Backup file contents
+   * @param {{password?: string, signer?: ethers.Signer}} credentials - For the backup
+   * @param {Object} [options]
+   * @param {boolean} [options.allowOtherDeployment] - The user confirmed a backup from another deployment
+   * @returns {Promise<number>} Entries added
+   */
+  async importBackup(text, credentials, { allowOtherDeployment = false } = {}) {
+    const backup = parseBackup(text);
+    if (!allowOtherDeployment && !this.describeBackup(text).sameDeployment) {
+      throw new Error('This backup was made for another deployment');
+    }
+
+    const key = await deriveKey(backup.vault.kdf, credentials);
+    const entries = await decryptEntries(key, backup.vault);
+
+    if (!this.exists()) {
+      this.kdf = backup.vault.kdf;
+      this.key = key;
+      this.entries = entries;
+      this._absorbPlain();
+      await this._save();
+      return mergeEntries(emptyEntries(), entries);
+    }
+
+    if (!this.isUnlocked()) throw new Error('Unlock the vault before importing into it');
+    const added = mergeEntries(this.entries, entries);
+    if (added > 0) await this._save();
+    return added;
+  }
+
+  // ============================================
+  // ENTRIES
+  // ============================================
+
+  getPassphrase(chanceId) {
+    return this._get('passphrases', chanceId);
+  }
+
+  setPassphrase(chanceId, passphrase) {
+    this._set('passphrases', chanceId, passphrase);
+  }
+
+  setPendingPassphrase(commitment, passphrase) {
+    this._set('pending', commitment, passphrase);
+  }
+
+  hasPendingPassphrase(commitment) {
+    return !!this._get('pending', commitment);
+  }
+
+  clearPendingPassphrase(commitment) {
+    this._delete('pending', commitment);
+  }
+
+  /**
+   * Move a pending passphrase to its chanceId once the valor tx is confirmed
+   * @returns {boolean} Whether there was one to move
+   */
+  claimPendingPassphrase(commitment, chanceId) {
+    if (chanceId === undefined || chanceId === null) return false;
+    const passphrase = this._get('pending', commitment);
+    if (!passphrase) return false;
+    this.setPassphrase(chanceId, passphrase);
+    this.clearPendingPassphrase(commitment);
+    return true;
+  }
+
+  setRevealSeen(chanceId) {
+    this._set('revealSeen', chanceId, Date.now().toString());
+  }
+
+  hasRevealBeenSeen(chanceId) {
+    return !!this._get('revealSeen', chanceId);
+  }
+
+  setWinResult(chanceId, isWinner) {
+    this._set('winResults', chanceId, isWinner ? 'win' : 'loss');
+  }
+
+  /**
+   * @returns {boolean|null} null when unknown
+   */
+  getWinResult(chanceId) {
+    const result = this._get('winResults', chanceId);
+    if (result === 'win') return true;
+    if (result === 'loss') return false;
+    return null;
+  }
+
+  // ============================================
+  // INTERNALS
+  // ============================================
+
+  _get(section, id) {
+    if (id === undefined || id === null) return null;
+    const value = this.entries?.[section][id];
+    if (value !== undefined) return value;
+    try {
+      return localStorage.getItem(plainKey(section, id));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _set(section, id, value) {
+    if (this.isUnlocked()) {
+      this.entries[section][id] = value;
+      this._scheduleSave();
+      return;
+    }
+    try {
+      localStorage.setItem(plainKey(section, id), value);
+    } catch (e) {
+      console.warn('[SecretVault] Failed to store entry:', e);
+    }
+  }
+
+  _delete(section, id) {
+    if (this.isUnlocked() && this.entries[section][id] !== undefined) {
+      delete this.entries[section][id];
+      this._scheduleSave();
+    }
+    try {
+      localStorage.removeItem(plainKey(section, id));
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  _readEnvelope() {
+    try {
+      const raw = localStorage.getItem(scopedKey(VAULT_NAME));
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _readPlain() {
+    const plain = emptyEntries();
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        for (const section of Object.keys(PLAIN_PREFIXES)) {
+          const prefix = plainKey(section, '');
+          if (key.startsWith(prefix)) {
+            plain[section][key.slice(prefix.length)] = localStorage.getItem(key);
+          }
+        }
+      }
+    } catch (e) {
+      // Storage unavailable
+    }
+    return plain;
+  }
+
+  // Pull plain entries into the unlocked vault. They are removed from plain
+  // storage by _save() once the vault holding them has been written.
+  _absorbPlain() {
+    const plain = this._readPlain();
+    this.absorbed = plain;
+    for (const section of Object.keys(PLAIN_PREFIXES)) {
+      Object.assign(this.entries[section], plain[section]);
+    }
+    return Object.values(plain).reduce((sum, entries) => sum + Object.keys(entries).length, 0);
+  }
+
+  _scheduleSave() {
+    this.saving = this.saving
+      .then(() => this._save())
+      .catch(error => console.error('[SecretVault] Failed to save vault:', error));
+  }
+
+  async _save() {
+    if (!this.key) return;
+    const { iv, ciphertext } = await encryptEntries(this.key, this.entries);
+    localStorage.setItem(scopedKey(VAULT_NAME), JSON.stringify({ version: VAULT_VERSION, kdf: this.kdf, iv, ciphertext }));
+
+    if (this.absorbed) {
+      for (const [section, entries] of Object.entries(this.absorbed)) {
+        for (const id of Object.keys(entries)) {
+          localStorage.removeItem(plainKey(section, id));
+        }
+      }
+      this.absorbed = null;
+    }
+  }
+}
+
+const secretVault = new SecretVault();
+export default secretVault;
@@ -0,0 +1,199 @@
+/**
+ * SignedPassphrase - Bottle secrets derived from a wallet signature
+ *
+ * Instead of a typed passphrase, the wallet signs an EIP-712 message bound to
+ * the bottle (trial, nonce = target timestamp, chain, Colasseum address) and
+ * the passphrase is keccak256 of that signature. Every input is on-chain, so
+ * the same wallet can regenerate a bottle's passphrase on any device.
+ *
+ * Two entries into one trial before a new block would get the same target, and
+ * so the same passphrase and commitment, linking the bottles on-chain. One
+ * signature yields a series of candidates, keccak256(signature) and then
+ * keccak256(signature || counter) for counters 1, 2, ..., and the first whose
+ * commitment is unused is taken. Recovery signs once and tries the same series against the commitment.
+ *
+ * This only works with signers that produce deterministic signatures (RFC 6979,
+ * which every mainstream EOA wallet uses). A signer is checked once per
+ * deployment by signing the same message twice before it is trusted with a bottle.
+ */
+
+import { ethers } from 'ethers';
+import { scopedKey } from './DeploymentStorage.js';
+
+// Marks derived passphrases so they are never confused with typed ones
+export const SIGNED_PASSPHRASE_PREFIX = 'cola-sig-v1:';
+
+const BOTTLE_SECRET_TYPES = {
+  BottleSecret: [
+    { name: 'purpose', type: 'string' },
+    { name: 'trialId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+const BOTTLE_SECRET_PURPOSE = 'Derive my MiladyCola bottle secret. Only sign this on miladycola.net.';
+
+// Candidates derived from one signature before giving up on an unused commitment
+const MAX_SIGNATURE_COUNTER = 32;
+
+/**
+ * EIP-712 payload for a bottle's secret
+ * @param {Object} params
+ * @param {number|string} params.trialId
+ * @param {number|string} params.nonce - The bottle's target timestamp
+ * @param {number} params.chainId
+ * @param {string} params.colasseum - Colasseum contract address
+ * @returns {{domain: Object, types: Object, message: Object}}
+ */
+export function getBottleSecretTypedData({ trialId, nonce, chainId, colasseum }) {
+  return {
+    domain: {
+      name: 'MiladyCola',
+      version: '1',
+      chainId: Number(chainId),
+      verifyingContract: ethers.utils.getAddress(colasseum),
+    },
+    types: BOTTLE_SECRET_TYPES,
+    message: {
+      purpose: BOTTLE_SECRET_PURPOSE,
+      trialId: trialId.toString(),
+      nonce: nonce.toString(),
+    },
+  };
+}
+
+/**
+ * Passphrase for a signature: prefix + keccak256(signature), or
+ * keccak256(signature || uint256 counter) for the later candidates
+ * @param {string} signature - 65-byte hex signature
+ * @param {number} [counter=0]
+ * @returns {string}
+ */
+export function passphraseFromSignature(signature, counter = 0) {
+  // Normalise v (27/28 vs 0/1) so wallets that differ only there agree
+  const { r, s, v } = ethers.utils.splitSignature(signature);
+  const canonical = ethers.utils.joinSignature({ r, s, v });
+  const preimage = counter === 0 ? canonical : ethers.utils.solidityPack(['bytes', 'uint256'], [canonical, counter]);
+  return `${SIGNED_PASSPHRASE_PREFIX}${ethers.utils.keccak256(preimage).slice(2)}`;
+}
+
+/**
+ * Whether a passphrase was derived from a signature
+ * @param {string} passphrase
+ * @returns {boolean}
+ */
+export function isSignedPassphrase(passphrase) {
+  return typeof passphrase === 'string' && passphrase.startsWith(SIGNED_PASSPHRASE_PREFIX);
+}
+
+function getBottleTypedData(contractService, trialId, targetTimestamp) {
+  if (!contractService?.initialized) throw new Error('ContractService not initialized');
+  if (!contractService.signer) throw new Error('No signer connected');
+  return getBottleSecretTypedData({
+    trialId,
+    nonce: targetTimestamp,
+    chainId: contractService.config.chainId,
+    colasseum: contractService.getColasseumAddress(),
+  });
+}
+
+async function signTypedData(signer, { domain, types, message }) {
+  return signer._signTypedData(domain, types, message);
+}
+
+// Signers already shown to sign deterministically, per deployment + address
+function deterministicKey(address) {
+  return scopedKey(`deterministic_signer_${address.toLowerCase()}`);
+}
+
+/**
+ * Ask the wallet to sign a bottle's message. On first use per wallet the
+ * message is signed twice, and a wallet whose signatures differ is rejected
+ * before any ETH depends on it.
+ * @returns {Promise<string>} The signature
+ */
+async function signBottleMessage(contractService, trialId, targetTimestamp) {
+  const typedData = getBottleTypedData(contractService, trialId, targetTimestamp);
+  const signer = contractService.signer;
+  const signature = await signTypedData(signer, typedData);
+
+  const key = deterministicKey(await signer.getAddress());
+  let verified = false;
+  try {
+    verified = localStorage.getItem(key) === '1';
+  } catch (e) {
+    // Storage unavailable - check every time
+  }
+
+  if (!verified) {
+    const again = await signTypedData(signer, typedData);
+    if (passphraseFromSignature(again) !== passphraseFromSignature(signature)) {
+      throw new Error('This wallet does not sign deterministically, so a passphrase derived from it could not be recovered. Type a passphrase instead.');
+    }
+    try {
+      localStorage.setItem(key, '1');
+    } catch (e) {
+      console.warn('[SignedPassphrase] Failed to remember deterministic signer:', e);
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * Ask the wallet to sign a bottle's message and derive its first passphrase
+ * @param {ContractService} contractService
+ * @param {number|string} trialId
+ * @param {number|string} targetTimestamp
+ * @returns {Promise<string>}
+ */
+export async function deriveBottlePassphrase(contractService, trialId, targetTimestamp) {
+  return passphraseFromSignature(await signBottleMessage(contractService, trialId, targetTimestamp));
+}
+
+/**
+ * Derive a passphrase whose commitment is not taken by another bottle, from a
+ * single signature: the first unused candidate in the signature's series.
+ * @param {ContractService} contractService
+ * @param {number|string} trialId
+ * @param {number} targetTimestamp
+ * @param {Object} options
+ * @param {string} options.owner - Connected address
+ * @param {Object} options.cryptoService - Commitment helper (CryptoService)
+ * @param {function(string): boolean} options.isTaken - Whether a commitment is already on a bottle
+ * @returns {Promise<{passphrase: string, commitment: string}>}
+ */
+export async function deriveUniqueBottlePassphrase(contractService, trialId, targetTimestamp, { owner, cryptoService, isTaken }) {
+  const signature = await signBottleMessage(contractService, trialId, targetTimestamp);
+  for (let counter = 0; counter <= MAX_SIGNATURE_COUNTER; counter++) {
+    const passphrase = passphraseFromSignature(signature, counter);
+    const commitment = await cryptoService.generateCommitment(passphrase, owner);
+    if (!isTaken(commitment)) return { passphrase, commitment };
+    console.log('[SignedPassphrase] Candidate', counter, 'is taken, trying the next one');
+  }
+  throw new Error('Could not derive an unused bottle secret. Type a passphrase instead.');
+}
+
+/**
+ * Regenerate a bottle's passphrase from the connected wallet and check it
+ * against the on-chain commitment.
+ * @param {ContractService} contractService
+ * @param {Object} bottle - Needs challengeId, targetTimestamp and commitment
+ * @param {Object} cryptoService - Commitment helper (CryptoService)
+ * @returns {Promise<string|null>} The passphrase, or null if it is not this bottle's
+ */
+export async function recoverBottlePassphrase(contractService, bottle, cryptoService) {
+  if (bottle?.challengeId === undefined || !bottle.targetTimestamp || !bottle.commitment) {
+    throw new Error('Bottle missing required fields (challengeId, targetTimestamp or commitment)');
+  }
+
+  const typedData = getBottleTypedData(contractService, bottle.challengeId, bottle.targetTimestamp);
+  const signature = await signTypedData(contractService.signer, typedData);
+  const owner = await contractService.signer.getAddress();
+
+  for (let counter = 0; counter <= MAX_SIGNATURE_COUNTER; counter++) {
+    const passphrase = passphraseFromSignature(signature, counter);
+    if (await cryptoService.verifyCommitment(passphrase, owner, bottle.commitment)) return passphrase;
+  }
+  return null;
+}
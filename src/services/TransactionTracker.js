@@ -0,0 +1,179 @@
+/**
+ * TransactionTracker - Lifecycle tracking for Colasseum write transactions
+ *
+ * Every write goes through these stages, each emitted on the eventBus:
+ * - tx:submitted  { id, kind, hash, meta }          - wallet returned a hash
+ * - tx:replaced   { id, kind, hash, oldHash, meta } - sped up in the wallet (same call, new hash)
+ * - tx:cancelled  { id, kind, hash, oldHash, meta } - replaced by a different tx (cancel / nonce reuse)
+ * - tx:confirmed  { id, kind, hash, meta, receipt } - mined successfully
+ * - tx:failed     { id, kind, hash, meta, error }   - reverted or dropped
+ *
+ * Pending transactions are persisted to localStorage so they can be resumed
+ * (and replacement-detected) after a page reload. Records carry their chainId
+ * so switching networks never resumes a transaction on the wrong chain.
+ */
+
+import { ethers } from 'ethers';
+import { scopedKey } from './DeploymentStorage.js';
+
+const STORAGE_NAME = 'pending_txs';
+
+// Anything still unmined after a day was dropped by the mempool
+const MAX_PENDING_AGE_MS = 24 * 60 * 60 * 1000;
+
+class TransactionTracker {
+  constructor(eventBus, chainId) {
+    this.eventBus = eventBus;
+    this.chainId = chainId;
+    this.pending = new Map();
+    this._load();
+  }
+
+  /**
+   * Pending transactions on the current chain, optionally filtered by kind
+   * @param {string} [kind] - Write method name (e.g. 'valor')
+   * @returns {Object[]}
+   */
+  getPending(kind) {
+    const records = [...this.pending.values()].filter(r => r.chainId === this.chainId);
+    return kind ? records.filter(r => r.kind === kind) : records;
+  }
+
+  /**
+   * Record a freshly submitted transaction and emit tx:submitted.
+   * @param {string} kind - Write method name
+   * @param {ethers.providers.TransactionResponse} tx
+   * @param {Object} meta - Call details needed to rebuild UI state after reload
+   * @param {number} startBlock - Block number just before submission (for replacement scans)
+   * @returns {Object} Tracking record
+   */
+  track(kind, tx, meta, startBlock) {
+    const record = {
+      id: tx.hash, // Stable across replacements
+      kind,
+      chainId: this.chainId,
+      hash: tx.hash,
+      from: tx.from,
+      to: tx.to,
+      nonce: tx.nonce,
+      data: tx.data,
+      value: (tx.value || ethers.constants.Zero).toString(),
+      startBlock,
+      meta,
+      submittedAt: Date.now(),
+    };
+
+    this.pending.set(record.id, record);
+    this._save();
+    this._emit('tx:submitted', record);
+    return record;
+  }
+
+  /**
+   * Wait for a tracked transaction to be mined, following replacements.
+   * @param {Object} record - From track() or getPending()
+   * @param {ethers.providers.Provider} provider
+   * @returns {Promise<ethers.providers.TransactionReceipt>}
+   * @throws {Error} TRANSACTION_REPLACED (cancelled) or CALL_EXCEPTION (reverted)
+   */
+  async wait(record, provider) {
+    let receipt;
+    try {
+      // _waitForTransaction is the same path TransactionResponse.wait() uses;
+      // calling it directly lets a reloaded page keep replacement detection.
+      receipt = await provider._waitForTransaction(record.hash, 1, 0, {
+        data: record.data,
+        from: record.from,
+        nonce: record.nonce,
+        to: record.to,
+        value: ethers.BigNumber.from(record.value),
+        startBlock: record.startBlock,
+      });
+    } catch (error) {
+      if (error.code !== ethers.errors.TRANSACTION_REPLACED) {
+        this._finish(record, 'tx:failed', { error });
+        throw error;
+      }
+
+      const oldHash = record.hash;
+      record.hash = error.replacement.hash;
+
+      if (error.cancelled) {
+        this._finish(record, 'tx:cancelled', { oldHash });
+        throw error;
+      }
+
+      // Repriced: same call, new hash - keep following it
+      this._save();
+      this._emit('tx:replaced', record, { oldHash });
+      receipt = error.receipt;
+    }
+
+    if (receipt.status === 0) {
+      const error = new Error('Transaction reverted');
+      error.code = ethers.errors.CALL_EXCEPTION;
+      error.receipt = receipt;
+      error.transactionHash = receipt.transactionHash;
+      this._finish(record, 'tx:failed', { error });
+      throw error;
+    }
+
+    this._finish(record, 'tx:confirmed', { receipt });
+    return receipt;
+  }
+
+  /**
+   * Resume every persisted transaction (call once after the provider is ready).
+   * @param {ethers.providers.Provider} provider
+   * @param {Function} onConfirmed - (record, receipt) => void, run for each confirmed tx
+   */
+  resume(provider, onConfirmed) {
+    for (const record of this.getPending()) {
+      if (Date.now() - record.submittedAt > MAX_PENDING_AGE_MS) {
+        this._finish(record, 'tx:failed', { error: new Error('Transaction was never mined') });
+        continue;
+      }
+      console.log('[TransactionTracker] Resuming', record.kind, record.hash);
+      this.wait(record, provider)
+        .then(receipt => onConfirmed(record, receipt))
+        .catch(err => console.warn('[TransactionTracker] Resumed tx did not confirm:', record.hash, err.code || err.message));
+    }
+  }
+
+  _finish(record, eventName, extra) {
+    this.pending.delete(record.id);
+    this._save();
+    this._emit(eventName, record, extra);
+  }
+
+  _emit(eventName, record, extra = {}) {
+    this.eventBus.emit(eventName, {
+      id: record.id,
+      kind: record.kind,
+      hash: record.hash,
+      meta: record.meta,
+      ...extra,
+    });
+  }
+
+  _load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(scopedKey(STORAGE_NAME)) || '[]');
+      for (const record of stored) {
+        this.pending.set(record.id, record);
+      }
+    } catch (e) {
+      console.warn('[TransactionTracker] Failed to load pending transactions:', e);
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(scopedKey(STORAGE_NAME), JSON.stringify([...this.pending.values()]));
+    } catch (e) {
+      console.warn('[TransactionTracker] Failed to save pending transactions:', e);
+    }
+  }
+}
+
+export default TransactionTracker;
@@ -0,0 +1,229 @@
+/**
+ * VerificationKey - Compare the claim circuit's zkey with the Groth16 verifier
+ *
+ * A proof built from a zkey that does not belong to the deployed verifier is
+ * always rejected, but only after victory() has spent gas. These helpers read
+ * the verification key out of a snarkjs zkey and check it against:
+ *
+ *   - the constants in contracts/src/Verifier.sol (alphax, betax1, ..., IC5y)
+ *   - the deployed verifier's runtime bytecode, where each constant is a PUSH
+ *
+ * Pure functions with no browser or Node dependencies, so the build check
+ * (scripts/check-verifier-key.mjs) and CryptoService share them.
+ */
+
+const ZKEY_MAGIC = 'zkey';
+const GROTH16_PROTOCOL = 1;
+const SECTION_HEADER = 1;
+const SECTION_GROTH16_HEADER = 2;
+const SECTION_IC = 3;
+
+// ============================================
+// ZKEY PARSING
+// ============================================
+
+function readLE(bytes, offset, length) {
+  let value = 0n;
+  for (let i = length - 1; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[offset + i]);
+  }
+  return value;
+}
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Index the sections of a snarkjs binary file
+ * @returns {Map<number, {offset: number, size: number}>}
+ */
+function readSections(bytes) {
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  if (magic !== ZKEY_MAGIC) throw new Error('Not a zkey file');
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint32(8, true);
+  const sections = new Map();
+  let offset = 12;
+  for (let i = 0; i < count; i++) {
+    const type = view.getUint32(offset, true);
+    const size = Number(view.getBigUint64(offset + 4, true));
+    offset += 12;
+    if (!sections.has(type)) sections.set(type, { offset, size });
+    offset += size;
+  }
+  return sections;
+}
+
+/**
+ * Extract the Groth16 verification key from a zkey.
+ * Coordinates are stored in Montgomery form and returned as plain BigInts;
+ * G2 coordinates are [c0, c1] pairs, as in snarkjs verification_key.json.
+ * @param {ArrayBuffer|Uint8Array} zkey
+ * @returns {{nPublic: number, alpha1: bigint[], beta2: bigint[][], gamma2: bigint[][], delta2: bigint[][], IC: bigint[][]}}
+ */
+export function parseZkeyVerificationKey(zkey) {
+  const bytes = zkey instanceof Uint8Array ? zkey : new Uint8Array(zkey);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const sections = readSections(bytes);
+
+  const header = sections.get(SECTION_HEADER);
+  if (!header || view.getUint32(header.offset, true) !== GROTH16_PROTOCOL) {
+    throw new Error('zkey is not a Groth16 key');
+  }
+
+  const groth = sections.get(SECTION_GROTH16_HEADER);
+  const ic = sections.get(SECTION_IC);
+  if (!groth || !ic) throw new Error('zkey is missing its verification key');
+
+  let pos = groth.offset;
+  const n8q = view.getUint32(pos, true);
+  const q = readLE(bytes, pos + 4, n8q);
+  pos += 4 + n8q;
+  const n8r = view.getUint32(pos, true);
+  pos += 4 + n8r;
+  pos += 4; // nVars
+  const nPublic = view.getUint32(pos, true);
+  pos += 8; // nPublic, domainSize
+
+  // Montgomery form: stored = x * R mod q, with R = 2^(8 * n8q)
+  const rInv = modPow(modPow(2n, BigInt(8 * n8q), q), q - 2n, q);
+  const fq = () => {
+    const value = (readLE(bytes, pos, n8q) * rInv) % q;
+    pos += n8q;
+    return value;
+  };
+  const g1 = () => [fq(), fq()];
+  const g2 = () => [[fq(), fq()], [fq(), fq()]];
+
+  const alpha1 = g1();
+  g1(); // beta1 (prover only)
+  const beta2 = g2();
+  const gamma2 = g2();
+  g1(); // delta1 (prover only)
+  const delta2 = g2();
+
+  pos = ic.offset;
+  const IC = [];
+  for (let i = 0; i <= nPublic; i++) IC.push(g1());
+
+  return { nPublic, alpha1, beta2, gamma2, delta2, IC };
+}
+
+// ============================================
+// VERIFIER CONSTANTS
+// ============================================
+
+/**
+ * The verification key as named Verifier.sol constants.
+ * snarkjs writes G2 coordinates into the verifier as (c1, c0).
+ * @param {Object} vk - From parseZkeyVerificationKey
+ * @returns {Array<{name: string, value: bigint}>}
+ */
+export function getVerifierConstants(vk) {
+  const g2 = (prefix, [[x0, x1], [y0, y1]]) => [
+    { name: `${prefix}x1`, value: x1 },
+    { name: `${prefix}x2`, value: x0 },
+    { name: `${prefix}y1`, value: y1 },
+    { name: `${prefix}y2`, value: y0 },
+  ];
+
+  return [
+    { name: 'alphax', value: vk.alpha1[0] },
+    { name: 'alphay', value: vk.alpha1[1] },
+    ...g2('beta', vk.beta2),
+    ...g2('gamma', vk.gamma2),
+    ...g2('delta', vk.delta2),
+    ...vk.IC.flatMap(([x, y], i) => [
+      { name: `IC${i}x`, value: x },
+      { name: `IC${i}y`, value: y },
+    ]),
+  ];
+}
+
+/**
+ * Read the verification key constants from Verifier.sol source
+ * @param {string} source
+ * @returns {Map<string, bigint>}
+ */
+export function parseVerifierSource(source) {
+  const constants = new Map();
+  const pattern = /uint256\s+constant\s+(\w+)\s*=\s*(\d+)\s*;/g;
+  for (const [, name, value] of source.matchAll(pattern)) {
+    constants.set(name, BigInt(value));
+  }
+  return constants;
+}
+
+/**
+ * Names of constants that differ from (or are missing in) Verifier.sol
+ * @param {Object} vk - From parseZkeyVerificationKey
+ * @param {string} source - Verifier.sol
+ * @returns {string[]}
+ */
+export function compareWithVerifierSource(vk, source) {
+  const constants = parseVerifierSource(source);
+  const mismatched = getVerifierConstants(vk)
+    .filter(({ name, value }) => constants.get(name) !== value)
+    .map(({ name }) => name);
+
+  // A verifier with more public inputs than the zkey is just as wrong
+  const extraIC = [...constants.keys()].filter(name => /^IC\d+[xy]$/.test(name) &&
+    Number(name.slice(2, -1)) > vk.nPublic);
+  return [...mismatched, ...extraIC];
+}
+
+// PUSHn of the value's minimal big-endian encoding, as solc emits constants
+function pushHex(value) {
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const opcode = (0x5f + hex.length / 2).toString(16);
+  return `${opcode}${hex}`;
+}
+
+/**
+ * Names of constants whose PUSH is not in the deployed verifier's bytecode
+ * @param {Object} vk - From parseZkeyVerificationKey
+ * @param {string} bytecode - eth_getCode result
+ * @returns {string[]}
+ */
+export function compareWithVerifierBytecode(vk, bytecode) {
+  const code = bytecode.toLowerCase().replace(/^0x/, '');
+  if (!code) return ['bytecode'];
+  return getVerifierConstants(vk)
+    .filter(({ value }) => !code.includes(pushHex(value)))
+    .map(({ name }) => name);
+}
+
+/**
+ * The verification key in snarkjs verification_key.json form, for groth16.verify
+ * @param {Object} vk - From parseZkeyVerificationKey
+ * @returns {Object}
+ */
+export function toSnarkjsVerificationKey(vk) {
+  const g1 = ([x, y]) => [x.toString(), y.toString(), '1'];
+  const g2 = ([[x0, x1], [y0, y1]]) => [
+    [x0.toString(), x1.toString()],
+    [y0.toString(), y1.toString()],
+    ['1', '0'],
+  ];
+
+  return {
+    protocol: 'groth16',
+    curve: 'bn128',
+    nPublic: vk.nPublic,
+    vk_alpha_1: g1(vk.alpha1),
+    vk_beta_2: g2(vk.beta2),
+    vk_gamma_2: g2(vk.gamma2),
+    vk_delta_2: g2(vk.delta2),
+    IC: vk.IC.map(g1),
+  };
+}
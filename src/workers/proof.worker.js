@@ -0,0 +1,36 @@
+/**
+ * Proof worker - Groth16 proving off the main thread
+ *
+ * A classic worker so snarkjs can be loaded with importScripts from the same
+ * CDN build as index.html. Proving is split into the same two steps as
+ * snarkjs.groth16.fullProve so each can be reported.
+ *
+ * In:  { type: 'prove', snarkjsUrl, input, wasm, zkey }
+ * Out: { type: 'stage', stage }        - 'witness' | 'prove'
+ *      { type: 'result', proof, publicSignals }
+ *      { type: 'error', message }
+ *
+ * Cancellation is the caller terminating the worker.
+ */
+
+self.onmessage = async (event) => {
+  const { type, snarkjsUrl, input, wasm, zkey } = event.data || {};
+  if (type !== 'prove') return;
+
+  try {
+    if (typeof self.snarkjs === 'undefined') {
+      importScripts(snarkjsUrl);
+    }
+
+    self.postMessage({ type: 'stage', stage: 'witness' });
+    const witness = { type: 'mem' };
+    await self.snarkjs.wtns.calculate(input, new Uint8Array(wasm), witness);
+
+    self.postMessage({ type: 'stage', stage: 'prove' });
+    const { proof, publicSignals } = await self.snarkjs.groth16.prove(new Uint8Array(zkey), witness);
+
+    self.postMessage({ type: 'result', proof, publicSignals });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error?.message || String(error) });
+  }
+};
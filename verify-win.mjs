@@ -5,6 +5,8 @@
  */
 
 import { ethers } from 'ethers';
+import nodeCryptoService from './src/services/NodeCryptoService.js';
+import { fromSolidityProof } from './src/services/CryptoCore.js';
 
 // Transaction data from the win
 const txData = {
@@ -126,6 +128,13 @@ async function main() {
     console.log('❌ Verification failed:', error.message);
   }
 
+  // Same check offline, with the zkey the frontend ships
+  console.log('\n🔎 Verifying locally against public/challenge_final.zkey...');
+  const localValid = await nodeCryptoService.verifyProof(fromSolidityProof(txData), publicSignals);
+  console.log(localValid
+    ? '✅ Local verification agrees - the shipped zkey accepts this proof'
+    : '❌ Local verification rejects this proof');
+
   console.log('\n' + '='.repeat(80));
   console.log('NEXT: Test that invalid proofs are REJECTED');
   console.log('Run: npm test -- --match-test "test_victory_revertsInvalidProof"');